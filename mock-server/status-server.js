@@ -0,0 +1,113 @@
+// Local stand-in for the realtime scan status channel (see src/statusChannel.js).
+//
+//   npm run mock:status
+//   REACT_APP_STATUS_CHANNEL=websocket REACT_APP_STATUS_CHANNEL_URL=ws://localhost:4001 npm start
+//   REACT_APP_STATUS_CHANNEL=sse REACT_APP_STATUS_CHANNEL_URL=http://localhost:4001/events npm start
+//
+// Every subscribed fileId gets "SCANNING" right away and MOCK_VERDICT after MOCK_SCAN_SECONDS;
+// later subscribers get the last status straight away.
+// Push any status by hand with:
+//   curl -X POST localhost:4001/status/<fileId> -d '{"uploadedStatus":"MOVED_TO_MALWARE_BUCKET"}'
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.PORT) || 4001;
+const VERDICT = process.env.MOCK_VERDICT || 'NO_THREATS_FOUND';
+const SCAN_SECONDS = Number(process.env.MOCK_SCAN_SECONDS) || 8;
+
+// fileId -> Set of send(data) functions, one per connected client
+const listeners = new Map();
+const scans = new Map();
+// fileId -> last published status, so clients that (re)subscribe later still get the verdict
+const latest = new Map();
+
+// Scan details sent with a verdict, like the real backend does, so the verdict panel has something to show
+const scanDetails = (fileId, uploadedStatus) => {
+  if (!['NO_THREATS_FOUND', 'MOVED_TO_MALWARE_BUCKET', 'FAILED'].includes(uploadedStatus)) return {};
+  return {
+    engine: 'mock-scanner',
+    engineVersion: '1.0.0',
+    scannedAt: new Date().toISOString(),
+    ...(uploadedStatus === 'MOVED_TO_MALWARE_BUCKET' && {
+      threats: ['EICAR-Test-File'],
+      quarantine: { bucket: 'mock-quarantine', key: fileId },
+    }),
+    ...(uploadedStatus === 'FAILED' && { reason: 'Scan engine timed out' }),
+  };
+};
+
+const publish = (fileId, uploadedStatus) => {
+  const data = { fileId, uploadedStatus, updatedAt: new Date().toISOString(), ...scanDetails(fileId, uploadedStatus) };
+  console.log('publish', data);
+  latest.set(fileId, data);
+  listeners.get(fileId)?.forEach(send => send(data));
+};
+
+const listen = (fileId, send) => {
+  if (!listeners.has(fileId)) listeners.set(fileId, new Set());
+  listeners.get(fileId).add(send);
+  send(latest.get(fileId) ?? { fileId, uploadedStatus: 'SCANNING' });
+  // One scripted scan per fileId, however many clients watch it
+  if (!scans.has(fileId)) {
+    scans.set(fileId, setTimeout(() => publish(fileId, VERDICT), SCAN_SECONDS * 1000));
+  }
+  return () => listeners.get(fileId)?.delete(send);
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method === 'GET' && url.pathname === '/events') {
+    const fileId = url.searchParams.get('fileId');
+    if (!fileId) {
+      res.writeHead(400).end('fileId is required');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write('retry: 3000\n\n');
+    const stop = listen(fileId, data => res.write(`data: ${JSON.stringify(data)}\n\n`));
+    req.on('close', stop);
+    return;
+  }
+
+  const match = url.pathname.match(/^\/status\/([^/]+)$/);
+  if (req.method === 'POST' && match) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        publish(decodeURIComponent(match[1]), JSON.parse(body).uploadedStatus);
+        res.writeHead(204).end();
+      } catch (error) {
+        res.writeHead(400).end(error.message);
+      }
+    });
+    return;
+  }
+
+  res.writeHead(404).end();
+});
+
+new WebSocketServer({ server }).on('connection', (ws) => {
+  const stops = new Map();
+  const send = data => ws.send(JSON.stringify(data));
+  ws.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (message.action === 'subscribe' && !stops.has(message.fileId)) {
+      stops.set(message.fileId, listen(message.fileId, send));
+    } else if (message.action === 'unsubscribe') {
+      stops.get(message.fileId)?.();
+      stops.delete(message.fileId);
+    }
+  });
+  ws.on('close', () => stops.forEach(stop => stop()));
+});
+
+server.listen(PORT, () => console.log(`Mock status channel on http://localhost:${PORT} (ws and /events)`));
@@ -0,0 +1,37 @@
+// Loads the uploader into another page for the <s3-uploader> element (see src/embed):
+//
+//   <script src="https://upload.example.com/embed.js" defer></script>
+//
+// The build's file names change with every release, so they are looked up in its
+// asset-manifest.json, next to this script.
+(function () {
+  var script = document.currentScript;
+  if (!script || window.s3UploaderBaseUrl) return;
+  var base = new URL('.', script.src).href;
+  // Tells the bundle to only register the element rather than start the full app
+  window.s3UploaderBaseUrl = base;
+
+  fetch(new URL('asset-manifest.json', base), { cache: 'no-store' })
+    .then(function (response) {
+      if (!response.ok) throw new Error('HTTP error! status: ' + response.status);
+      return response.json();
+    })
+    .then(function (manifest) {
+      manifest.entrypoints.forEach(function (path) {
+        var url = new URL(path, base).href;
+        if (/\.css$/.test(path)) {
+          var link = document.createElement('link');
+          link.rel = 'stylesheet';
+          link.href = url;
+          document.head.appendChild(link);
+        } else {
+          var bundle = document.createElement('script');
+          bundle.src = url;
+          document.head.appendChild(bundle);
+        }
+      });
+    })
+    .catch(function (error) {
+      console.error('The uploader could not be loaded:', error.message);
+    });
+})();
@@ -0,0 +1,110 @@
+/* eslint-disable no-restricted-globals */
+// SHA-256 of a Blob, computed off the main thread (see src/uploader/checksum.js).
+// SubtleCrypto can only digest a whole buffer at once, so this streams the file through its
+// own SHA-256 in chunks and large files never have to fit in memory.
+//
+// In:  { blob, chunkSize }
+// Out: { type: 'progress', loaded, total } ... then { type: 'done', hex, base64 } or { type: 'error', message }
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+const createSha256 = () => {
+  const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const W = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let buffered = 0;
+  let length = 0;
+
+  const compress = (bytes, offset) => {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      W[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+      const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+      W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    H[0] += a;
+    H[1] += b;
+    H[2] += c;
+    H[3] += d;
+    H[4] += e;
+    H[5] += f;
+    H[6] += g;
+    H[7] += h;
+  };
+
+  const update = (data) => {
+    length += data.length;
+    let i = 0;
+    if (buffered) {
+      i = Math.min(64 - buffered, data.length);
+      block.set(data.subarray(0, i), buffered);
+      buffered += i;
+      if (buffered < 64) return;
+      compress(block, 0);
+      buffered = 0;
+    }
+    for (; i + 64 <= data.length; i += 64) compress(data, i);
+    block.set(data.subarray(i), 0);
+    buffered = data.length - i;
+  };
+
+  const digest = () => {
+    const bits = length * 8;
+    const padding = new Uint8Array((buffered < 56 ? 56 : 120) - buffered + 8);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    update(padding);
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    H.forEach((word, i) => outView.setUint32(i * 4, word));
+    return out;
+  };
+
+  return { update, digest };
+};
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+self.onmessage = async ({ data: { blob, chunkSize = 4 * 1024 * 1024 } }) => {
+  try {
+    const sha256 = createSha256();
+    for (let offset = 0; offset < blob.size; offset += chunkSize) {
+      sha256.update(new Uint8Array(await blob.slice(offset, offset + chunkSize).arrayBuffer()));
+      self.postMessage({ type: 'progress', loaded: Math.min(offset + chunkSize, blob.size), total: blob.size });
+    }
+    const digest = sha256.digest();
+    self.postMessage({ type: 'done', hex: toHex(digest), base64: toBase64(digest) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
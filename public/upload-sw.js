@@ -0,0 +1,245 @@
+/* eslint-disable no-restricted-globals */
+// Service worker that sends uploads the page couldn't: files queued while offline and uploads
+// the network dropped (see src/offlineQueue.js). They wait in the app's IndexedDB and go out
+// through Background Sync once the browser is back online, even with the tab closed.
+// Browsers without Background Sync get a 'send-offline-uploads' message from the page instead.
+//
+// Each file is presigned and PUT in one piece, then its scan is polled; the verdict is written
+// to the upload history and shown as a notification. Texts come translated from the page.
+//
+// Offline upload entries (store offlineUploads, keyed by id):
+//   { id, file, name, size, type, sha256, metadata, apiUrl, accessToken, messages,
+//     status: 'waiting' | 'sending' | 'scanning' | 'failed', error, fileId, queuedAt, startedAt, uploadTime }
+// `messages` are the notification texts: { title, clean, infected, failed, error }.
+
+const DB_NAME = 'file-upload-ui';
+// The schema version this worker was written for (DB_VERSION in src/idb.js, checked by its tests)
+const DB_VERSION = 3;
+const QUEUE = 'offlineUploads';
+const HISTORY = 'uploadHistory';
+const SYNC_TAG = 'offline-uploads';
+// A sync event gets a few minutes; polling stops before that and the next sync carries on
+const POLL_INTERVAL_MS = 5000;
+const POLL_BUDGET_MS = 2 * 60 * 1000;
+// Final uploadedStatus values and what they mean, as in src/uploader/scanResult.js (checked by its tests)
+const VERDICT_STATES = {
+  NO_THREATS_FOUND: 'clean',
+  MOVED_TO_MALWARE_BUCKET: 'infected',
+  FAILED: 'failed',
+  THREATS_FOUND: 'infected',
+  UNSUPPORTED: 'failed',
+  ACCESS_DENIED: 'failed',
+};
+
+// The page owns the schema (src/idb.js). A database the page hasn't created yet, or hasn't
+// upgraded, has nothing to send, so the upgrade is called off instead of half-done here.
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.transaction.abort();
+  request.onsuccess = () => {
+    const db = request.result;
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (storeName, mode, run) => {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = run(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const getAll = storeName => withStore(storeName, 'readonly', store => store.getAll());
+const get = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+const put = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+const remove = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+// Open pages reload their lists
+const notifyPages = async () => {
+  const pages = await self.clients.matchAll({ type: 'window' });
+  pages.forEach(page => page.postMessage({ source: 'upload-sw', type: 'offline-uploads-changed' }));
+};
+
+const update = async (entry, patch) => {
+  const next = { ...entry, ...patch };
+  await put(QUEUE, next);
+  await notifyPages();
+  return next;
+};
+
+const updateHistory = async (fileId, patch) => {
+  const entry = await get(HISTORY, fileId);
+  await put(HISTORY, { ...entry, ...patch });
+};
+
+const notify = (entry, text) => self.registration.showNotification(entry.messages.title, {
+  body: text,
+  tag: `upload-${entry.id}`,
+  icon: 'logo192.png',
+});
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const toBase64 = bytes => btoa(String.fromCharCode(...bytes));
+
+const sha256Of = async (blob) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  return { hex: toHex(digest), base64: toBase64(digest) };
+};
+
+class HttpError extends Error {
+  constructor(status) {
+    super(`HTTP error! status: ${status}`);
+    this.status = status;
+  }
+}
+
+const apiRequest = async (entry, path) => {
+  const response = await fetch(`${entry.apiUrl}${path}`, {
+    headers: entry.accessToken ? { Authorization: `Bearer ${entry.accessToken}` } : {},
+  });
+  if (!response.ok) throw new HttpError(response.status);
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
+const send = async (queued) => {
+  let entry = await update(queued, { status: 'sending', error: null });
+  const sha256 = entry.sha256 || await sha256Of(entry.file);
+  const params = new URLSearchParams({ filename: entry.name, checksumSha256: sha256.base64 });
+  if (Object.keys(entry.metadata).length) params.set('metadata', JSON.stringify(entry.metadata));
+  const config = await apiRequest(entry, `/presign?${params}`);
+  if (!config?.url) throw new Error('Upload URL not found in pre-signed response');
+
+  const startedAt = new Date().toISOString();
+  const start = Date.now();
+  const response = await fetch(config.url, {
+    method: 'PUT',
+    body: entry.file,
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'x-amz-checksum-sha256': sha256.base64,
+      ...Object.fromEntries(Object.entries(entry.metadata).map(([key, value]) => [`x-amz-meta-${key}`, value])),
+    },
+  });
+  if (!response.ok) throw new HttpError(response.status);
+
+  const uploadTime = Date.now() - start;
+  // Same shape as the page's own history entries (src/uploadHistory.js)
+  await put(HISTORY, {
+    fileId: config.fileId,
+    name: entry.name,
+    size: entry.size,
+    type: entry.type,
+    sha256: sha256.hex,
+    metadata: entry.metadata,
+    bucket: config.bucket,
+    key: config.key,
+    startedAt,
+    uploadTime,
+    verdict: null,
+    checkedAt: null,
+  });
+  // The file itself isn't needed anymore, only its scan
+  entry = await update(entry, { status: 'scanning', file: null, fileId: config.fileId, startedAt, uploadTime });
+  return entry;
+};
+
+const threatsOf = data => [].concat(data.threats ?? data.threatNames ?? []).map(threat => threat?.name ?? threat).filter(Boolean);
+
+// Resolves true once the verdict is in, false when the scan outlasts this sync
+const followScan = async (entry, deadline) => {
+  while (Date.now() < deadline) {
+    const data = await apiRequest(entry, `/file-upload/${entry.fileId}`);
+    const verdict = String(data?.uploadedStatus ?? '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    const state = VERDICT_STATES[verdict];
+    if (state) {
+      await updateHistory(entry.fileId, { verdict: data.uploadedStatus, threats: threatsOf(data), checkedAt: new Date().toISOString() });
+      await remove(QUEUE, entry.id);
+      await notifyPages();
+      await notify(entry, entry.messages[state]);
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return false;
+};
+
+const isNetworkError = error => error instanceof TypeError;
+
+// Resolves false while the entry is worth another try in the next sync
+const handleFailure = async (entry, error) => {
+  if (isNetworkError(error)) {
+    await update(entry, { status: entry.fileId ? 'scanning' : 'waiting', error: null });
+    return false;
+  }
+  if (error.status === 401) {
+    // Waits for the page to hand over a fresh token (src/offlineQueue.js)
+    await update(entry, { status: entry.fileId ? 'scanning' : 'waiting', error: 'signed-out' });
+  } else {
+    await update(entry, { status: 'failed', error: error.message });
+    await notify(entry, entry.messages.error);
+  }
+  return true;
+};
+
+// Every file is sent first and the scans are followed together afterwards, so one slow scan
+// doesn't hold back the uploads queued after it. Rejects while something is left to do, so the
+// browser schedules another sync with backoff. Failed uploads stay until the page retries or
+// removes them.
+const sendAll = async () => {
+  const deadline = Date.now() + POLL_BUDGET_MS;
+  const results = [];
+  const scanning = [];
+  for (const entry of await getAll(QUEUE)) {
+    if (entry.status === 'failed') continue;
+    if (entry.status === 'scanning') {
+      scanning.push(entry);
+      continue;
+    }
+    try {
+      scanning.push(await send(entry));
+    } catch (error) {
+      results.push(await handleFailure(entry, error));
+    }
+  }
+  results.push(...await Promise.all(scanning.map(entry => (
+    followScan(entry, deadline).catch(error => handleFailure(entry, error))
+  ))));
+  const unfinished = results.filter(finished => !finished).length;
+  if (unfinished) throw new Error(`${unfinished} offline upload(s) not finished yet`);
+};
+
+// A sync and a message from the page can arrive together; the second one waits for the first
+let running = null;
+const sendOfflineUploads = () => {
+  running = running || sendAll().finally(() => { running = null; });
+  return running;
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(sendOfflineUploads());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'send-offline-uploads') event.waitUntil(sendOfflineUploads().catch(() => {}));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window' }).then(pages => (
+    pages.length ? pages[0].focus() : self.clients.openWindow(self.registration.scope)
+  )));
+});
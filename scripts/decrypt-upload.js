@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Restores a file the uploader encrypted in the browser (see src/uploader/encryption.js).
+//
+//   npm run decrypt -- --key private.pem --metadata meta.json encrypted.bin original.pdf
+//
+// --metadata is the object's user metadata, as printed by
+//   aws s3api head-object --bucket <bucket> --key <key> > meta.json
+// or a plain { "encryption": ..., "encryption-key": ... } map, with or without the x-amz-meta- prefix.
+// A passphrase-protected key is opened with DECRYPT_KEY_PASSPHRASE.
+//
+// The key pair is created once, and only the public half goes into the config:
+//   openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:3072 -aes-256-cbc -out private.pem
+//   openssl pkey -in private.pem -pubout -out public.pem
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SCHEME = 'aes-256-gcm-chunked-v1';
+const TAG_BYTES = 16;
+const NONCE_BYTES = 8;
+
+const usage = 'Usage: decrypt-upload --key private.pem --metadata meta.json <encrypted file> <output file>';
+
+// head-object output or a plain map; keys lower-cased and without the header prefix
+const readMetadata = (json) => {
+  const parsed = JSON.parse(json);
+  const map = parsed.Metadata || parsed.metadata || parsed;
+  return Object.fromEntries(Object.entries(map).map(([key, value]) => [key.toLowerCase().replace(/^x-amz-meta-/, ''), value]));
+};
+
+const chunkIv = (nonce, index) => {
+  const iv = Buffer.alloc(12);
+  nonce.copy(iv);
+  iv.writeUInt32BE(index, NONCE_BYTES);
+  return iv;
+};
+
+const chunkParams = (index, isLast) => {
+  const params = Buffer.alloc(5);
+  params.writeUInt32BE(index);
+  params[4] = isLast ? 1 : 0;
+  return params;
+};
+
+const unwrapKey = (metadata, privateKey) => crypto.privateDecrypt(
+  { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+  Buffer.from(metadata['encryption-key'], 'base64url'),
+);
+
+// Decrypts `readChunk(offset, length)` chunk by chunk into `writeChunk(buffer)`. Throws when
+// the file was altered, truncated or encrypted for another key.
+const decryptChunks = (metadata, fileKey, size, readChunk, writeChunk) => {
+  if (metadata.encryption !== SCHEME) throw new Error(`Not encrypted with ${SCHEME}: ${metadata.encryption || 'no encryption metadata'}`);
+  const nonce = Buffer.from(metadata['encryption-nonce'], 'base64url');
+  const cipherChunkSize = Number(metadata['encryption-chunk-size']) + TAG_BYTES;
+  const chunkCount = Math.max(1, Math.ceil(size / cipherChunkSize));
+  let written = 0;
+  for (let index = 0; index < chunkCount; index++) {
+    const chunk = readChunk(index * cipherChunkSize, Math.min(cipherChunkSize, size - index * cipherChunkSize));
+    if (chunk.length < TAG_BYTES) throw new Error('Encrypted file is truncated');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, chunkIv(nonce, index), { authTagLength: TAG_BYTES });
+    decipher.setAAD(chunkParams(index, index === chunkCount - 1));
+    decipher.setAuthTag(chunk.subarray(chunk.length - TAG_BYTES));
+    const plaintext = decipher.update(chunk.subarray(0, chunk.length - TAG_BYTES));
+    try {
+      decipher.final();
+    } catch {
+      throw new Error(`Chunk ${index} does not authenticate: the file was altered, truncated or encrypted for another key`);
+    }
+    writeChunk(plaintext);
+    written += plaintext.length;
+  }
+  const expected = Number(metadata['plaintext-size']);
+  if (metadata['plaintext-size'] != null && written !== expected) throw new Error(`Expected ${expected} bytes, got ${written}`);
+  return written;
+};
+
+const parseArgs = (args) => {
+  const options = { files: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--key') options.key = args[++i];
+    else if (args[i] === '--metadata') options.metadata = args[++i];
+    else options.files.push(args[i]);
+  }
+  return options;
+};
+
+const main = () => {
+  const { key, metadata: metadataPath, files: [input, output] } = parseArgs(process.argv.slice(2));
+  if (!key || !metadataPath || !input || !output) {
+    console.error(usage);
+    process.exit(2);
+  }
+  const metadata = readMetadata(fs.readFileSync(metadataPath, 'utf8'));
+  const privateKey = crypto.createPrivateKey({ key: fs.readFileSync(key), passphrase: process.env.DECRYPT_KEY_PASSPHRASE });
+  const fileKey = unwrapKey(metadata, privateKey);
+
+  const inputFd = fs.openSync(input, 'r');
+  // Written next to the output and renamed at the end, so a failed run leaves no half-decrypted file
+  const partial = `${output}.partial`;
+  const outputFd = fs.openSync(partial, 'w');
+  let written;
+  try {
+    const readChunk = (offset, length) => {
+      const buffer = Buffer.alloc(Math.max(0, length));
+      fs.readSync(inputFd, buffer, 0, buffer.length, offset);
+      return buffer;
+    };
+    written = decryptChunks(metadata, fileKey, fs.fstatSync(inputFd).size, readChunk, chunk => fs.writeSync(outputFd, chunk));
+  } finally {
+    fs.closeSync(inputFd);
+    fs.closeSync(outputFd);
+    if (written === undefined) fs.rmSync(partial, { force: true });
+  }
+  fs.renameSync(partial, output);
+  const type = metadata['plaintext-type'] ? decodeURIComponent(metadata['plaintext-type']) : 'unknown type';
+  console.log(`Decrypted ${written} bytes (${type}) to ${output}`);
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { readMetadata, unwrapKey, decryptChunks };
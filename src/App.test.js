@@ -1,8 +1,40 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { server } from './mocks/server';
+import { createMockApi } from './mocks/handlers';
 
-test('renders learn react link', () => {
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+test('renders the upload form when sign-in is not configured', async () => {
+  server.use(...createMockApi().handlers);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: 'AWS S3 File Upload' })).toBeInTheDocument();
+  expect(screen.getByText('Drag & Drop your files or folders here')).toBeInTheDocument();
+  // The mock backend has no policy or metadata schema of its own, so the defaults stay
+  await waitFor(() => expect(console.warn).toHaveBeenCalledTimes(2));
+});
+
+test('switches the language and the text direction', async () => {
+  server.use(...createMockApi().handlers);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await waitFor(() => expect(console.warn).toHaveBeenCalledTimes(2));
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'de' } });
+  expect(screen.getByRole('heading', { name: 'AWS-S3-Datei-Upload' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Alle hochladen' })).toBeDisabled();
+  expect(document.documentElement).toHaveAttribute('lang', 'de');
+  expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Sprache' }), { target: { value: 'ar' } });
+  expect(screen.getByRole('heading', { name: 'رفع الملفات إلى AWS S3' })).toBeInTheDocument();
+  expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+  expect(localStorage.getItem('locale')).toBe('ar');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'اللغة' }), { target: { value: 'en' } });
+  localStorage.clear();
 });
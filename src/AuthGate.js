@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { useConfig } from './config';
+import { localized, useI18n } from './i18n';
+import { isAuthEnabled, isSignedIn, onAuthChange, handleRedirectCallback, login, logout, getUser } from './auth';
+
+// `error` is { key, message }, translated here so it follows language changes
+const LoginScreen = ({ error, onLogin, isRedirecting, ui }) => {
+  const { t } = useI18n();
+  return (
+    <div className="container mt-5">
+      <div className="row justify-content-center">
+        <div className="col-md-6">
+          <div className="card shadow">
+            <div className="card-header">
+              <h1 className="h3 mb-0">{localized(ui.title) || t('app.title')}</h1>
+            </div>
+            <div className="card-body text-center">
+              <div style={{ fontSize: '3rem' }} className="mb-3" aria-hidden="true">🔒</div>
+              <h2 className="h5">{localized(ui.signInTitle) || t('auth.signInTitle')}</h2>
+              <p className="text-muted">{localized(ui.signInMessage) || t('auth.signInMessage')}</p>
+              {error && <div className="alert alert-danger">{t(error.key, { message: error.message })}</div>}
+              <button className="btn btn-primary" onClick={onLogin} disabled={isRedirecting}>
+                {isRedirecting ? t('auth.redirecting') : t('auth.signIn')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Renders its children only for signed-in users when auth is configured; otherwise passes through
+const AuthGate = ({ children }) => {
+  const { ui } = useConfig();
+  const { t } = useI18n();
+  const [status, setStatus] = useState(isAuthEnabled() ? 'checking' : 'disabled');
+  const [error, setError] = useState(null);
+  const [isRedirecting, setIsRedirecting] = useState(false);
+
+  useEffect(() => {
+    if (!isAuthEnabled()) return undefined;
+    const update = () => setStatus(isSignedIn() ? 'signedIn' : 'signedOut');
+    const unsubscribe = onAuthChange(update);
+    handleRedirectCallback()
+      .catch((err) => {
+        console.error('Sign-in error:', err);
+        setError({ key: 'auth.signInFailed', message: err.message });
+      })
+      .finally(update);
+    return unsubscribe;
+  }, []);
+
+  const handleLogin = async () => {
+    setError(null);
+    setIsRedirecting(true);
+    try {
+      await login();
+    } catch (err) {
+      setError({ key: 'auth.startFailed', message: err.message });
+      setIsRedirecting(false);
+    }
+  };
+
+  if (status === 'disabled') return children;
+  if (status === 'checking') {
+    return (
+      <div className="text-center mt-5">
+        <div className="spinner-border text-primary"></div>
+      </div>
+    );
+  }
+  if (status === 'signedOut') return <LoginScreen error={error} onLogin={handleLogin} isRedirecting={isRedirecting} ui={ui} />;
+
+  const user = getUser();
+  return (
+    <>
+      <div className="container d-flex justify-content-end align-items-center gap-2 mt-3 small">
+        {user?.name && <span className="text-muted">{t('auth.signedInAs', { name: user.name })}</span>}
+        <button className="btn btn-sm btn-outline-secondary" onClick={logout}>{t('auth.signOut')}</button>
+      </div>
+      {children}
+    </>
+  );
+};
+
+export default AuthGate;
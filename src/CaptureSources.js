@@ -0,0 +1,140 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { formatDuration } from './format';
+import { useConfig } from './config';
+import { useI18n } from './i18n';
+import { canCapture, captureScreenshot, describeCaptureError, grabFrame, recordStream, stopStream } from './capture';
+
+// Live camera view with a shutter button. The camera is released when the view closes.
+const CameraView = ({ onCapture, onError, onClose }) => {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const [stream, setStream] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    let opened = null;
+    // Prefer the back camera on phones; laptops just use what they have
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment', width: { ideal: 1920 } }, audio: false })
+      .then((media) => {
+        opened = media;
+        if (!active) return stopStream(media);
+        videoRef.current.srcObject = media;
+        setStream(media);
+      })
+      .catch((error) => {
+        if (!active) return;
+        onError(describeCaptureError(error, 'camera'));
+        onClose();
+      });
+    return () => {
+      active = false;
+      stopStream(opened);
+    };
+  }, [onError, onClose]);
+
+  const handleTakePhoto = async () => {
+    try {
+      onCapture(await grabFrame(videoRef.current, 'photo', { type: 'image/jpeg', quality: 0.92 }));
+      onClose();
+    } catch (error) {
+      onError(describeCaptureError(error, 'camera'));
+    }
+  };
+
+  return (
+    <div className="border rounded p-2 mt-2 text-center">
+      <video ref={videoRef} autoPlay playsInline muted className="w-100 rounded bg-dark" style={{ maxHeight: 360 }} />
+      <div className="d-flex justify-content-center gap-2 mt-2">
+        <button className="btn btn-sm btn-primary" disabled={!stream} onClick={handleTakePhoto}>{t('capture.takePhoto')}</button>
+        <button className="btn btn-sm btn-outline-secondary" onClick={onClose}>{t('capture.close')}</button>
+      </div>
+    </div>
+  );
+};
+
+// Buttons for the camera and screen capture sources; each capture is handed to `onCapture(file)`.
+// Sources the browser doesn't support aren't offered.
+const CaptureSources = ({ onCapture }) => {
+  const { t } = useI18n();
+  const { maxRecordingSeconds } = useConfig().upload;
+  const [support] = useState(canCapture);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [error, setError] = useState(null);
+
+  // Stable, so the camera isn't reopened on every render
+  const closeCamera = useCallback(() => setCameraOpen(false), []);
+  const showError = useCallback(message => setError(message), []);
+
+  // A recording in progress is stopped if the component goes away
+  useEffect(() => () => recording?.stop(), [recording]);
+
+  useEffect(() => {
+    if (!recording) return;
+    const startedAt = Date.now();
+    const timer = setInterval(() => setElapsed((Date.now() - startedAt) / 1000), 1000);
+    return () => clearInterval(timer);
+  }, [recording]);
+
+  const handleScreenshot = async () => {
+    setError(null);
+    try {
+      onCapture(await captureScreenshot());
+    } catch (captureError) {
+      setError(describeCaptureError(captureError, 'screen'));
+    }
+  };
+
+  const handleRecord = async () => {
+    setError(null);
+    let session;
+    try {
+      const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+      session = recordStream(stream, { maxSeconds: maxRecordingSeconds });
+    } catch (captureError) {
+      setError(describeCaptureError(captureError, 'screen'));
+      return;
+    }
+    setElapsed(0);
+    setRecording(session);
+    try {
+      onCapture(await session.done);
+    } catch (captureError) {
+      setError(describeCaptureError(captureError, 'screen'));
+    } finally {
+      setRecording(null);
+    }
+  };
+
+  if (!support.camera && !support.screen) return null;
+
+  return (
+    <>
+      {support.camera && (
+        <button className="btn btn-sm btn-outline-secondary" disabled={cameraOpen} onClick={() => { setError(null); setCameraOpen(true); }}>
+          <span aria-hidden="true">📷</span> {t('capture.takePhoto')}
+        </button>
+      )}
+      {support.screen && (
+        <button className="btn btn-sm btn-outline-secondary" disabled={Boolean(recording)} onClick={handleScreenshot}><span aria-hidden="true">🖥️</span> {t('capture.screenshot')}</button>
+      )}
+      {support.record && (recording ? (
+        <button className="btn btn-sm btn-danger" onClick={() => recording.stop()}>
+          <span aria-hidden="true">⏹</span> {t('capture.stop', { elapsed: formatDuration(elapsed), max: formatDuration(maxRecordingSeconds) })}
+        </button>
+      ) : (
+        <button className="btn btn-sm btn-outline-secondary" onClick={handleRecord}><span aria-hidden="true">🎬</span> {t('capture.record')}</button>
+      ))}
+
+      {cameraOpen && (
+        <div className="w-100">
+          <CameraView onCapture={onCapture} onError={showError} onClose={closeCamera} />
+        </div>
+      )}
+      {error && <div className="w-100 small text-danger" role="alert">{error}</div>}
+    </>
+  );
+};
+
+export default CaptureSources;
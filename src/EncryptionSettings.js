@@ -0,0 +1,30 @@
+import React, { useId } from 'react';
+import { useI18n } from './i18n';
+
+// Opt-in client-side encryption (see src/uploader/encryption.js); only offered when there's a key
+const EncryptionSettings = ({ enabled, keyId, onChange }) => {
+  const { t } = useI18n();
+  const id = useId();
+
+  return (
+    <div className="border rounded p-3 mt-3 small">
+      <div className="form-check form-switch">
+        <input
+          id={id}
+          className="form-check-input"
+          type="checkbox"
+          checked={enabled}
+          aria-describedby={`${id}-hint`}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+        <label className="form-check-label" htmlFor={id}>{t('encryption.enabled')}</label>
+      </div>
+      <div id={`${id}-hint`} className="text-muted mt-1">
+        {t('encryption.hint')}
+        {keyId && ` ${t('encryption.keyId', { keyId })}`}
+      </div>
+    </div>
+  );
+};
+
+export default EncryptionSettings;
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { extractFileInfo, fileKind, KIND_ICONS } from './fileInfo';
+import { formatDate } from './format';
+import { useI18n } from './i18n';
+
+// An object URL for `file` that lives as long as the component using it
+const useObjectUrl = (file, enabled = true) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!enabled || typeof URL.createObjectURL !== 'function') return;
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => {
+      URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [file, enabled]);
+  return url;
+};
+
+// Small square thumbnail for images, a type icon for everything else
+export const FileThumbnail = ({ file, size = 40 }) => {
+  const kind = fileKind(file);
+  const url = useObjectUrl(file, kind === 'image');
+
+  if (url) {
+    return <img src={url} alt="" className="rounded flex-shrink-0" style={{ width: size, height: size, objectFit: 'cover' }} />;
+  }
+  return (
+    <span className="flex-shrink-0 text-center" style={{ width: size, fontSize: size * 0.6 }} aria-hidden="true">
+      {KIND_ICONS[kind]}
+    </span>
+  );
+};
+
+// Preview plus extracted metadata for the File Information card
+const FilePreview = ({ file }) => {
+  const { t } = useI18n();
+  const url = useObjectUrl(file);
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    // Wait for the object URL where the browser can make one; images and media need it
+    if (!url && typeof URL.createObjectURL === 'function') return;
+    let active = true;
+    setInfo(null);
+    extractFileInfo(file, url).then(result => active && setInfo(result));
+    return () => { active = false; };
+  }, [file, url]);
+
+  const kind = fileKind(file);
+
+  return (
+    <div>
+      {/* Preview */}
+      {url && kind === 'image' && (
+        <img src={url} alt={t('preview.image', { name: file.name })} className="img-fluid rounded mb-2" style={{ maxHeight: 240 }} />
+      )}
+      {url && kind === 'pdf' && (
+        <iframe src={`${url}#page=1&view=FitH`} title={t('preview.pdf', { name: file.name })} className="w-100 rounded border mb-2" style={{ height: 320 }} />
+      )}
+      {url && kind === 'audio' && <audio src={url} controls preload="metadata" className="w-100 mb-2" />}
+      {url && kind === 'video' && <video src={url} controls preload="metadata" className="w-100 rounded mb-2" style={{ maxHeight: 240 }} />}
+      {info?.excerpt && (
+        <pre className="bg-light border rounded p-2 small mb-2" style={{ maxHeight: 200, overflow: 'auto', whiteSpace: 'pre-wrap' }}>
+          {info.excerpt}
+        </pre>
+      )}
+
+      {/* Metadata */}
+      <div><strong>{t('preview.lastModified')}:</strong> {formatDate(file.lastModified)}</div>
+      {info === null && <div className="text-muted">{t('preview.reading')}</div>}
+      {info?.metadata.map(({ label, value }) => (
+        <div key={label}><strong>{t(`preview.info.${label}`)}:</strong> {value}</div>
+      ))}
+    </div>
+  );
+};
+
+export default FilePreview;
@@ -0,0 +1,442 @@
+import React, { useEffect, useId, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { formatFileSize } from './format';
+import { apiCall } from './api';
+import { useConfig } from './config';
+import {
+  useFileUpload, acceptAttribute, fileFingerprint, listUnfinishedUploads, discardUnfinishedUpload, filesFromDataTransfer, filesFromInput,
+  importPublicKey, ENCRYPTION_METADATA_BYTES,
+} from './uploader';
+import UploadQueueRow, { BUSY } from './UploadQueueRow';
+import { FileThumbnail } from './FilePreview';
+import FolderSummary from './FolderSummary';
+import CaptureSources from './CaptureSources';
+import { filesFromClipboard } from './capture';
+import ImageProcessingSettings, { loadImageOptions, saveImageOptions } from './ImageProcessingSettings';
+import MetadataForm from './MetadataForm';
+import EncryptionSettings from './EncryptionSettings';
+import { initialValues, normalizeSchema, toS3Metadata, validateMetadata } from './metadataSchema';
+import UploadHistory from './UploadHistory';
+import OfflineUploads from './OfflineUploads';
+import { askForNotifications, isOfflineQueueAvailable, queueOfflineUpload } from './offlineQueue';
+import { recordUpload, updateHistoryEntry } from './uploadHistory';
+import LiveRegion from './LiveRegion';
+import { announcementFor, summarizeAnnouncements } from './announcements';
+import { localized, useI18n } from './i18n';
+import { integrationEventsFor } from './embed/integrationEvents';
+
+const recordInHistory = ({ file, path, config, startedAt, uploadTime, sha256, metadata, encrypted }) => recordUpload({
+  fileId: config.fileId,
+  name: path,
+  size: file.size,
+  type: file.type,
+  sha256: sha256.hex,
+  metadata,
+  encrypted,
+  bucket: config.bucket,
+  key: config.key,
+  startedAt,
+  uploadTime,
+});
+
+const recordVerdict = ({ config, scanStatus, scanResult }) =>
+  updateHistoryEntry(config.fileId, { verdict: scanStatus, threats: scanResult.threats, checkedAt: new Date().toISOString() });
+
+// Remediation actions offered in the verdict panel; both are noted in the history
+const reportFalsePositive = async ({ config, sha256 }, comment) => {
+  await apiCall.reportFalsePositive(config.fileId, { comment, sha256: sha256?.hex });
+  updateHistoryEntry(config.fileId, { falsePositiveReportedAt: new Date().toISOString() });
+};
+
+const deleteUpload = async ({ config }) => {
+  await apiCall.deleteUpload(config.fileId);
+  updateHistoryEntry(config.fileId, { deletedAt: new Date().toISOString() });
+};
+
+// The configured key is used as is. Without one, the API is asked for its key, but only when the
+// switch starts on (an API with no key answers 404). Either way the key is imported once per page
+// and shared by every uploader on it.
+const encryptionKeys = new Map();
+const loadEncryptionKey = ({ enabled, publicKey, keyId = '' }) => {
+  if (!publicKey && !enabled) return Promise.resolve(null);
+  const cacheKey = publicKey ? `${keyId}:${publicKey}` : 'served';
+  if (!encryptionKeys.has(cacheKey)) {
+    const loading = (async () => {
+      const source = publicKey
+        ? { publicKey, keyId }
+        : await apiCall.getEncryptionKey().catch((error) => {
+          if (error.status === 404) return null;
+          throw error;
+        });
+      if (!source?.publicKey) return null;
+      return { publicKey: await importPublicKey(source.publicKey), keyId: source.keyId || '' };
+    })();
+    // A failure (offline, server error) is tried again by the next uploader
+    loading.catch(() => encryptionKeys.delete(cacheKey));
+    encryptionKeys.set(cacheKey, loading);
+  }
+  return encryptionKeys.get(cacheKey);
+};
+
+// File Upload Component. `embedded` is the compact form for other pages (see src/embed): just the
+// card, headed by `title` if one is given, without the upload history. `onEvent` receives the
+// integration events, and `ref` gets { uploadAll, reset, setMetadata(values) }.
+const FileUpload = ({ embedded = false, title, onEvent, ref }) => {
+  const config = useConfig();
+  const { ui } = config;
+  const { t } = useI18n();
+  const [dragOver, setDragOver] = useState(false);
+  const [unfinished, setUnfinished] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [imageOptions, setImageOptions] = useState(() => loadImageOptions(config.imageProcessing));
+  const [schema, setSchema] = useState(config.metadataSchema);
+  const [metadataValues, setMetadataValues] = useState(() => initialValues(config.metadataSchema));
+  const [showMetadataErrors, setShowMetadataErrors] = useState(false);
+  const [encryptionKey, setEncryptionKey] = useState(null);
+  const [encryptionEnabled, setEncryptionEnabled] = useState(config.encryption.enabled);
+  const [announcement, setAnnouncement] = useState({ polite: '', urgent: '' });
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const dropZoneRef = useRef(null);
+  const queueHeadingRef = useRef(null);
+  const previousItemsRef = useRef(new Map());
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+  const dropZoneId = useId();
+
+  // Multipart uploads left over from an earlier session, resumable by picking the same file
+  const refreshUnfinished = () => listUnfinishedUploads().then(setUnfinished);
+
+  const encryption = encryptionEnabled ? encryptionKey : null;
+  // The decryption parameters share the 2 KB of S3 metadata with the form
+  const metadataErrors = validateMetadata(metadataValues, schema, { reservedBytes: encryption ? ENCRYPTION_METADATA_BYTES : 0 });
+  const metadataValid = Object.keys(metadataErrors).length === 0;
+  const metadata = useMemo(() => toS3Metadata(metadataValues, schema), [metadataValues, schema]);
+
+  const { items, policy, addFiles, uploadAll, retry, remove, keepChecking, cancel, pause, resume, reset } = useFileUpload({
+    transport: apiCall,
+    policy: config.policy,
+    concurrency: config.upload.concurrency,
+    multipartThreshold: config.upload.multipartThreshold,
+    multipartOptions: { partSize: config.upload.partSize, concurrency: config.upload.partConcurrency },
+    trackerOptions: config.polling,
+    imageOptions,
+    metadata,
+    encryption,
+    onUploaded: recordInHistory,
+    onVerdict: recordVerdict,
+    onStateChange: ({ from, to, snapshot }) => {
+      if (['presigning', 'uploading', 'paused'].includes(from)) refreshUnfinished();
+      // Single-PUT uploads the network dropped go to the service worker; multipart ones can resume here.
+      // The worker only sends files as they are, so encrypted ones stay.
+      if (to === 'error' && !snapshot.multipart && !snapshot.encrypted && !encryption && !navigator.onLine && isOfflineQueueAvailable()) {
+        sendLater(snapshot, snapshot.metadata);
+        setNotice({ type: 'info', key: 'offline.moved', params: { name: snapshot.path } });
+      }
+    },
+  });
+
+  // Hands a queue item to the service worker (see src/offlineQueue.js) and takes it off the queue
+  const sendLater = ({ id, file, path, sha256 }, s3Metadata) => {
+    queueOfflineUpload({ file, name: path, sha256, metadata: s3Metadata })
+      .catch(error => console.error('Could not queue the upload for later:', error));
+    remove(id);
+  };
+
+  useEffect(() => {
+    refreshUnfinished();
+  }, []);
+
+  // Announce what changed in the queue since the last render: new states, upload progress, verdicts.
+  // An embedding page hears about the same changes through onEvent.
+  useEffect(() => {
+    const previous = previousItemsRef.current;
+    previousItemsRef.current = new Map(items.map(item => [item.id, item]));
+    const announcements = items.map(item => announcementFor(previous.get(item.id), item)).filter(Boolean);
+    const polite = summarizeAnnouncements(announcements.filter(a => !a.urgent));
+    const urgent = summarizeAnnouncements(announcements.filter(a => a.urgent));
+    if (polite || urgent) setAnnouncement(prev => ({ polite: polite || prev.polite, urgent: urgent || prev.urgent }));
+    if (onEventRef.current) {
+      items.flatMap(item => integrationEventsFor(previous.get(item.id), item)).forEach(event => onEventRef.current(event));
+    }
+  }, [items]);
+
+  // The backend may serve its own schema; values the user already typed are kept where the field still exists
+  useEffect(() => {
+    apiCall.getMetadataSchema()
+      .then((raw) => {
+        const loaded = normalizeSchema(raw);
+        setSchema(loaded);
+        setMetadataValues((prev) => {
+          const next = initialValues(loaded);
+          loaded.forEach((field) => { if (prev[field.name]) next[field.name] = prev[field.name]; });
+          return next;
+        });
+      })
+      .catch(error => console.warn('Metadata schema not available, using defaults:', error.message));
+  }, []);
+
+  // Without a key there's no encryption switch
+  useEffect(() => {
+    let active = true;
+    loadEncryptionKey(config.encryption)
+      .then(key => active && setEncryptionKey(key))
+      .catch(error => console.warn('Encryption key could not be loaded, encryption is off:', error.message));
+    return () => { active = false; };
+  }, [config.encryption]);
+
+  const handleUploadAll = () => {
+    if (!metadataValid) {
+      setShowMetadataErrors(true);
+      return;
+    }
+    if (!navigator.onLine && !encryption && isOfflineQueueAvailable()) {
+      askForNotifications();
+      const ready = items.filter(item => item.status === 'ready');
+      ready.forEach(item => sendLater(item, metadata));
+      setNotice({ type: 'info', key: 'offline.queued', params: { count: ready.length } });
+      return;
+    }
+    uploadAll();
+    // The button is disabled now; the queue is where things happen next
+    queueHeadingRef.current?.focus();
+  };
+
+  // Every file is checked against the policy before any network call is made for it.
+  // `files` are { file, path } entries; files from a folder keep their path relative to it.
+  const handleFileSelect = (files) => {
+    const { rejected } = addFiles(files);
+    const added = files.length - rejected;
+    if (added) setAnnouncement(prev => ({ ...prev, polite: t('upload.added', { count: added }) }));
+    setNotice(rejected ? { type: 'warning', key: 'upload.tooMany', params: { max: policy.maxFiles, count: rejected } } : null);
+  };
+  const handleFileSelectRef = useRef(handleFileSelect);
+  handleFileSelectRef.current = handleFileSelect;
+
+  // Ctrl+V anywhere on the page adds pasted screenshots and copied files; text pastes are left alone
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = filesFromClipboard(e.clipboardData);
+      if (!files.length) return;
+      e.preventDefault();
+      handleFileSelectRef.current(files);
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, []);
+
+  // The drop zone is a button: Enter and Space open the file picker like a click does
+  const handleDropZoneKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    fileInputRef.current?.click();
+  };
+  const handleDragOver = (e) => { e.preventDefault(); setDragOver(true); };
+  const handleDragLeave = (e) => { e.preventDefault(); setDragOver(false); };
+  // Dropped folders are walked recursively; that's async, but the entries are taken during the drop
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    filesFromDataTransfer(e.dataTransfer)
+      .then(files => files.length && handleFileSelect(files))
+      .catch(error => setNotice({ type: 'danger', key: 'upload.dropFailed', params: { message: error.message } }));
+  };
+  const handleFileInputChange = (e) => {
+    const files = filesFromInput(e.target.files);
+    if (files.length) handleFileSelect(files);
+    e.target.value = '';
+  };
+
+  const handleImageOptionsChange = (options) => {
+    setImageOptions(options);
+    saveImageOptions(options);
+  };
+
+  const handleDiscardUnfinished = async (state) => {
+    await discardUnfinishedUpload(apiCall, state);
+    refreshUnfinished();
+  };
+
+  // Focus goes to what's left: the queue, or the drop zone once the queue is empty
+  const handleRemove = (id) => {
+    remove(id);
+    (items.length > 1 ? queueHeadingRef : dropZoneRef).current?.focus();
+  };
+
+  // Also cancels whatever is still uploading or being scanned
+  const resetUpload = () => {
+    reset();
+    setNotice(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+    if (folderInputRef.current) folderInputRef.current.value = '';
+    dropZoneRef.current?.focus();
+  };
+
+  useImperativeHandle(ref, () => ({
+    uploadAll: handleUploadAll,
+    reset: resetUpload,
+    // Pre-fills the file details form; fields not in the schema are ignored
+    setMetadata: values => setMetadataValues(prev => ({ ...prev, ...values })),
+  }));
+
+  const readyCount = items.filter(item => item.status === 'ready').length;
+  const isBusy = items.some(item => BUSY.includes(item.status));
+  const totalSize = items.reduce((sum, item) => sum + item.file.size, 0);
+  const queuedFingerprints = items.map(item => fileFingerprint(item.file, item.path));
+  const resumable = unfinished.filter(state => !queuedFingerprints.includes(state.fingerprint));
+  const countOf = (status) => items.filter(item => item.status === status).length;
+
+  const heading = embedded ? title : localized(ui.title) || t('app.title');
+  const uploader = (
+    <>
+      <div className="card shadow">
+        {heading && (
+          <div className="card-header">
+            <h1 className="h3 mb-0">{heading}</h1>
+          </div>
+        )}
+        <div className="card-body">
+
+          {/* Drag & Drop */}
+          <div
+            ref={dropZoneRef}
+            className={`drop-zone ${dragOver ? 'drag-over' : ''} ${items.length ? 'has-file' : ''}`}
+            role="button"
+            tabIndex={0}
+            aria-labelledby={`${dropZoneId}-title`}
+            aria-describedby={`${dropZoneId}-hint`}
+            onKeyDown={handleDropZoneKeyDown}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <div className="drop-zone-content">
+              {items.length ? (
+                <>
+                  <div className="d-flex justify-content-center gap-2 mb-3" aria-hidden="true">
+                    {items.slice(-4).map(item => <FileThumbnail key={item.id} file={item.file} size={64} />)}
+                  </div>
+                  <div id={`${dropZoneId}-title`} className="h5">{t('dropZone.selected', { count: items.length })}</div>
+                  <p id={`${dropZoneId}-hint`} className="text-muted">{t('dropZone.addMore')}</p>
+                </>
+              ) : (
+                <>
+                  <div style={{ fontSize: '3rem' }} className="mb-3" aria-hidden="true">☁️</div>
+                  <div id={`${dropZoneId}-title`} className="h5">{localized(ui.dropZoneTitle) || t('dropZone.title')}</div>
+                  <p id={`${dropZoneId}-hint`} className="text-muted">{localized(ui.dropZoneHint) || t('dropZone.hint')}</p>
+                </>
+              )}
+            </div>
+          </div>
+
+          <input type="file" multiple accept={acceptAttribute(policy)} ref={fileInputRef} onChange={handleFileInputChange} style={{ display: 'none' }} />
+          {/* `accept` is ignored when picking a folder; the policy still rejects what doesn't fit */}
+          <input type="file" webkitdirectory="" ref={folderInputRef} onChange={handleFileInputChange} style={{ display: 'none' }} />
+
+          <div className="d-flex flex-wrap justify-content-center gap-2 mt-2">
+            <button className="btn btn-sm btn-outline-secondary" onClick={() => folderInputRef.current?.click()}>
+              <span aria-hidden="true">📁</span> {t('upload.chooseFolder')}
+            </button>
+            <CaptureSources onCapture={file => handleFileSelect([file])} />
+          </div>
+
+          <ImageProcessingSettings options={imageOptions} onChange={handleImageOptionsChange} />
+
+          {encryptionKey && <EncryptionSettings enabled={encryptionEnabled} keyId={encryptionKey.keyId} onChange={setEncryptionEnabled} />}
+
+          <MetadataForm
+            schema={schema}
+            values={metadataValues}
+            errors={metadataErrors}
+            showErrors={showMetadataErrors}
+            onChange={setMetadataValues}
+          />
+
+          <FolderSummary items={items} />
+
+          {notice && <div className={`alert alert-${notice.type} mt-3`} role="alert">{t(notice.key, notice.params)}</div>}
+
+          {/* Unfinished multipart uploads */}
+          {resumable.length > 0 && (
+            <div className="alert alert-info mt-3">
+              <div className="mb-2">{t('unfinished.intro')}</div>
+              <ul className="mb-0">
+                {resumable.map(state => (
+                  <li key={state.fingerprint}>
+                    {t('unfinished.item', {
+                      name: state.name,
+                      size: formatFileSize(state.size),
+                      sent: state.parts.length,
+                      total: Math.ceil(state.size / state.partSize),
+                    })}
+                    <button className="btn btn-sm btn-link" onClick={() => handleDiscardUnfinished(state)}>{t('unfinished.discard')}</button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {!embedded && <OfflineUploads />}
+
+          {/* Upload Queue */}
+          {items.length > 0 && (
+            <div className="card mt-3">
+              <div className="card-body">
+                <div className="d-flex justify-content-between align-items-center mb-2">
+                  <h2 ref={queueHeadingRef} tabIndex={-1} className="h6 mb-0">{t('queue.title')}</h2>
+                  <span className="text-muted small">
+                    {t('queue.summary', { count: items.length, size: formatFileSize(totalSize), clean: countOf('clean') })}
+                    {countOf('infected') > 0 && ` · ${t('queue.infected', { count: countOf('infected') })}`}
+                  </span>
+                </div>
+                <ul className="list-group">
+                  {items.map(item => (
+                    <UploadQueueRow
+                      key={item.id}
+                      item={item}
+                      onRemove={handleRemove}
+                      onRetry={retry}
+                      onKeepChecking={keepChecking}
+                      onCancel={cancel}
+                      onPause={pause}
+                      onResume={resume}
+                      onReportFalsePositive={reportFalsePositive}
+                      onDeleteUpload={deleteUpload}
+                    />
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {/* Buttons */}
+          <div className="d-flex gap-2 mt-4">
+            <button className="btn btn-primary" disabled={!readyCount} onClick={handleUploadAll}>
+              {isBusy ? t('upload.uploading') : readyCount ? t('upload.uploadAllCount', { count: readyCount }) : t('upload.uploadAll')}
+            </button>
+            <button className="btn btn-secondary" onClick={resetUpload}>{t('upload.reset')}</button>
+          </div>
+
+        </div>
+      </div>
+
+      <LiveRegion polite={announcement.polite} urgent={announcement.urgent} />
+    </>
+  );
+
+  if (embedded) return uploader;
+
+  return (
+    <div className="container mt-5">
+      <div className="row justify-content-center">
+        <div className="col-md-8">
+          {uploader}
+
+          <UploadHistory fetchStatus={(fileId) => apiCall.getFileStatus(fileId)} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileUpload;
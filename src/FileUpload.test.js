@@ -0,0 +1,225 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import { apiCall } from './api';
+import { ConfigProvider, DEFAULT_CONFIG } from './config';
+import FileUpload from './FileUpload';
+import { server } from './mocks/server';
+import { createMockApi, SLOW_SCAN_POLLS } from './mocks/handlers';
+import { askForNotifications, isOfflineQueueAvailable, listOfflineUploads, onOfflineUploadsChange, queueOfflineUpload } from './offlineQueue';
+
+// The service worker behind the offline queue doesn't exist in jsdom
+jest.mock('./offlineQueue');
+
+// The whole upload flow against the mock backend: pick a file, upload it, follow the scan.
+// Timers are fake, so polling and retry backoff take no real time; findBy* queries advance
+// them while they wait.
+
+// Long enough for the retries of a failing request and a slow scan's polling, in fake time
+const FLOW_TIMEOUT = { timeout: 10 * 60 * 1000, interval: 500 };
+
+let api;
+
+const useScenario = (scenario) => {
+  api = createMockApi(scenario);
+  server.use(...api.handlers);
+};
+
+// Drops one file on the drop zone and starts the upload; returns what render() did
+const dropAndUpload = async (name = 'report.pdf', props = {}) => {
+  const view = render(<FileUpload {...props} />);
+  const file = new File(['%PDF-1.7 mock report'], name, { type: 'application/pdf' });
+  fireEvent.drop(screen.getByText('Drag & Drop your files or folders here'), { dataTransfer: { files: [file] } });
+  userEvent.click(await screen.findByRole('button', { name: 'Upload all (1)' }, FLOW_TIMEOUT));
+  return view;
+};
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  // The API client logs every request and failure
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  listOfflineUploads.mockResolvedValue([]);
+  onOfflineUploadsChange.mockReturnValue(() => {});
+  queueOfflineUpload.mockResolvedValue();
+});
+
+afterEach(() => {
+  server.resetHandlers();
+  act(() => jest.runOnlyPendingTimers());
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+afterAll(() => server.close());
+
+test('a clean file is uploaded and reported clean', async () => {
+  useScenario('clean');
+  await dropAndUpload();
+
+  expect(await screen.findByText('Clean', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  expect(screen.getByText('No threats found')).toBeInTheDocument();
+  expect(api.requests.filter(request => request.startsWith('PUT'))).toHaveLength(1);
+});
+
+test('an infected file is reported with its threat and quarantine location', async () => {
+  useScenario('infected');
+  await dropAndUpload('invoice.pdf');
+
+  expect(await screen.findByText('Malware found: file quarantined', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  expect(screen.getByText('EICAR-Test-File')).toBeInTheDocument();
+  expect(screen.getByText(/s3:\/\/mock-quarantine\/uploads\/file-1\/invoice\.pdf/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Report false positive' })).toBeInTheDocument();
+});
+
+test('a failed scan explains itself and can be retried', async () => {
+  useScenario('failed');
+  await dropAndUpload();
+
+  expect(await screen.findByText('The scan could not be completed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  expect(screen.getByText('Scan engine timed out')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Retry' })).toBeInTheDocument();
+});
+
+test('a slow scan keeps polling until the verdict arrives', async () => {
+  useScenario('slow-scan');
+  await dropAndUpload();
+
+  expect(await screen.findByText('Scanning', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(30 * 1000));
+  expect(screen.getByText('Scanning')).toBeInTheDocument();
+
+  expect(await screen.findByText('Clean', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  expect(api.requests.filter(request => request.startsWith('GET /file-upload/'))).toHaveLength(SLOW_SCAN_POLLS);
+});
+
+test('a presign error is shown after the retries and Retry starts over', async () => {
+  useScenario('presign-500');
+  await dropAndUpload();
+
+  expect(await screen.findByText('Failed to get pre-signed URL: HTTP error! status: 500', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  // The first attempt and REACT_APP_REQUEST_RETRIES (3) retries, and nothing was PUT
+  expect(api.requests).toEqual(Array(4).fill('GET /presign'));
+
+  useScenario('clean');
+  userEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  expect(await screen.findByText('Clean', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+});
+
+test('an expired upload URL is replaced with a fresh one', async () => {
+  useScenario('expired-url');
+  await dropAndUpload();
+  expect(await screen.findByText('Clean', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  expect(api.requests.filter(request => request === 'GET /presign')).toHaveLength(2);
+  expect(api.requests.filter(request => request.startsWith('PUT'))).toHaveLength(2);
+});
+
+test('embedded, the uploader reports every step of the upload to the host page', async () => {
+  useScenario('clean');
+  const onEvent = jest.fn();
+  await dropAndUpload('report.pdf', { embedded: true, title: 'Attach to case 4711', onEvent });
+
+  await screen.findByText('Clean', {}, FLOW_TIMEOUT);
+  expect(screen.getByRole('heading', { name: 'Attach to case 4711' })).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: 'AWS S3 File Upload' })).not.toBeInTheDocument();
+  // jsdom's XHR reports no upload progress, so there are no progress events here
+  expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(['selected', 'presigned', 'uploaded', 'scan-result']);
+  expect(onEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+    type: 'scan-result', name: 'report.pdf', fileId: expect.any(String), state: 'clean',
+  }));
+});
+
+test('offline, files are handed to the service worker instead of being uploaded', async () => {
+  useScenario('clean');
+  isOfflineQueueAvailable.mockReturnValue(true);
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  await dropAndUpload();
+
+  expect(screen.getByText('You are offline. 1 file will be sent as soon as the connection is back.')).toBeInTheDocument();
+  expect(queueOfflineUpload).toHaveBeenCalledWith(expect.objectContaining({ name: 'report.pdf', sha256: null, metadata: { retention: 'standard' } }));
+  expect(queueOfflineUpload.mock.calls[0][0].file.size).toBe(20);
+  // Asked from the click, which browsers require for permission prompts
+  expect(askForNotifications).toHaveBeenCalled();
+  expect(screen.queryByRole('heading', { name: 'Upload Queue' })).not.toBeInTheDocument();
+  expect(api.requests.filter(request => request.startsWith('PUT'))).toHaveLength(0);
+});
+
+test('the encryption key is only asked for with encryption on, and once per page', () => {
+  useScenario('clean');
+  const getEncryptionKey = jest.spyOn(apiCall, 'getEncryptionKey');
+  const renderWith = encryption => render(
+    <ConfigProvider config={{ ...DEFAULT_CONFIG, encryption: { ...DEFAULT_CONFIG.encryption, ...encryption } }}>
+      <FileUpload />
+    </ConfigProvider>,
+  );
+
+  renderWith({ enabled: false }).unmount();
+  expect(getEncryptionKey).not.toHaveBeenCalled();
+
+  renderWith({ enabled: true }).unmount();
+  renderWith({ enabled: true });
+  expect(getEncryptionKey).toHaveBeenCalledTimes(1);
+});
+
+describe('accessibility', () => {
+  // axe schedules its checks with timers, so it runs on real ones. Pending fake timers are dropped.
+  const audit = async (container) => {
+    jest.useRealTimers();
+    const results = await axe(container);
+    jest.useFakeTimers();
+    return results;
+  };
+
+  test('the drop zone is a button that opens the file picker with Enter and Space', () => {
+    const click = jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(() => {});
+    render(<FileUpload />);
+    const dropZone = screen.getByRole('button', { name: 'Drag & Drop your files or folders here' });
+
+    dropZone.focus();
+    expect(dropZone).toHaveFocus();
+    fireEvent.keyDown(dropZone, { key: 'Enter' });
+    fireEvent.keyDown(dropZone, { key: ' ' });
+    fireEvent.keyDown(dropZone, { key: 'a' });
+    expect(click).toHaveBeenCalledTimes(2);
+  });
+
+  test('progress and verdicts are announced, and focus follows the upload', async () => {
+    useScenario('infected');
+    await dropAndUpload();
+
+    expect(screen.getByRole('heading', { name: 'Upload Queue' })).toHaveFocus();
+    expect(await screen.findByText('report.pdf uploaded. Scanning for malware.', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    await screen.findByText('Malware found: file quarantined', {}, FLOW_TIMEOUT);
+    expect(screen.getByRole('alert')).toHaveTextContent('report.pdf: Malware found: file quarantined');
+
+    userEvent.click(screen.getByRole('button', { name: 'Report false positive' }));
+    expect(screen.getByRole('textbox', { name: /Why do you think this file is safe/ })).toHaveFocus();
+    userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(screen.getByRole('button', { name: 'Report false positive' })).toHaveFocus();
+
+    userEvent.click(screen.getByRole('button', { name: 'Reset' }));
+    expect(screen.getByRole('button', { name: 'Drag & Drop your files or folders here' })).toHaveFocus();
+  });
+
+  test('the empty form passes an axe audit', async () => {
+    useScenario('clean');
+    const { container } = render(<FileUpload />);
+    expect(await audit(container)).toHaveNoViolations();
+  });
+
+  test.each([
+    ['clean', 'No threats found'],
+    ['infected', 'Malware found: file quarantined'],
+    ['presign-500', 'Failed to get pre-signed URL: HTTP error! status: 500'],
+  ])('the upload queue passes an axe audit (%s)', async (scenario, finalText) => {
+    useScenario(scenario);
+    const { container } = await dropAndUpload();
+    await screen.findByText(finalText, {}, FLOW_TIMEOUT);
+    userEvent.click(screen.getByRole('button', { name: 'Details' }));
+
+    expect(await audit(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,79 @@
+import React from 'react';
+import { formatFileSize } from './format';
+import { t } from './i18n';
+
+const emptyFolder = () => ({ folders: {}, files: [], count: 0, size: 0, invalid: 0 });
+
+// Nests queue items by their relative path; every folder knows the file count, total size and
+// number of invalid files underneath it
+export const buildFileTree = (items) => {
+  const root = emptyFolder();
+  items.forEach((item) => {
+    const count = (node) => {
+      node.count++;
+      node.size += item.file.size;
+      if (item.status === 'invalid') node.invalid++;
+    };
+    let folder = root;
+    count(root);
+    item.directory.split('/').filter(Boolean).forEach((name) => {
+      folder.folders[name] = folder.folders[name] || emptyFolder();
+      folder = folder.folders[name];
+      count(folder);
+    });
+    folder.files.push(item);
+  });
+  return root;
+};
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+const Totals = ({ node }) => (
+  <span className="text-muted ms-2">
+    {t('folder.files', { count: node.count })} · {formatFileSize(node.size)}
+    {node.invalid > 0 && <span className="badge bg-danger ms-2">{t('folder.invalid', { count: node.invalid })}</span>}
+  </span>
+);
+
+const FolderContents = ({ node }) => (
+  <ul className="list-unstyled ms-3 mb-0">
+    {Object.keys(node.folders).sort(byName).map(name => (
+      <li key={name}><Folder name={name} node={node.folders[name]} /></li>
+    ))}
+    {[...node.files].sort((a, b) => byName(a.file.name, b.file.name)).map(item => (
+      <li key={item.id} className={item.status === 'invalid' ? 'text-danger' : undefined}>
+        📄 {item.file.name}
+        <span className="text-muted ms-2">{formatFileSize(item.file.size)}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+const Folder = ({ name, node, open = false }) => (
+  <details open={open}>
+    <summary><span aria-hidden="true">📁</span> {name}<Totals node={node} /></summary>
+    <FolderContents node={node} />
+  </details>
+);
+
+// Tree of the picked folders, so the structure that will end up in S3 can be checked before uploading
+const FolderSummary = ({ items }) => {
+  if (!items.some(item => item.directory)) return null;
+  const tree = buildFileTree(items);
+
+  return (
+    <div className="border rounded p-3 mt-3 small">
+      <h2 className="h6">{t('folder.contents')}<Totals node={tree} /></h2>
+      {Object.keys(tree.folders).sort(byName).map(name => (
+        <Folder key={name} name={name} node={tree.folders[name]} open />
+      ))}
+      {tree.files.length > 0 && (
+        <div className="text-muted mt-1">
+          {t('folder.loose', { count: tree.files.length })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FolderSummary;
@@ -0,0 +1,98 @@
+import React, { useId } from 'react';
+import { formatPercent } from './format';
+import { useI18n } from './i18n';
+
+const STORAGE_KEY = 'imageProcessing';
+
+const MAX_DIMENSIONS = [1280, 1920, 2048, 3840, Infinity];
+
+// null label: translated "Keep format"
+const FORMATS = [
+  { value: 'original', label: null },
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'webp', label: 'WebP' },
+];
+
+// The user's last choice wins over the configured defaults. Infinity doesn't survive JSON, so it's stored as null.
+export const loadImageOptions = (defaults) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return defaults;
+    return { ...defaults, ...saved, maxDimension: saved.maxDimension ?? Infinity };
+  } catch {
+    return defaults;
+  }
+};
+
+export const saveImageOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch {
+    // Private mode or storage full: the choice just won't be remembered
+  }
+};
+
+// Options for the pre-upload image pipeline (resize, re-encode, strip EXIF)
+const ImageProcessingSettings = ({ options, onChange }) => {
+  const { t } = useI18n();
+  const id = useId();
+  const update = (patch) => onChange({ ...options, ...patch });
+  // The configured (or remembered) size is offered even when it isn't one of the presets
+  const dimensions = [...new Set([...MAX_DIMENSIONS, options.maxDimension])].sort((a, b) => a - b);
+
+  return (
+    <div className="border rounded p-3 mt-3 small">
+      <div className="form-check form-switch">
+        <input
+          id={`${id}-enabled`}
+          className="form-check-input"
+          type="checkbox"
+          checked={options.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        <label className="form-check-label" htmlFor={`${id}-enabled`}>
+          {t('imageProcessing.enabled')}
+        </label>
+      </div>
+
+      {options.enabled && (
+        <div className="row g-2 mt-1 align-items-center">
+          <div className="col-sm-4">
+            <label className="form-label mb-0" htmlFor={`${id}-max-dimension`}>{t('imageProcessing.maxSize')}</label>
+            <select
+              id={`${id}-max-dimension`}
+              className="form-select form-select-sm"
+              value={String(options.maxDimension)}
+              onChange={(e) => update({ maxDimension: Number(e.target.value) })}
+            >
+              {dimensions.map(value => (
+                <option key={value} value={String(value)}>{isFinite(value) ? `${value} px` : t('imageProcessing.keepSize')}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-4">
+            <label className="form-label mb-0" htmlFor={`${id}-format`}>{t('imageProcessing.format')}</label>
+            <select id={`${id}-format`} className="form-select form-select-sm" value={options.format} onChange={(e) => update({ format: e.target.value })}>
+              {FORMATS.map(({ value, label }) => <option key={value} value={value}>{label || t('imageProcessing.keepFormat')}</option>)}
+            </select>
+          </div>
+          <div className="col-sm-4">
+            <label className="form-label mb-0" htmlFor={`${id}-quality`}>{t('imageProcessing.quality', { percent: formatPercent(options.quality * 100) })}</label>
+            <input
+              id={`${id}-quality`}
+              type="range"
+              className="form-range"
+              min="0.4"
+              max="1"
+              step="0.05"
+              value={options.quality}
+              onChange={(e) => update({ quality: Number(e.target.value) })}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageProcessingSettings;
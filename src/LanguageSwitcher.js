@@ -0,0 +1,20 @@
+import React from 'react';
+import { LOCALES, useI18n } from './i18n';
+
+// Picks the UI language; the choice is remembered for the next visit
+const LanguageSwitcher = () => {
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <select
+      className="form-select form-select-sm w-auto"
+      aria-label={t('app.language')}
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+    >
+      {Object.entries(LOCALES).map(([code, { name }]) => <option key={code} value={code} lang={code}>{name}</option>)}
+    </select>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,13 @@
+import React from 'react';
+
+// Visually hidden ARIA live regions. Screen readers read out text put into them: `polite`
+// when the user is idle, `urgent` right away. The regions must be in the page before their
+// text changes, so they are always rendered, empty or not.
+const LiveRegion = ({ polite = '', urgent = '' }) => (
+  <>
+    <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">{polite}</div>
+    <div className="visually-hidden" role="alert" aria-live="assertive" aria-atomic="true">{urgent}</div>
+  </>
+);
+
+export default LiveRegion;
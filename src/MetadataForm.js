@@ -0,0 +1,76 @@
+import React, { useId, useState } from 'react';
+import { parseTags } from './metadataSchema';
+import { localized, useI18n } from './i18n';
+
+const Field = ({ field, value, error, showError, onChange }) => {
+  const id = useId();
+  const className = `form-control form-control-sm${showError && error ? ' is-invalid' : ''}`;
+  const common = { id, value, onChange: (e) => onChange(field.name, e.target.value), required: field.required };
+
+  let input;
+  if (field.type === 'textarea') {
+    input = <textarea {...common} className={className} rows={2} maxLength={field.maxLength} />;
+  } else if (field.type === 'select') {
+    input = (
+      <select {...common} className={className.replace('form-control', 'form-select')}>
+        {!field.required && <option value="">—</option>}
+        {field.options?.map(option => <option key={option.value} value={option.value}>{localized(option.label)}</option>)}
+      </select>
+    );
+  } else {
+    input = <input {...common} type="text" className={className} maxLength={field.type === 'text' ? field.maxLength : undefined} />;
+  }
+
+  const tags = field.type === 'tags' ? parseTags(value) : [];
+
+  return (
+    <div className={field.type === 'textarea' ? 'col-12' : 'col-sm-6'}>
+      <label className="form-label mb-0" htmlFor={id}>
+        {localized(field.label)}{field.required && <span className="text-danger"> *</span>}
+      </label>
+      {input}
+      {tags.length > 0 && (
+        <div className="mt-1">
+          {tags.map(tag => <span key={tag} className="badge bg-secondary me-1">{tag}</span>)}
+        </div>
+      )}
+      {field.help && <div className="form-text">{localized(field.help)}</div>}
+      {showError && error && <div className="invalid-feedback d-block">{error}</div>}
+    </div>
+  );
+};
+
+// Schema-driven form for the metadata sent with every upload (see src/metadataSchema.js).
+// Errors show once a field has been touched or the user tried to upload.
+const MetadataForm = ({ schema, values, errors, showErrors, onChange }) => {
+  const { t } = useI18n();
+  const [touched, setTouched] = useState({});
+
+  const handleChange = (name, value) => {
+    setTouched(prev => ({ ...prev, [name]: true }));
+    onChange({ ...values, [name]: value });
+  };
+
+  if (!schema.length) return null;
+
+  return (
+    <div className="border rounded p-3 mt-3 small">
+      <h2 className="h6">{t('metadata.title')}</h2>
+      <div className="row g-2">
+        {schema.map(field => (
+          <Field
+            key={field.name}
+            field={field}
+            value={values[field.name] ?? ''}
+            error={errors[field.name]}
+            showError={showErrors || touched[field.name]}
+            onChange={handleChange}
+          />
+        ))}
+      </div>
+      {errors._form && <div className="text-danger mt-2">{errors._form}</div>}
+    </div>
+  );
+};
+
+export default MetadataForm;
@@ -0,0 +1,53 @@
+import React, { useEffect, useState } from 'react';
+import { formatFileSize } from './format';
+import { useI18n } from './i18n';
+import {
+  askForNotifications, canAskForNotifications, listOfflineUploads, onOfflineUploadsChange, removeOfflineUpload, retryOfflineUpload,
+} from './offlineQueue';
+
+const statusText = (t, { status, error }) => {
+  if (error === 'signed-out') return t('offline.signedOut');
+  if (status === 'failed') return t('offline.failed', { message: error });
+  return t(`offline.${status}`);
+};
+
+// Files the service worker will send, or is sending, once the connection is back
+const OfflineUploads = () => {
+  const { t } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [canAsk, setCanAsk] = useState(canAskForNotifications);
+
+  useEffect(() => {
+    const load = () => listOfflineUploads().then(setEntries);
+    load();
+    return onOfflineUploadsChange(load);
+  }, []);
+
+  if (!entries.length) return null;
+
+  return (
+    <div className="alert alert-secondary mt-3">
+      <div className="mb-2">{t('offline.intro')}</div>
+      <ul className="mb-0">
+        {entries.map(entry => (
+          <li key={entry.id}>
+            {entry.name} ({formatFileSize(entry.size)}): {statusText(t, entry)}
+            {entry.status === 'failed' && (
+              <button className="btn btn-sm btn-link" onClick={() => retryOfflineUpload(entry.id)}>{t('offline.retry')}</button>
+            )}
+            {['waiting', 'failed'].includes(entry.status) && (
+              <button className="btn btn-sm btn-link" onClick={() => removeOfflineUpload(entry.id)}>{t('offline.remove')}</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {canAsk && (
+        <button className="btn btn-sm btn-outline-secondary mt-2" onClick={() => askForNotifications().finally(() => setCanAsk(canAskForNotifications()))}>
+          {t('offline.notifyMe')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default OfflineUploads;
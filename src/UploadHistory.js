@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { formatDate, formatFileSize, formatUploadTime } from './format';
+import { normalizeScanResult, verdictState } from './uploader';
+import { describeScanStatus } from './scanStatus';
+import { downloadText } from './download';
+import { useI18n } from './i18n';
+import { listHistory, onHistoryChange, updateHistoryEntry, deleteHistoryEntry, historyToCsv, historyToJson } from './uploadHistory';
+
+// Labels are history.filters.<name> in the catalogs
+const VERDICT_FILTERS = {
+  all: { matches: () => true },
+  clean: { matches: verdict => verdictState(verdict) === 'clean' },
+  infected: { matches: verdict => verdictState(verdict) === 'infected' },
+  failed: { matches: verdict => verdictState(verdict) === 'failed' },
+  pending: { matches: verdict => !verdictState(verdict) },
+};
+
+const VerdictBadge = ({ verdict }) => {
+  const { variant, label, explanation } = describeScanStatus(verdict);
+  return <span className={`badge bg-${variant}`} title={explanation}>{label}</span>;
+};
+
+// Lists past uploads with search, verdict filter, re-check and export.
+// `fetchStatus(fileId)` queries /file-upload/{fileId} for a fresh verdict.
+const UploadHistory = ({ fetchStatus }) => {
+  const { t } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [checking, setChecking] = useState({});
+  const [errors, setErrors] = useState({});
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const load = () => listHistory().then(setEntries);
+    load();
+    return onHistoryChange(load);
+  }, []);
+
+  const handleRecheck = async (entry) => {
+    setChecking(prev => ({ ...prev, [entry.fileId]: true }));
+    setErrors(prev => ({ ...prev, [entry.fileId]: null }));
+    try {
+      const data = await fetchStatus(entry.fileId);
+      // Same fields as a verdict recorded during the upload, so a re-check can't leave stale threats behind
+      const { threats } = normalizeScanResult(data);
+      await updateHistoryEntry(entry.fileId, { verdict: data.uploadedStatus, threats, checkedAt: new Date().toISOString() });
+    } catch (error) {
+      setErrors(prev => ({ ...prev, [entry.fileId]: t('history.recheckFailed', { message: error.message }) }));
+    } finally {
+      setChecking(prev => ({ ...prev, [entry.fileId]: false }));
+    }
+  };
+
+  const handleCopy = (fileId) => navigator.clipboard?.writeText(fileId);
+
+  const query = search.trim().toLowerCase();
+  const visible = entries.filter(entry =>
+    VERDICT_FILTERS[filter].matches(entry.verdict) &&
+    (!query || [entry.name, entry.fileId, entry.sha256].some(value => value?.toLowerCase().includes(query))));
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="card shadow mt-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h2 className="h5 mb-0">{t('history.title', { count: entries.length })}</h2>
+        <button className="btn btn-sm btn-link" aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)}>{isOpen ? t('history.hide') : t('history.show')}</button>
+      </div>
+      {isOpen && (
+        <div className="card-body">
+          <div className="d-flex flex-wrap gap-2 mb-3">
+            <input
+              type="search"
+              className="form-control form-control-sm flex-grow-1 w-auto"
+              placeholder={t('history.search')}
+              aria-label={t('history.searchLabel')}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <select className="form-select form-select-sm w-auto" aria-label={t('history.filterLabel')} value={filter} onChange={(e) => setFilter(e.target.value)}>
+              {Object.keys(VERDICT_FILTERS).map(value => <option key={value} value={value}>{t(`history.filters.${value}`)}</option>)}
+            </select>
+            <button className="btn btn-sm btn-outline-secondary" disabled={!visible.length}
+              onClick={() => downloadText(`upload-history-${stamp}.csv`, historyToCsv(visible), 'text/csv')}>
+              {t('history.exportCsv')}
+            </button>
+            <button className="btn btn-sm btn-outline-secondary" disabled={!visible.length}
+              onClick={() => downloadText(`upload-history-${stamp}.json`, historyToJson(visible), 'application/json')}>
+              {t('history.exportJson')}
+            </button>
+          </div>
+
+          {!visible.length ? (
+            <p className="text-muted mb-0">{entries.length ? t('history.noMatches') : t('history.empty')}</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table table-sm align-middle small mb-0">
+                <thead>
+                  <tr>
+                    <th>{t('history.columns.name')}</th>
+                    <th>{t('history.columns.size')}</th>
+                    <th>{t('history.columns.date')}</th>
+                    <th>{t('history.columns.duration')}</th>
+                    <th>{t('history.columns.bucket')}</th>
+                    <th>{t('history.columns.verdict')}</th>
+                    <th><span className="visually-hidden">{t('history.columns.actions')}</span></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visible.map(entry => (
+                    <tr key={entry.fileId}>
+                      <td>
+                        <div className="text-break">{entry.name}</div>
+                        <div className="text-muted text-break">
+                          {entry.fileId}
+                          <button className="btn btn-sm btn-link p-0 ms-1" aria-label={t('history.copyLabel', { fileId: entry.fileId })} onClick={() => handleCopy(entry.fileId)}>
+                            {t('history.copy')}
+                          </button>
+                        </div>
+                        {entry.sha256 && <div className="text-muted text-break" title={t('row.sha256')}>{t('row.sha256')}: <code>{entry.sha256}</code></div>}
+                        {errors[entry.fileId] && <div className="text-danger">{errors[entry.fileId]}</div>}
+                      </td>
+                      <td>{formatFileSize(entry.size)}</td>
+                      <td>{formatDate(entry.startedAt)}</td>
+                      <td>{entry.uploadTime != null ? formatUploadTime(entry.uploadTime) : '--'}</td>
+                      <td className="text-break">{entry.bucket || '--'}</td>
+                      <td>
+                        <VerdictBadge verdict={entry.verdict} />
+                        {entry.threats?.length > 0 && <div className="text-danger text-break">{entry.threats.join(', ')}</div>}
+                        {entry.falsePositiveReportedAt && <div className="text-muted">{t('history.falsePositiveReported')}</div>}
+                        {entry.deletedAt && <div className="text-muted">{t('history.deleted', { date: formatDate(entry.deletedAt, { dateStyle: 'medium' }) })}</div>}
+                      </td>
+                      <td className="text-nowrap">
+                        <button className="btn btn-sm btn-outline-primary me-1" disabled={checking[entry.fileId]} onClick={() => handleRecheck(entry)}>
+                          {checking[entry.fileId] ? t('history.checking') : t('history.recheck')}
+                        </button>
+                        <button className="btn btn-sm btn-outline-secondary" onClick={() => deleteHistoryEntry(entry.fileId)}>{t('history.remove')}</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadHistory;
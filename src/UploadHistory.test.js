@@ -0,0 +1,90 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { STORES, idbGet, idbGetAll, idbDelete } from './idb';
+import { historyToCsv, recordUpload } from './uploadHistory';
+import UploadHistory from './UploadHistory';
+
+const entry = (fileId, extra = {}) => ({
+  fileId,
+  name: `${fileId}.pdf`,
+  size: 2048,
+  type: 'application/pdf',
+  sha256: `sha-${fileId}`,
+  bucket: 'uploads',
+  startedAt: '2026-01-01T10:00:00Z',
+  uploadTime: 1200,
+  ...extra,
+});
+
+const open = async (fetchStatus = jest.fn()) => {
+  render(<UploadHistory fetchStatus={fetchStatus} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Show' }));
+  return fetchStatus;
+};
+
+beforeEach(async () => {
+  const entries = await idbGetAll(STORES.uploadHistory);
+  await Promise.all(entries.map(({ fileId }) => idbDelete(STORES.uploadHistory, fileId)));
+});
+
+test('a re-check stores the verdict with the threats found', async () => {
+  await recordUpload(entry('file-1', { verdict: 'SCANNING' }));
+  const fetchStatus = await open(jest.fn().mockResolvedValue({
+    uploadedStatus: 'MOVED_TO_MALWARE_BUCKET',
+    findings: [{ name: 'EICAR-Test-File' }],
+  }));
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Re-check' }));
+
+  expect(await screen.findByText('EICAR-Test-File')).toBeInTheDocument();
+  expect(fetchStatus).toHaveBeenCalledWith('file-1');
+  expect(await idbGet(STORES.uploadHistory, 'file-1')).toMatchObject({
+    verdict: 'MOVED_TO_MALWARE_BUCKET',
+    threats: ['EICAR-Test-File'],
+    checkedAt: expect.any(String),
+  });
+});
+
+test('a re-check that finds the file clean clears the threats from an earlier verdict', async () => {
+  await recordUpload(entry('file-1', { verdict: 'MOVED_TO_MALWARE_BUCKET', threats: ['EICAR-Test-File'] }));
+  await open(jest.fn().mockResolvedValue({ uploadedStatus: 'NO_THREATS_FOUND' }));
+  expect(await screen.findByText('EICAR-Test-File')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Re-check' }));
+
+  await waitFor(() => expect(screen.queryByText('EICAR-Test-File')).not.toBeInTheDocument());
+  expect((await idbGet(STORES.uploadHistory, 'file-1')).threats).toEqual([]);
+});
+
+test('shows why a re-check failed', async () => {
+  await recordUpload(entry('file-1'));
+  await open(jest.fn().mockRejectedValue(new Error('HTTP error! status: 500')));
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Re-check' }));
+
+  expect(await screen.findByText(/HTTP error! status: 500/)).toBeInTheDocument();
+});
+
+test('filters by name and verdict', async () => {
+  await recordUpload(entry('report', { verdict: 'NO_THREATS_FOUND' }));
+  await recordUpload(entry('invoice', { verdict: 'MOVED_TO_MALWARE_BUCKET' }));
+  await open();
+  expect(await screen.findByText('report.pdf')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Filter by verdict' }), { target: { value: 'infected' } });
+  expect(screen.queryByText('report.pdf')).not.toBeInTheDocument();
+  expect(screen.getByText('invoice.pdf')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('searchbox', { name: 'Search upload history' }), { target: { value: 'report' } });
+  expect(screen.getByText('No uploads match the current filters.')).toBeInTheDocument();
+});
+
+test('CSV export quotes what needs quoting and defuses formulas', () => {
+  const csv = historyToCsv([entry('file-1', { name: '=HYPERLINK("x"), final.pdf', threats: ['A', 'B'] })]);
+  const [header, row] = csv.split('\r\n');
+
+  expect(header.startsWith('fileId,name,size')).toBe(true);
+  expect(row).toContain('"\'=HYPERLINK(""x""), final.pdf"');
+  expect(row).toContain('"[""A"",""B""]"');
+});
@@ -0,0 +1,222 @@
+import React, { useId, useRef, useState } from 'react';
+import { formatFileSize, formatUploadTime, formatEta, formatPercent } from './format';
+import FilePreview, { FileThumbnail } from './FilePreview';
+import VerdictPanel from './VerdictPanel';
+import { describeScanStatus } from './scanStatus';
+import { t } from './i18n';
+
+// Badge colour per state; the labels are status.<state> in the catalogs
+const STATUS_BADGES = {
+  idle: { variant: 'light text-dark' },
+  validating: { variant: 'light text-dark' },
+  processing: { variant: 'info' },
+  ready: { variant: 'secondary' },
+  queued: { variant: 'secondary' },
+  encrypting: { variant: 'info' },
+  hashing: { variant: 'info' },
+  presigning: { variant: 'info' },
+  uploading: { variant: 'primary' },
+  paused: { variant: 'secondary' },
+  scanning: { variant: 'warning' },
+  clean: { variant: 'success' },
+  infected: { variant: 'danger' },
+  failed: { variant: 'danger' },
+  timeout: { variant: 'warning' },
+  unknown: { variant: 'warning' },
+  error: { variant: 'danger' },
+  cancelled: { variant: 'secondary' },
+  invalid: { variant: 'danger' },
+};
+
+// Rows in these states can be sent (again) through the upload queue
+const RETRYABLE = ['error', 'failed', 'cancelled'];
+// Uploaded rows whose scan verdict we stopped waiting for
+const CHECKABLE = ['timeout', 'unknown'];
+export const BUSY = ['validating', 'processing', 'queued', 'encrypting', 'hashing', 'presigning', 'uploading'];
+// Rows with requests or status polling that Cancel can stop
+const CANCELLABLE = ['queued', 'encrypting', 'hashing', 'presigning', 'uploading', 'paused', 'scanning'];
+// Scan verdicts, explained in the verdict panel
+const VERDICTS = ['clean', 'infected', 'failed'];
+
+const describeProcessing = ({ originalSize, size, originalWidth, originalHeight, width, height }) => {
+  const saved = originalSize ? Math.round((1 - size / originalSize) * 100) : 0;
+  const resized = width !== originalWidth ? ` · ${originalWidth}×${originalHeight} → ${width}×${height}` : '';
+  return t('row.optimised', {
+    from: formatFileSize(originalSize),
+    to: formatFileSize(size),
+    change: saved >= 0 ? t('row.smaller', { percent: formatPercent(saved) }) : t('row.larger', { percent: formatPercent(-saved) }),
+    resized,
+  });
+};
+
+// What to tell the user about a row, derived from its upload state
+const rowMessage = ({ status, error, uploadTime, resumedParts, scanStatus, scanTimeout, processed, processingError }) => {
+  switch (status) {
+    case 'ready':
+      if (processingError) return { type: 'warning', text: t('row.processingFailed', { message: processingError }) };
+      return processed ? { type: 'muted', text: describeProcessing(processed) } : null;
+    case 'uploading':
+      return resumedParts ? { type: 'info', text: t('row.resuming', { count: resumedParts }) } : null;
+    case 'paused':
+      return { type: 'secondary', text: t('row.paused') };
+    case 'scanning':
+      return {
+        type: 'info',
+        text: `${t('row.uploaded', { time: formatUploadTime(uploadTime) })} ${scanStatus ? describeScanStatus(scanStatus).explanation : t('row.scanningForViruses')}`,
+      };
+    case 'timeout':
+      return { type: 'warning', text: t('row.timedOut', { time: formatEta(scanTimeout / 1000) }) };
+    case 'unknown':
+      return { type: 'danger', text: t('row.statusError', { message: error.message }) };
+    case 'error':
+      return { type: 'danger', text: error.message };
+    case 'cancelled':
+      return { type: 'secondary', text: t('row.cancelled') };
+    default:
+      return null;
+  }
+};
+
+// A single row in the upload queue
+const UploadQueueRow = ({ item, onRemove, onRetry, onKeepChecking, onCancel, onPause, onResume, onReportFalsePositive, onDeleteUpload }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const rowRef = useRef(null);
+  const detailsId = useId();
+  const { file, originalFile, path, directory, status, config, progress, encryptProgress, hashProgress, uploadTime, errors, multipart, sha256, processed } = item;
+  const message = rowMessage(item);
+  const badge = STATUS_BADGES[status];
+
+  // The clicked button usually goes away with the state change, so focus stays on the row
+  const act = (action) => () => {
+    action(item.id);
+    rowRef.current?.focus();
+  };
+
+  return (
+    <li ref={rowRef} tabIndex={-1} className="list-group-item">
+      <div className="d-flex align-items-center gap-2">
+        <FileThumbnail file={file} />
+        <div className="flex-grow-1 text-truncate">
+          {directory && <span className="text-muted">{directory}/</span>}
+          <strong title={path}>{file.name}</strong>
+          <span className="text-muted small ms-2">{formatFileSize(file.size)}</span>
+        </div>
+        <span className={`badge bg-${badge.variant}`}>{t(`status.${status}`)}</span>
+        <button className="btn btn-sm btn-link" aria-expanded={showDetails} aria-controls={detailsId} onClick={() => setShowDetails(!showDetails)}>
+          {showDetails ? t('row.hide') : t('row.details')}
+        </button>
+        {CHECKABLE.includes(status) && (
+          <button className="btn btn-sm btn-outline-primary" onClick={act(onKeepChecking)}>{t('row.keepChecking')}</button>
+        )}
+        {RETRYABLE.includes(status) && (
+          <button className="btn btn-sm btn-outline-primary" onClick={act(onRetry)}>{t('row.retry')}</button>
+        )}
+        {status === 'uploading' && multipart && (
+          <button className="btn btn-sm btn-outline-secondary" onClick={act(onPause)}>{t('row.pause')}</button>
+        )}
+        {status === 'paused' && (
+          <button className="btn btn-sm btn-outline-primary" onClick={act(onResume)}>{t('row.resume')}</button>
+        )}
+        {CANCELLABLE.includes(status) && (
+          <button className="btn btn-sm btn-outline-danger" onClick={act(onCancel)}>{t('row.cancel')}</button>
+        )}
+        <button className="btn btn-sm btn-outline-secondary" onClick={() => onRemove(item.id)} disabled={BUSY.includes(status)}>
+          {t('row.remove')}
+        </button>
+      </div>
+
+      {status === 'encrypting' && (
+        <div
+          className="progress mt-2"
+          role="progressbar"
+          aria-label={t('row.encryptionProgress', { name: file.name })}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(encryptProgress)}
+        >
+          <div className="progress-bar bg-info" style={{ width: `${encryptProgress}%` }}>
+            {formatPercent(encryptProgress)}
+          </div>
+        </div>
+      )}
+
+      {status === 'hashing' && (
+        <div
+          className="progress mt-2"
+          role="progressbar"
+          aria-label={t('row.checksumProgress', { name: file.name })}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(hashProgress)}
+        >
+          <div className="progress-bar bg-info" style={{ width: `${hashProgress}%` }}>
+            {formatPercent(hashProgress)}
+          </div>
+        </div>
+      )}
+
+      {['uploading', 'paused'].includes(status) && progress && (
+        <div className="mt-2">
+          <div
+            className="progress"
+            role="progressbar"
+            aria-label={t('row.uploadProgress', { name: file.name })}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(progress.percent)}
+          >
+            <div
+              className={`progress-bar ${status === 'uploading' ? 'progress-bar-striped progress-bar-animated' : 'bg-secondary'}`}
+              style={{ width: `${progress.percent}%` }}
+            >
+              {formatPercent(progress.percent)}
+            </div>
+          </div>
+          <div className="d-flex justify-content-between text-muted small mt-1">
+            <span>{t('row.transferred', { loaded: formatFileSize(progress.loaded), total: formatFileSize(progress.total) })}</span>
+            {status === 'uploading' && <span>{t('row.speed', { speed: formatFileSize(progress.bytesPerSecond) })}</span>}
+            {status === 'uploading' && <span>{t('row.remaining', { eta: formatEta(progress.eta) })}</span>}
+          </div>
+        </div>
+      )}
+
+      {message && <div className={`small mt-1 text-${message.type} text-break`}>{message.text}</div>}
+      {VERDICTS.includes(status) && <VerdictPanel item={item} onReportFalsePositive={onReportFalsePositive} onDelete={onDeleteUpload} />}
+      {errors?.length > 0 && (
+        <ul className="small text-danger mt-1 mb-0">
+          {errors.map(error => <li key={error.code}>{error.message}</li>)}
+        </ul>
+      )}
+
+      {showDetails && (
+        <div id={detailsId} className="row small mt-2">
+          <div className="col-sm-6">
+            <h3 className="h6">{t('row.fileInformation')}</h3>
+            <div><strong>{t('row.name')}:</strong> {file.name}</div>
+            {directory && <div><strong>{t('row.path')}:</strong> {path}</div>}
+            <div><strong>{t('row.size')}:</strong> {formatFileSize(file.size)}</div>
+            {processed && <div><strong>{t('row.original')}:</strong> {originalFile.name}, {formatFileSize(processed.originalSize)}, {processed.originalWidth}×{processed.originalHeight}</div>}
+            <div><strong>{t('row.type')}:</strong> {file.type || t('row.unknownType')}</div>
+            {sha256 && <div className="text-break"><strong>{t('row.sha256')}:</strong> <code>{sha256.hex}</code></div>}
+            <FilePreview file={file} />
+          </div>
+          {config && (
+            <div className="col-sm-6">
+              <h3 className="h6">{t('row.uploadConfig')}</h3>
+              <div className="text-break"><strong>{t('row.fileId')}:</strong> {config.fileId}</div>
+              <div><strong>{t('row.bucket')}:</strong> {config.bucket}</div>
+              {config.expiresIn != null && <div><strong>{t('row.expiresIn')}:</strong> {t('row.seconds', { count: config.expiresIn })}</div>}
+              {config.multipart && <div><strong>{t('row.parts')}:</strong> {config.partCount}</div>}
+              {item.metadata && Object.entries(item.metadata).map(([key, value]) => (
+                <div key={key} className="text-break"><strong>x-amz-meta-{key}:</strong> {decodeURIComponent(value)}</div>
+              ))}
+              {uploadTime != null && <div><strong>{t('row.uploadTime')}:</strong> {formatUploadTime(uploadTime)}</div>}
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+export default UploadQueueRow;
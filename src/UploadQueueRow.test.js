@@ -0,0 +1,24 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import UploadQueueRow from './UploadQueueRow';
+
+const item = (extra = {}) => ({
+  id: 'row-1',
+  file: new File(['%PDF-1.7'], 'report.pdf', { type: 'application/pdf' }),
+  path: 'report.pdf',
+  directory: '',
+  status: 'clean',
+  config: { fileId: 'file-1', bucket: 'uploads', expiresIn: 900 },
+  progress: { loaded: 0, total: 0, percent: 0, bytesPerSecond: 0, eta: Infinity },
+  errors: [],
+  ...extra,
+});
+
+test('details show an expiry and an upload time of zero instead of a stray 0', () => {
+  render(<ul><UploadQueueRow item={item({ config: { fileId: 'file-1', bucket: 'uploads', expiresIn: 0 }, uploadTime: 0 })} /></ul>);
+
+  userEvent.click(screen.getByRole('button', { name: 'Details' }));
+
+  expect(screen.getByText('0 seconds')).toBeInTheDocument();
+  expect(screen.getByText(/^0\s?ms$/)).toBeInTheDocument();
+});
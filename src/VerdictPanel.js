@@ -0,0 +1,130 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { describeScanStatus, buildScanReport } from './scanStatus';
+import { downloadText } from './download';
+import { formatDate } from './format';
+import { useI18n } from './i18n';
+
+// Verdict states where the user is offered remediation actions
+const DETECTIONS = ['infected'];
+
+const Detail = ({ label, children }) => (
+  <div className="text-break"><strong>{label}:</strong> {children}</div>
+);
+
+// Explains a scan result and what can be done about it: report a false positive (detections
+// only), delete the stored or quarantined object, and download the scan report for support.
+// `onReportFalsePositive(item, comment)` and `onDelete(item)` return promises.
+const VerdictPanel = ({ item, onReportFalsePositive, onDelete }) => {
+  const { t } = useI18n();
+  const [reporting, setReporting] = useState(false);
+  const [comment, setComment] = useState('');
+  const [pending, setPending] = useState(null);
+  const [done, setDone] = useState({});
+  const [actionError, setActionError] = useState(null);
+  const reportButtonRef = useRef(null);
+  const commentRef = useRef(null);
+  // Focus moves into the report form when it opens and back to its button when it closes
+  const wasReporting = useRef(false);
+
+  useEffect(() => {
+    if (reporting) commentRef.current?.focus();
+    else if (wasReporting.current) reportButtonRef.current?.focus();
+    wasReporting.current = reporting;
+  }, [reporting]);
+
+  const { status, scanStatus, scanResult, sha256, config } = item;
+  const verdict = describeScanStatus(scanStatus);
+  const { threats = [], engine, engineVersion, scannedAt, quarantine, reason } = scanResult || {};
+
+  const run = async (name, action) => {
+    setPending(name);
+    setActionError(null);
+    try {
+      await action();
+      setDone(prev => ({ ...prev, [name]: true }));
+      return true;
+    } catch (error) {
+      setActionError(t(name === 'report' ? 'verdict.reportFailed' : 'verdict.deleteFailed', { message: error.message }));
+      return false;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleReport = async (e) => {
+    e.preventDefault();
+    if (await run('report', () => onReportFalsePositive(item, comment.trim()))) setReporting(false);
+  };
+
+  const handleDelete = () => {
+    const question = t(status === 'infected' ? 'verdict.confirmDeleteQuarantined' : 'verdict.confirmDeleteStored');
+    if (window.confirm(question)) run('delete', () => onDelete(item));
+  };
+
+  const handleDownload = () => {
+    downloadText(`scan-report-${config?.fileId || item.id}.json`, buildScanReport(item), 'application/json');
+  };
+
+  return (
+    <div className={`alert alert-${verdict.variant} small mt-2 mb-0`}>
+      <div className="fw-bold">{verdict.title}</div>
+      <div>{verdict.explanation}</div>
+
+      {/* Scan details, when the status endpoint returns them */}
+      <div className="mt-2">
+        {threats.length > 0 && <Detail label={t('verdict.threats', { count: threats.length })}>{threats.join(', ')}</Detail>}
+        {engine && <Detail label={t('verdict.scanner')}>{engine}{engineVersion && ` ${engineVersion}`}</Detail>}
+        {scannedAt && <Detail label={t('verdict.scanned')}>{formatDate(scannedAt)}</Detail>}
+        {quarantine && <Detail label={t('verdict.quarantine')}>s3://{quarantine.bucket ?? '?'}/{quarantine.key ?? ''}</Detail>}
+        {reason && <Detail label={t('verdict.reason')}>{reason}</Detail>}
+        {sha256 && <Detail label={t('row.sha256')}><code>{sha256.hex}</code></Detail>}
+      </div>
+
+      {verdict.nextSteps && <div className="mt-2"><strong>{t('verdict.whatToDo')}</strong> {verdict.nextSteps}</div>}
+
+      {/* Actions */}
+      <div className="d-flex flex-wrap gap-2 mt-2">
+        {DETECTIONS.includes(status) && !reporting && (
+          <button ref={reportButtonRef} className="btn btn-sm btn-outline-dark" disabled={done.report || done.delete || pending} onClick={() => setReporting(true)}>
+            {done.report ? t('verdict.falsePositiveReported') : t('verdict.reportFalsePositive')}
+          </button>
+        )}
+        {config?.fileId && (
+          <button className="btn btn-sm btn-outline-danger" disabled={done.delete || pending} onClick={handleDelete}>
+            {done.delete ? t('verdict.deleted') : pending === 'delete' ? t('verdict.deleting') : t('verdict.delete')}
+          </button>
+        )}
+        <button className="btn btn-sm btn-outline-secondary" onClick={handleDownload}>{t('verdict.downloadReport')}</button>
+      </div>
+
+      {reporting && (
+        <form className="mt-2" onSubmit={handleReport}>
+          <label className="form-label mb-1" htmlFor={`false-positive-${item.id}`}>
+            {t('verdict.whySafe')}
+          </label>
+          <textarea
+            ref={commentRef}
+            id={`false-positive-${item.id}`}
+            className="form-control form-control-sm"
+            rows={2}
+            maxLength={1000}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+          <div className="d-flex gap-2 mt-2">
+            <button type="submit" className="btn btn-sm btn-dark" disabled={pending === 'report'}>
+              {pending === 'report' ? t('verdict.sending') : t('verdict.sendReport')}
+            </button>
+            <button type="button" className="btn btn-sm btn-link" onClick={() => setReporting(false)}>{t('verdict.cancel')}</button>
+          </div>
+        </form>
+      )}
+
+      {done.report && <div className="mt-2" role="status">{t('verdict.reportThanks')}</div>}
+      {done.delete && <div className="mt-2" role="status">{t('verdict.deleteDone')}</div>}
+      {actionError && <div className="text-danger mt-2" role="alert">{actionError}</div>}
+    </div>
+  );
+};
+
+export default VerdictPanel;
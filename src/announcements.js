@@ -0,0 +1,64 @@
+import { describeScanStatus } from './scanStatus';
+import { formatPercent } from './format';
+import { getLocale, t } from './i18n';
+
+// What screen readers are told about the upload queue. The rows show the same information,
+// but a changing badge or progress bar isn't announced on its own (see LiveRegion.js).
+
+// Upload progress is announced in steps, not on every progress event
+const PROGRESS_STEP = 25;
+// More announcements than this at once (a folder of files finishing together) are summarised
+const MAX_ANNOUNCEMENTS = 3;
+
+const progressStep = (item) => (item?.status === 'uploading' && item.progress
+  ? Math.floor(item.progress.percent / PROGRESS_STEP) * PROGRESS_STEP
+  : 0);
+
+const scanTitle = (item) => describeScanStatus(item.scanStatus).title;
+
+// Per state: the message and whether it is urgent. Urgent ones interrupt the screen reader.
+// Summaries count states by their announce.labels.<state> text.
+const STATE_ANNOUNCEMENTS = {
+  invalid: [item => t('announce.invalid', { name: item.path, errors: item.errors.map(error => error.message).join(' ') }), true],
+  uploading: [item => t('announce.uploading', { name: item.path }), false],
+  paused: [item => t('announce.paused', { name: item.path }), false],
+  scanning: [item => t('announce.scanning', { name: item.path }), false],
+  clean: [item => t('announce.verdict', { name: item.path, title: scanTitle(item) }), false],
+  infected: [item => t('announce.verdict', { name: item.path, title: scanTitle(item) }), true],
+  failed: [item => t('announce.verdict', { name: item.path, title: scanTitle(item) }), true],
+  timeout: [item => t('announce.timeout', { name: item.path }), false],
+  unknown: [item => t('announce.unknown', { name: item.path }), true],
+  error: [item => t('announce.error', { name: item.path, message: item.error.message }), true],
+  cancelled: [item => t('announce.cancelled', { name: item.path }), false],
+};
+
+/**
+ * What to announce about a queue item that went from `previous` (its last snapshot, undefined
+ * for a new item) to `item`: { label, text, urgent }, or null when nothing worth saying happened.
+ */
+export const announcementFor = (previous, item) => {
+  if (previous?.status === item.status) {
+    const step = progressStep(item);
+    if (step > progressStep(previous) && step < 100) {
+      return { label: t('announce.labels.uploading'), text: t('announce.progress', { name: item.path, percent: formatPercent(step) }), urgent: false };
+    }
+    return null;
+  }
+  const entry = STATE_ANNOUNCEMENTS[item.status];
+  if (!entry) return null;
+  const [message, urgent] = entry;
+  return { label: t(`announce.labels.${item.status}`), text: message(item), urgent };
+};
+
+/**
+ * Joins announcements into one message, or counts them per label when there are too many
+ * to read out ("12 files: 10 clean, 2 malware found").
+ */
+export const summarizeAnnouncements = (announcements) => {
+  if (announcements.length <= MAX_ANNOUNCEMENTS) return announcements.map(({ text }) => text).join('. ');
+  const counts = new Map();
+  announcements.forEach(({ label }) => counts.set(label, (counts.get(label) || 0) + 1));
+  const list = new Intl.ListFormat(getLocale(), { type: 'unit', style: 'short' })
+    .format(Array.from(counts, ([label, count]) => t('announce.count', { count, label })));
+  return t('announce.summary', { count: announcements.length, counts: list });
+};
@@ -0,0 +1,36 @@
+import { announcementFor, summarizeAnnouncements } from './announcements';
+
+const item = (status, extra = {}) => ({ id: 1, path: 'docs/a.pdf', status, ...extra });
+
+describe('announcementFor', () => {
+  test('announces state changes, urgently when something went wrong', () => {
+    expect(announcementFor(item('presigning'), item('uploading'))).toEqual({ label: 'uploading', text: 'Uploading docs/a.pdf', urgent: false });
+    expect(announcementFor(item('scanning'), item('infected', { scanStatus: 'MOVED_TO_MALWARE_BUCKET' })))
+      .toMatchObject({ text: 'docs/a.pdf: Malware found: file quarantined', urgent: true });
+    expect(announcementFor(undefined, item('invalid', { errors: [{ code: 'too-large', message: 'File is too large.' }] })))
+      .toMatchObject({ text: 'docs/a.pdf cannot be uploaded: File is too large.', urgent: true });
+  });
+
+  test('announces upload progress in steps of 25%', () => {
+    const at = percent => item('uploading', { progress: { percent } });
+    expect(announcementFor(at(20), at(24))).toBeNull();
+    expect(announcementFor(at(24), at(51))).toMatchObject({ text: 'docs/a.pdf: 50% uploaded' });
+    expect(announcementFor(at(51), at(60))).toBeNull();
+    // Finishing is announced by the scanning state instead
+    expect(announcementFor(at(90), at(100))).toBeNull();
+  });
+
+  test('stays quiet about steps nobody needs to hear', () => {
+    expect(announcementFor(undefined, item('validating'))).toBeNull();
+    expect(announcementFor(item('validating'), item('ready'))).toBeNull();
+    expect(announcementFor(item('clean'), item('clean'))).toBeNull();
+  });
+});
+
+test('summarizeAnnouncements counts a burst of announcements instead of reading them all', () => {
+  const clean = { label: 'clean', text: 'a: No threats found' };
+  const infected = { label: 'malware found', text: 'b: Malware found' };
+  expect(summarizeAnnouncements([clean, infected])).toBe('a: No threats found. b: Malware found');
+  expect(summarizeAnnouncements([clean, clean, clean, infected])).toBe('4 files: 3 clean, 1 malware found');
+  expect(summarizeAnnouncements([])).toBe('');
+});
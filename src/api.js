@@ -0,0 +1,176 @@
+import { authFetch } from './auth';
+import { isStatusChannelEnabled, subscribeToStatus } from './statusChannel';
+import { getConfig } from './config';
+import { httpError, timeoutError, withRetry, withTimeout } from './request';
+
+const requestSettings = () => getConfig().requests;
+
+// fetch() cannot report request body progress, so PUTs to S3 go through XHR.
+// Resolves with the finished XHR so callers can read the body or headers they need.
+// Aborting `signal` aborts the request and rejects with an AbortError, like fetch() does.
+// A request that makes no progress for the configured stall timeout fails with a TimeoutError.
+const putWithProgress = (url, body, { onProgress, headers = {}, signal } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('Upload aborted', 'AbortError'));
+  const { stallTimeoutMs } = requestSettings();
+  const xhr = new XMLHttpRequest();
+  let stalled = false;
+  let stallTimer;
+  const watchStall = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      stalled = true;
+      xhr.abort();
+    }, stallTimeoutMs);
+  };
+  const onAbort = () => xhr.abort();
+  signal?.addEventListener('abort', onAbort);
+  xhr.open('PUT', url);
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+  xhr.upload.onprogress = (e) => {
+    watchStall();
+    if (onProgress) onProgress(e.loaded, e.lengthComputable ? e.total : body.size);
+  };
+  xhr.onloadend = () => {
+    clearTimeout(stallTimer);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  xhr.onload = () => {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      const error = httpError(xhr.status, xhr.getResponseHeader('Retry-After'));
+      // S3 answers an expired presigned URL with 403 AccessDenied "Request has expired"
+      error.expired = xhr.status === 403 && /expired/i.test(xhr.responseText);
+      if (xhr.status === 400 && /BadDigest|checksum/i.test(xhr.responseText)) {
+        error.message = 'S3 rejected the file: its SHA-256 checksum does not match the bytes received';
+        error.code = 'checksum-mismatch';
+      }
+      return reject(error);
+    }
+    resolve(xhr);
+  };
+  xhr.onerror = () => {
+    const error = new Error('Network error while uploading to S3');
+    error.code = 'network';
+    error.network = true;
+    reject(error);
+  };
+  xhr.onabort = () => reject(stalled ? timeoutError(stallTimeoutMs) : new DOMException('Upload aborted', 'AbortError'));
+  watchStall();
+  xhr.send(body);
+});
+
+// S3 user metadata travels as x-amz-meta-* headers; values are already URI-encoded (see src/metadataSchema.js)
+const metadataHeaders = (metadata) =>
+  Object.fromEntries(Object.entries(metadata || {}).map(([key, value]) => [`x-amz-meta-${key}`, value]));
+
+// GETs are retried by default; other methods only when the caller says they are safe to repeat
+const apiRequest = (path, {
+  method = 'GET', body, signal, retries = method === 'GET' ? requestSettings().retries : 0, timeoutMs = requestSettings().timeoutMs,
+} = {}) =>
+  withRetry(() => withTimeout(async (attemptSignal) => {
+    const response = await authFetch(`${getConfig().apiUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body && JSON.stringify(body),
+      signal: attemptSignal,
+    });
+    if (!response.ok) throw httpError(response.status, response.headers.get('Retry-After'));
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }, { timeoutMs, signal }), { retries, baseDelay: requestSettings().retryDelayMs, signal, label: `${method} ${path.split('?')[0]}` });
+
+// Real API functions with your endpoints. This is the transport the upload engine
+// (src/uploader) is given; it only needs the functions its features use.
+export const apiCall = {
+  // Presigning with the checksum and metadata lets the URL require matching
+  // x-amz-checksum-sha256 and x-amz-meta-* headers on the PUT
+  getUploadConfig: async (filename, { checksum, metadata } = {}, signal) => {
+    try {
+      const params = new URLSearchParams({
+        filename,
+        ...(checksum && { checksumSha256: checksum }),
+        ...(metadata && Object.keys(metadata).length && { metadata: JSON.stringify(metadata) }),
+      });
+      const data = await apiRequest(`/presign?${params}`, { signal });
+      console.log('GET API Response:', data);
+      return data;
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('GET API Error:', error);
+      throw error;
+    }
+  },
+
+  uploadFile: async (file, uploadUrl, onProgress, { checksum, metadata } = {}, signal) => {
+    try {
+      console.log('Uploading to URL:', uploadUrl);
+      // A failed PUT starts over with the same URL; an expired URL (403) is the engine's to re-presign
+      const xhr = await withRetry(() => putWithProgress(uploadUrl, file, {
+        onProgress,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          ...(checksum && { 'x-amz-checksum-sha256': checksum }),
+          ...metadataHeaders(metadata),
+        },
+        signal,
+      }), { retries: requestSettings().retries, baseDelay: requestSettings().retryDelayMs, signal, label: 'Upload' });
+      let data;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        data = { success: true, message: "File uploaded successfully to S3" };
+      }
+      console.log('PUT API Response:', data);
+
+      return data;
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('PUT API Error:', error);
+      throw error;
+    }
+  },
+
+  // The status tracker has its own backoff, so no retries here
+  getFileStatus: (fileId, signal) => apiRequest(`/file-upload/${fileId}`, { signal, retries: 0 }),
+
+  // After a verdict: ask for a review of a detection, or remove the stored (or quarantined) object
+  reportFalsePositive: (fileId, { comment, sha256 } = {}) =>
+    apiRequest(`/file-upload/${fileId}/false-positive`, { method: 'POST', body: { comment, sha256 } }),
+
+  deleteUpload: (fileId) => apiRequest(`/file-upload/${fileId}`, { method: 'DELETE', retries: requestSettings().retries }),
+
+  getUploadPolicy: () => apiRequest('/presign/policy'),
+
+  getMetadataSchema: () => apiRequest('/presign/metadata-schema'),
+
+  // { publicKey, keyId } for client-side encryption (see src/uploader/encryption.js)
+  getEncryptionKey: () => apiRequest('/presign/encryption-key'),
+
+  // Multipart endpoints live next to /presign
+  // checksumSha256 is the whole file's hash; S3 itself verifies each part's own checksum.
+  // Metadata is set on CreateMultipartUpload, so the parts don't carry it.
+  initiateMultipart: (filename, contentType, size, { checksum, metadata } = {}, signal) =>
+    apiRequest('/presign/multipart/initiate', { method: 'POST', body: { filename, contentType, size, checksumSha256: checksum, metadata }, signal }),
+
+  presignPart: (key, uploadId, partNumber, checksum, signal) =>
+    apiRequest(`/presign/multipart/part?${new URLSearchParams({ key, uploadId, partNumber, ...(checksum && { checksumSha256: checksum }) })}`, { signal }),
+
+  // The bucket CORS config must expose the ETag header, or parts can't be completed.
+  // Not retried here: the multipart upload retries failed parts with a freshly presigned URL.
+  uploadPart: async (blob, url, onProgress, checksum, signal) => {
+    const headers = checksum ? { 'x-amz-checksum-sha256': checksum } : {};
+    const xhr = await putWithProgress(url, blob, { onProgress, headers, signal });
+    const etag = xhr.getResponseHeader('ETag');
+    if (!etag) throw Object.assign(new Error('S3 did not return an ETag for the uploaded part'), { code: 'missing-etag' });
+    return etag;
+  },
+
+  completeMultipart: (key, uploadId, parts) =>
+    apiRequest('/presign/multipart/complete', { method: 'POST', body: { key, uploadId, parts } }),
+
+  abortMultipart: (key, uploadId) =>
+    apiRequest('/presign/multipart/abort', { method: 'POST', body: { key, uploadId }, retries: requestSettings().retries }),
+
+  // Optional push channel for scan verdicts; null means the engine polls getFileStatus.
+  // A getter, because the channel is set up by the runtime config, which loads after this module.
+  get subscribeToStatus() {
+    return isStatusChannelEnabled() ? subscribeToStatus : null;
+  },
+};
@@ -0,0 +1,204 @@
+// OIDC authorization-code + PKCE sign-in (works with Cognito's hosted UI or any OIDC issuer).
+// Settings come from the `auth` section of the runtime config (see src/config.js):
+//
+//   issuer       https://cognito-idp.<region>.amazonaws.com/<userPoolId>   (REACT_APP_AUTH_ISSUER)
+//   clientId     app client id, no secret                                    (REACT_APP_AUTH_CLIENT_ID)
+//   redirectUri  https://uploads.example.com/, defaults to the app origin    (REACT_APP_AUTH_REDIRECT_URI)
+//   scope        openid email profile                                        (REACT_APP_AUTH_SCOPE)
+//
+// Without an issuer and client id auth is off and requests go out anonymously (local dev).
+
+import { getConfig } from './config';
+
+const issuer = () => getConfig().auth.issuer.replace(/\/$/, '');
+const clientId = () => getConfig().auth.clientId;
+const redirectUri = () => getConfig().auth.redirectUri || `${window.location.origin}/`;
+
+// Tokens live in sessionStorage: they survive reloads but not closing the tab
+const TOKENS_KEY = 'auth.tokens';
+const PKCE_KEY = 'auth.pkce';
+// Refresh a little before expiry so a token doesn't lapse mid-request
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+export const isAuthEnabled = () => Boolean(issuer() && clientId());
+
+const listeners = new Set();
+export const onAuthChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+const notify = () => listeners.forEach(listener => listener());
+
+const readJson = (key) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+const loadTokens = () => readJson(TOKENS_KEY);
+
+const saveTokens = (response, previous = {}) => {
+  const tokens = {
+    accessToken: response.access_token,
+    idToken: response.id_token || previous.idToken,
+    // Refresh responses usually don't rotate the refresh token
+    refreshToken: response.refresh_token || previous.refreshToken,
+    expiresAt: Date.now() + (Number(response.expires_in) || 3600) * 1000,
+  };
+  sessionStorage.setItem(TOKENS_KEY, JSON.stringify(tokens));
+  notify();
+  return tokens;
+};
+
+const clearTokens = () => {
+  sessionStorage.removeItem(TOKENS_KEY);
+  notify();
+};
+
+export const isSignedIn = () => Boolean(loadTokens()?.accessToken);
+
+// Current access token without refreshing, for transports that can't await (WebSocket/SSE URLs)
+export const peekAccessToken = () => loadTokens()?.accessToken || null;
+
+const decodeJwt = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), char => char.charCodeAt(0))));
+  } catch {
+    return null;
+  }
+};
+
+export const getUser = () => {
+  const claims = decodeJwt(loadTokens()?.idToken || '');
+  return claims && { name: claims.name || claims['cognito:username'] || claims.email, email: claims.email, sub: claims.sub };
+};
+
+let discoveryPromise = null;
+const discover = () => {
+  if (!discoveryPromise) {
+    discoveryPromise = fetch(`${issuer()}/.well-known/openid-configuration`).then((response) => {
+      if (!response.ok) throw new Error(`OIDC discovery failed! status: ${response.status}`);
+      return response.json();
+    });
+    discoveryPromise.catch(() => { discoveryPromise = null; });
+  }
+  return discoveryPromise;
+};
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const randomString = (byteLength = 32) => base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+const requestTokens = async (params) => {
+  const { token_endpoint: tokenEndpoint } = await discover();
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: clientId(), ...params }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error_description || data.error || `Token request failed! status: ${response.status}`);
+  return data;
+};
+
+// Sends the browser to the issuer's sign-in page
+export const login = async () => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+  const verifier = randomString(48);
+  const state = randomString();
+  const challenge = base64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+  sessionStorage.setItem(PKCE_KEY, JSON.stringify({ verifier, state, returnTo: window.location.pathname }));
+
+  window.location.assign(`${authorizationEndpoint}?${new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId(),
+    redirect_uri: redirectUri(),
+    scope: getConfig().auth.scope,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  })}`);
+};
+
+// Completes sign-in when the issuer redirects back with ?code=...&state=...
+// Resolves true if a callback was handled, false if the URL wasn't a callback.
+export const handleRedirectCallback = async () => {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('code');
+  const error = params.get('error');
+  if (!code && !error) return false;
+
+  const pkce = readJson(PKCE_KEY);
+  sessionStorage.removeItem(PKCE_KEY);
+  window.history.replaceState(null, '', pkce?.returnTo || '/');
+
+  if (error) throw new Error(params.get('error_description') || error);
+  if (!pkce || pkce.state !== params.get('state')) throw new Error('Sign-in response did not match the request. Please try again.');
+
+  saveTokens(await requestTokens({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri(),
+    code_verifier: pkce.verifier,
+  }));
+  return true;
+};
+
+// Concurrent 401s share a single refresh
+let refreshPromise = null;
+const refresh = () => {
+  if (!refreshPromise) {
+    const tokens = loadTokens();
+    refreshPromise = (async () => {
+      if (!tokens?.refreshToken) throw new Error('Session expired');
+      return saveTokens(await requestTokens({ grant_type: 'refresh_token', refresh_token: tokens.refreshToken }), tokens);
+    })()
+      .catch((error) => {
+        console.warn('Token refresh failed, signing out:', error.message);
+        clearTokens();
+        throw error;
+      })
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+const getAccessToken = async () => {
+  const tokens = loadTokens();
+  if (!tokens) throw new Error('Not signed in');
+  if (Date.now() < tokens.expiresAt - EXPIRY_MARGIN_MS) return tokens.accessToken;
+  return (await refresh()).accessToken;
+};
+
+export const logout = async () => {
+  clearTokens();
+  try {
+    const { end_session_endpoint: endSession } = await discover();
+    if (endSession) {
+      window.location.assign(`${endSession}?${new URLSearchParams({ client_id: clientId(), logout_uri: redirectUri(), post_logout_redirect_uri: redirectUri() })}`);
+    }
+  } catch (error) {
+    console.warn('Could not reach the sign-out endpoint:', error.message);
+  }
+};
+
+const withAuthorization = (options, token) => ({
+  ...options,
+  headers: { ...options.headers, Authorization: `Bearer ${token}` },
+});
+
+// fetch() for our own API: attaches the bearer token and, on a 401, refreshes and retries once.
+// Pre-signed S3 URLs carry their own signature and must not go through this.
+export const authFetch = async (url, options = {}) => {
+  if (!isAuthEnabled()) return fetch(url, options);
+
+  const response = await fetch(url, withAuthorization(options, await getAccessToken()));
+  if (response.status !== 401) return response;
+
+  const { accessToken } = await refresh();
+  return fetch(url, withAuthorization(options, accessToken));
+};
@@ -0,0 +1,165 @@
+import { applyConfig } from './config';
+import { authFetch, getUser, handleRedirectCallback, isSignedIn, onAuthChange } from './auth';
+
+const ISSUER = 'https://issuer.example';
+const TOKEN_ENDPOINT = `${ISSUER}/oauth2/token`;
+const API = 'https://api.example/presign';
+
+const respond = (status, body = {}) => ({ ok: status < 400, status, json: async () => body });
+
+// The issuer's discovery document and token endpoint, plus `api` for everything else.
+// Token requests are recorded as the form fields they sent.
+const fakeIssuer = ({ token = () => respond(200, { access_token: 'access-2', expires_in: 3600 }), api = () => respond(200) } = {}) => {
+  const tokenRequests = [];
+  global.fetch = jest.fn(async (url, options = {}) => {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) {
+      return respond(200, { token_endpoint: TOKEN_ENDPOINT, authorization_endpoint: `${ISSUER}/oauth2/authorize` });
+    }
+    if (url === TOKEN_ENDPOINT) {
+      const params = Object.fromEntries(options.body);
+      tokenRequests.push(params);
+      return token(params);
+    }
+    return api(url, options);
+  });
+  return tokenRequests;
+};
+
+const signIn = (tokens = {}) => sessionStorage.setItem('auth.tokens', JSON.stringify({
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  expiresAt: Date.now() + 3600 * 1000,
+  ...tokens,
+}));
+
+const apiCalls = () => fetch.mock.calls.filter(([url]) => url === API).map(([, options]) => options.headers.Authorization);
+
+// A JWT with `claims`; the signature isn't checked client-side
+const jwt = claims => `header.${btoa(JSON.stringify(claims)).replace(/=+$/, '')}.signature`;
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  applyConfig({ auth: { issuer: `${ISSUER}/`, clientId: 'client-1', redirectUri: 'https://uploads.example/' } });
+  sessionStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('authFetch', () => {
+  test('goes out anonymously while auth is off', async () => {
+    applyConfig({ auth: { issuer: '', clientId: '' } });
+    fakeIssuer();
+
+    await authFetch(API, { headers: { Accept: 'application/json' } });
+
+    expect(fetch).toHaveBeenCalledWith(API, { headers: { Accept: 'application/json' } });
+  });
+
+  test('refreshes the token on a 401 and retries once with the new one', async () => {
+    signIn();
+    const tokenRequests = fakeIssuer({ api: (url, { headers }) => respond(headers.Authorization === 'Bearer access-1' ? 401 : 200) });
+
+    const response = await authFetch(API, { method: 'POST', headers: { Accept: 'application/json' } });
+
+    expect(response.status).toBe(200);
+    expect(apiCalls()).toEqual(['Bearer access-1', 'Bearer access-2']);
+    expect(tokenRequests).toEqual([{ client_id: 'client-1', grant_type: 'refresh_token', refresh_token: 'refresh-1' }]);
+    // The refresh token is kept when the response doesn't rotate it
+    expect(JSON.parse(sessionStorage.getItem('auth.tokens'))).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-1' });
+  });
+
+  test('shares one refresh between requests that get a 401 together', async () => {
+    signIn();
+    const tokenRequests = fakeIssuer({ api: (url, { headers }) => respond(headers.Authorization === 'Bearer access-1' ? 401 : 200) });
+
+    await Promise.all([authFetch(API), authFetch(API)]);
+
+    expect(tokenRequests).toHaveLength(1);
+  });
+
+  test('refreshes a token that is about to expire before sending', async () => {
+    signIn({ expiresAt: Date.now() + 1000 });
+    fakeIssuer();
+
+    await authFetch(API);
+
+    expect(apiCalls()).toEqual(['Bearer access-2']);
+  });
+
+  test('signs out when the refresh is refused', async () => {
+    signIn();
+    const listener = jest.fn();
+    const off = onAuthChange(listener);
+    fakeIssuer({ token: () => respond(400, { error: 'invalid_grant' }), api: () => respond(401) });
+
+    await expect(authFetch(API)).rejects.toThrow('invalid_grant');
+    off();
+
+    expect(isSignedIn()).toBe(false);
+    expect(listener).toHaveBeenCalled();
+  });
+});
+
+describe('handleRedirectCallback', () => {
+  const callback = (query, pkce = { verifier: 'verifier-1', state: 'state-1', returnTo: '/cases' }) => {
+    if (pkce) sessionStorage.setItem('auth.pkce', JSON.stringify(pkce));
+    window.history.replaceState(null, '', `/?${query}`);
+  };
+
+  test('is a no-op on a normal page load', async () => {
+    const tokenRequests = fakeIssuer();
+
+    await expect(handleRedirectCallback()).resolves.toBe(false);
+    expect(tokenRequests).toEqual([]);
+  });
+
+  test('trades the code and the PKCE verifier for tokens and goes back where sign-in started', async () => {
+    callback('code=code-1&state=state-1');
+    const tokenRequests = fakeIssuer({
+      token: () => respond(200, { access_token: 'access-1', id_token: jwt({ sub: 'u1', email: 'ana@example.com' }), refresh_token: 'refresh-1' }),
+    });
+
+    await expect(handleRedirectCallback()).resolves.toBe(true);
+
+    expect(tokenRequests).toEqual([{
+      client_id: 'client-1',
+      grant_type: 'authorization_code',
+      code: 'code-1',
+      redirect_uri: 'https://uploads.example/',
+      code_verifier: 'verifier-1',
+    }]);
+    expect(isSignedIn()).toBe(true);
+    expect(getUser()).toEqual({ name: 'ana@example.com', email: 'ana@example.com', sub: 'u1' });
+    expect(window.location.pathname).toBe('/cases');
+    expect(window.location.search).toBe('');
+    expect(sessionStorage.getItem('auth.pkce')).toBeNull();
+  });
+
+  test('rejects a response whose state does not match the request', async () => {
+    callback('code=code-1&state=forged');
+    const tokenRequests = fakeIssuer();
+
+    await expect(handleRedirectCallback()).rejects.toThrow('Sign-in response did not match the request');
+    expect(tokenRequests).toEqual([]);
+    expect(isSignedIn()).toBe(false);
+  });
+
+  test('rejects a callback without a pending sign-in', async () => {
+    callback('code=code-1&state=state-1', null);
+    fakeIssuer();
+
+    await expect(handleRedirectCallback()).rejects.toThrow('Sign-in response did not match the request');
+  });
+
+  test('passes on the error the issuer sent back', async () => {
+    callback('error=access_denied&error_description=User+cancelled&state=state-1');
+    fakeIssuer();
+
+    await expect(handleRedirectCallback()).rejects.toThrow('User cancelled');
+    expect(window.location.search).toBe('');
+  });
+});
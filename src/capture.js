@@ -0,0 +1,128 @@
+// File sources besides the drop zone and file picker: the clipboard, the camera and the screen.
+// Everything here produces plain Files that go through the same validation and presign flow.
+
+import { t } from './i18n';
+
+export const MAX_RECORDING_SECONDS = Number(process.env.REACT_APP_MAX_RECORDING_SECONDS) || 120;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "screenshot-2024-05-01-14-03-27.png" in local time, plus "-2" and so on for several files at once
+export const captureFileName = (prefix, extension, date = new Date(), index = null) => {
+  const stamp = [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()].map(pad).join('-');
+  return `${prefix}-${stamp}${index ? `-${index}` : ''}.${extension}`;
+};
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif', 'video/webm': 'webm', 'video/mp4': 'mp4' };
+
+// MediaRecorder reports types like "video/webm;codecs=vp9"; validation compares the bare type
+const baseType = (type) => type.split(';')[0].trim();
+
+const extensionFor = (type) => EXTENSIONS[baseType(type)] || baseType(type).split('/')[1] || 'bin';
+
+const toFile = (blob, prefix, date, index) => {
+  const type = baseType(blob.type);
+  return new File([blob], captureFileName(prefix, extensionFor(type), date, index), { type, lastModified: date.getTime() });
+};
+
+// Browsers name every pasted screenshot "image.png"; those get unique names so their S3 keys don't collide
+const GENERIC_NAMES = /^(image|blob)(\.\w+)?$/i;
+
+/**
+ * Files from a paste event: screenshots and files copied in the file manager.
+ * Empty for text pastes, which are left to whatever has focus.
+ */
+export const filesFromClipboard = (clipboardData) => {
+  const now = new Date();
+  const files = Array.from(clipboardData?.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.getAsFile())
+    .filter(Boolean);
+  return files.map((file, i) => (!file.name || GENERIC_NAMES.test(file.name)
+    ? toFile(file, 'pasted', now, files.length > 1 ? i + 1 : null)
+    : file));
+};
+
+export const canCapture = () => ({
+  camera: Boolean(navigator.mediaDevices?.getUserMedia),
+  screen: Boolean(navigator.mediaDevices?.getDisplayMedia),
+  record: Boolean(navigator.mediaDevices?.getDisplayMedia) && typeof MediaRecorder !== 'undefined',
+});
+
+export const stopStream = (stream) => stream?.getTracks().forEach(track => track.stop());
+
+// The current frame of a playing <video> as an image File
+export const grabFrame = (video, prefix, { type = 'image/png', quality } = {}) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  canvas.toBlob(blob => (blob ? resolve(toFile(blob, prefix, new Date())) : reject(new Error('Could not capture the image'))), type, quality);
+});
+
+// One screenshot: share a screen or window, grab its first frame, stop sharing
+export const captureScreenshot = async () => {
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+  try {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.srcObject = stream;
+    await video.play();
+    return await grabFrame(video, 'screenshot');
+  } finally {
+    stopStream(stream);
+  }
+};
+
+const RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+/**
+ * Records `stream` until stop() is called, the user ends sharing from the browser's own UI,
+ * or `maxSeconds` pass. `done` resolves with the recording as a File and stops the stream.
+ */
+export const recordStream = (stream, { maxSeconds = MAX_RECORDING_SECONDS } = {}) => {
+  const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported?.(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  let timer;
+
+  const stop = () => {
+    clearTimeout(timer);
+    if (recorder.state !== 'inactive') recorder.stop();
+  };
+
+  const done = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+    recorder.onstop = () => {
+      stopStream(stream);
+      resolve(toFile(new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' }), 'screen-recording', new Date()));
+    };
+    recorder.onerror = (e) => {
+      stopStream(stream);
+      reject(e.error || new Error('Recording failed'));
+    };
+  });
+
+  stream.getVideoTracks()[0]?.addEventListener('ended', stop);
+  timer = setTimeout(stop, maxSeconds * 1000);
+  // Timesliced, so a recording cut short still has its data
+  recorder.start(1000);
+  return { stop, done };
+};
+
+// What to tell the user when the browser refuses a capture
+export const describeCaptureError = (error, source) => {
+  switch (error.name) {
+    case 'NotAllowedError':
+      return source === 'camera'
+        ? t('capture.cameraBlocked')
+        : null; // Closing the screen picker also reports NotAllowedError; that's not an error worth showing
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return t('capture.noCamera');
+    case 'NotReadableError':
+      return t('capture.cameraBusy');
+    default:
+      return t('capture.failed', { message: error.message });
+  }
+};
@@ -0,0 +1,37 @@
+import { captureFileName, describeCaptureError, filesFromClipboard } from './capture';
+
+const clipboard = (...files) => ({
+  items: [{ kind: 'string', getAsFile: () => null }, ...files.map(file => ({ kind: 'file', getAsFile: () => file }))],
+});
+
+test('captureFileName stamps the local time', () => {
+  const date = new Date(2024, 4, 1, 14, 3, 7);
+  expect(captureFileName('screenshot', 'png', date)).toBe('screenshot-2024-05-01-14-03-07.png');
+  expect(captureFileName('pasted', 'png', date, 2)).toBe('pasted-2024-05-01-14-03-07-2.png');
+});
+
+describe('filesFromClipboard', () => {
+  test('renames pasted screenshots so they do not all upload as image.png', () => {
+    const [file] = filesFromClipboard(clipboard(new File(['x'], 'image.png', { type: 'image/png' })));
+    expect(file.name).toMatch(/^pasted-\d{4}(-\d{2}){5}\.png$/);
+    expect(file.type).toBe('image/png');
+  });
+
+  test('keeps the names of copied files and numbers several screenshots', () => {
+    const report = new File(['x'], 'report.pdf', { type: 'application/pdf' });
+    const files = filesFromClipboard(clipboard(report, new File(['x'], 'image.png', { type: 'image/png' })));
+    expect(files[0]).toBe(report);
+    expect(files[1].name).toMatch(/-2\.png$/);
+  });
+
+  test('ignores text pastes', () => {
+    expect(filesFromClipboard(clipboard())).toEqual([]);
+    expect(filesFromClipboard(null)).toEqual([]);
+  });
+});
+
+test('closing the screen picker is not reported as an error', () => {
+  const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+  expect(describeCaptureError(denied, 'screen')).toBeNull();
+  expect(describeCaptureError(denied, 'camera')).toMatch(/Camera access was blocked/);
+});
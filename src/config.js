@@ -0,0 +1,200 @@
+import React, { createContext, useContext } from 'react';
+import {
+  DEFAULT_POLICY, DEFAULT_TRACKER_OPTIONS, DEFAULT_IMAGE_OPTIONS, IMAGE_FORMATS, UPLOAD_CONCURRENCY,
+  MULTIPART_THRESHOLD, MULTIPART_PART_SIZE, MULTIPART_CONCURRENCY, normalizePolicy,
+} from './uploader';
+import { REQUEST_RETRIES, REQUEST_TIMEOUT_MS, REQUEST_RETRY_DELAY_MS, UPLOAD_STALL_TIMEOUT_MS } from './request';
+import { initialSchema, normalizeSchema } from './metadataSchema';
+import { MAX_RECORDING_SECONDS } from './capture';
+
+// Runtime configuration: /config.json is fetched before the app renders, so one build can be
+// deployed to dev, staging and prod with a different config.json next to index.html.
+// Every field is optional; what's missing (or the whole file) falls back to the REACT_APP_*
+// env defaults the build was made with. See config.example.json for the full shape.
+
+const env = process.env;
+
+export const DEFAULT_CONFIG = {
+  apiUrl: env.REACT_APP_API_URL || '',
+  auth: {
+    issuer: env.REACT_APP_AUTH_ISSUER || '',
+    clientId: env.REACT_APP_AUTH_CLIENT_ID || '',
+    redirectUri: env.REACT_APP_AUTH_REDIRECT_URI || '',
+    scope: env.REACT_APP_AUTH_SCOPE || 'openid email profile',
+  },
+  statusChannel: {
+    type: (env.REACT_APP_STATUS_CHANNEL || '').toLowerCase(),
+    url: env.REACT_APP_STATUS_CHANNEL_URL || '',
+    connectTimeoutMs: Number(env.REACT_APP_STATUS_CHANNEL_TIMEOUT_MS) || 5000,
+  },
+  requests: {
+    retries: REQUEST_RETRIES,
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    stallTimeoutMs: UPLOAD_STALL_TIMEOUT_MS,
+    retryDelayMs: REQUEST_RETRY_DELAY_MS,
+  },
+  polling: DEFAULT_TRACKER_OPTIONS,
+  policy: DEFAULT_POLICY,
+  upload: {
+    concurrency: UPLOAD_CONCURRENCY,
+    multipartThreshold: MULTIPART_THRESHOLD,
+    partSize: MULTIPART_PART_SIZE,
+    partConcurrency: MULTIPART_CONCURRENCY,
+    maxRecordingSeconds: MAX_RECORDING_SECONDS,
+  },
+  imageProcessing: DEFAULT_IMAGE_OPTIONS,
+  metadataSchema: initialSchema,
+  // Client-side encryption (see src/uploader/encryption.js): an RSA public key as PEM or base64
+  // SPKI. Without one, the API is asked for its key (/presign/encryption-key) when `enabled`,
+  // which is whether the "Encrypt files" switch starts on.
+  encryption: {
+    enabled: env.REACT_APP_ENCRYPTION === 'true',
+    publicKey: env.REACT_APP_ENCRYPTION_PUBLIC_KEY || '',
+    keyId: env.REACT_APP_ENCRYPTION_KEY_ID || '',
+  },
+  // Pages allowed to embed the uploader in an iframe and receive its events (see src/embed)
+  embed: {
+    allowedOrigins: (env.REACT_APP_EMBED_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  },
+  // Overrides for texts that otherwise come from the message catalogs (src/i18n): a string for
+  // every language, or { "en": "...", "de": "..." }. Empty means the catalog text.
+  ui: {
+    title: env.REACT_APP_TITLE || '',
+    dropZoneTitle: '',
+    dropZoneHint: '',
+    signInTitle: '',
+    signInMessage: '',
+  },
+};
+
+const isString = value => typeof value === 'string';
+const isText = value => isString(value) || (isObject(value) && Object.values(value).every(isString));
+const isBoolean = value => typeof value === 'boolean';
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+// "https://crm.example.com", or "https://*.example.com" for every subdomain
+const isOrigin = value => isString(value) && /^https?:\/\/(\*\.)?[^/*]+$/.test(value);
+const isUrl = (value) => {
+  if (!isString(value)) return false;
+  try {
+    return Boolean(value === '' || new URL(value, window.location.origin));
+  } catch {
+    return false;
+  }
+};
+
+// Field checks per section; a field that fails its check keeps the default
+const SECTIONS = {
+  auth: { issuer: isUrl, clientId: isString, redirectUri: isUrl, scope: isString },
+  statusChannel: { type: value => ['', 'websocket', 'sse'].includes(value), url: isUrl, connectTimeoutMs: isPositive },
+  requests: { retries: isCount, timeoutMs: isPositive, stallTimeoutMs: isPositive, retryDelayMs: isPositive },
+  polling: {
+    initialDelay: isCount,
+    baseInterval: isPositive,
+    maxInterval: isPositive,
+    multiplier: value => isPositive(value) && value >= 1,
+    jitter: isFraction,
+    maxConsecutiveErrors: isCount,
+    timeout: isPositive,
+  },
+  upload: {
+    concurrency: isPositiveInteger,
+    multipartThreshold: isPositive,
+    partSize: isPositive,
+    partConcurrency: isPositiveInteger,
+    maxRecordingSeconds: isPositive,
+  },
+  imageProcessing: {
+    enabled: isBoolean,
+    // null stands for "keep original size", since JSON has no Infinity
+    maxDimension: value => value === null || isPositive(value),
+    quality: value => isFraction(value) && value > 0,
+    format: value => Object.keys(IMAGE_FORMATS).includes(value),
+  },
+  encryption: { enabled: isBoolean, publicKey: isString, keyId: isString },
+  embed: { allowedOrigins: value => Array.isArray(value) && value.every(isOrigin) },
+  ui: { title: isText, dropZoneTitle: isText, dropZoneHint: isText, signInTitle: isText, signInMessage: isText },
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeSection = (name, raw, base) => {
+  if (raw === undefined) return base;
+  if (!isObject(raw)) {
+    console.warn(`Ignoring config.json "${name}": expected an object`);
+    return base;
+  }
+  const merged = { ...base };
+  Object.entries(raw).forEach(([field, value]) => {
+    if (SECTIONS[name][field]?.(value)) merged[field] = value;
+    else console.warn(`Ignoring unknown or malformed config.json field "${name}.${field}"`);
+  });
+  return merged;
+};
+
+/**
+ * Validates a parsed config.json and merges it over `base`. Malformed fields are dropped with a
+ * warning instead of failing, so a typo in one environment's config can't take the app down.
+ */
+export const normalizeConfig = (raw, base = DEFAULT_CONFIG) => {
+  if (!isObject(raw)) {
+    console.warn('Ignoring config.json: expected a JSON object');
+    return base;
+  }
+  const config = { ...base };
+  Object.entries(raw).forEach(([key, value]) => {
+    if (key === 'apiUrl') {
+      if (isUrl(value)) config.apiUrl = value.replace(/\/$/, '');
+      else console.warn('Ignoring malformed config.json field "apiUrl"');
+    } else if (key === 'policy') {
+      config.policy = normalizePolicy(isObject(value) ? value : {}, base.policy);
+    } else if (key === 'metadataSchema') {
+      config.metadataSchema = normalizeSchema(value);
+    } else if (SECTIONS[key]) {
+      config[key] = mergeSection(key, value, base[key]);
+    } else if (key !== '$comment') {
+      console.warn(`Ignoring unknown config.json field "${key}"`);
+    }
+  });
+  if (config.imageProcessing.maxDimension === null) config.imageProcessing = { ...config.imageProcessing, maxDimension: Infinity };
+  return config;
+};
+
+let current = DEFAULT_CONFIG;
+
+// For modules outside React (the API client, auth, the status channel); components use useConfig()
+export const getConfig = () => current;
+
+/**
+ * Fetches and applies /config.json (or `url`). Never rejects: without a usable file the env
+ * defaults stay.
+ */
+export const loadConfig = async (url = `${env.PUBLIC_URL || ''}/config.json`) => {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (response.status === 404) return current;
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    // The dev server answers unknown paths with index.html
+    if (!(response.headers.get('Content-Type') || '').includes('json')) return current;
+    current = normalizeConfig(await response.json());
+  } catch (error) {
+    console.warn('config.json could not be loaded, using the built-in defaults:', error.message);
+  }
+  return current;
+};
+
+// Settings given by an embedding page (the <s3-uploader> attributes), validated like config.json
+export const applyConfig = (overrides) => {
+  current = normalizeConfig(overrides, current);
+  return current;
+};
+
+const ConfigContext = createContext(DEFAULT_CONFIG);
+
+export const ConfigProvider = ({ config, children }) => (
+  <ConfigContext.Provider value={config}>{children}</ConfigContext.Provider>
+);
+
+export const useConfig = () => useContext(ConfigContext);
@@ -0,0 +1,82 @@
+import { DEFAULT_CONFIG, applyConfig, getConfig, loadConfig, normalizeConfig } from './config';
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeConfig', () => {
+  test('merges valid fields over the defaults', () => {
+    const config = normalizeConfig({
+      apiUrl: 'https://api.staging.example.com/',
+      polling: { timeout: 120000 },
+      policy: { maxSize: 1024, allowedExtensions: ['.PDF'] },
+      ui: { title: 'Staging uploads' },
+    });
+
+    expect(config.apiUrl).toBe('https://api.staging.example.com');
+    expect(config.polling).toEqual({ ...DEFAULT_CONFIG.polling, timeout: 120000 });
+    expect(config.policy).toMatchObject({ maxSize: 1024, allowedExtensions: ['pdf'], maxFiles: DEFAULT_CONFIG.policy.maxFiles });
+    expect(config.ui).toEqual({ ...DEFAULT_CONFIG.ui, title: 'Staging uploads' });
+    expect(config.auth).toBe(DEFAULT_CONFIG.auth);
+  });
+
+  test('drops malformed and unknown fields with a warning', () => {
+    const config = normalizeConfig({
+      requests: { retries: -1, timeoutMs: '30s' },
+      upload: { concurrency: 2.5 },
+      statusChannel: { type: 'carrier-pigeon' },
+      imageProcessing: { maxDimension: null },
+      colour: 'blue',
+    });
+
+    expect(config.requests).toEqual(DEFAULT_CONFIG.requests);
+    expect(config.upload.concurrency).toBe(DEFAULT_CONFIG.upload.concurrency);
+    expect(config.statusChannel).toEqual(DEFAULT_CONFIG.statusChannel);
+    expect(config.imageProcessing.maxDimension).toBe(Infinity);
+    expect(console.warn).toHaveBeenCalledWith('Ignoring unknown config.json field "colour"');
+    expect(console.warn).toHaveBeenCalledWith('Ignoring unknown or malformed config.json field "requests.retries"');
+  });
+
+  test('embed.allowedOrigins takes exact origins and subdomain wildcards only', () => {
+    expect(normalizeConfig({ embed: { allowedOrigins: ['https://crm.example.com', 'https://*.example.com'] } }).embed.allowedOrigins)
+      .toEqual(['https://crm.example.com', 'https://*.example.com']);
+    expect(normalizeConfig({ embed: { allowedOrigins: ['*'] } }).embed).toEqual(DEFAULT_CONFIG.embed);
+    expect(normalizeConfig({ embed: { allowedOrigins: ['https://crm.example.com/cases'] } }).embed).toEqual(DEFAULT_CONFIG.embed);
+  });
+});
+
+describe('loadConfig', () => {
+  const respond = (status, body, type = 'application/json') => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: status < 400,
+      status,
+      headers: { get: () => type },
+      json: async () => body,
+    });
+  };
+
+  test('applies /config.json for the rest of the app', async () => {
+    respond(200, { apiUrl: 'https://api.prod.example.com' });
+    await expect(loadConfig()).resolves.toMatchObject({ apiUrl: 'https://api.prod.example.com' });
+    expect(getConfig().apiUrl).toBe('https://api.prod.example.com');
+    expect(global.fetch).toHaveBeenCalledWith('/config.json', { cache: 'no-store' });
+  });
+
+  test('keeps the current config when there is no config.json', async () => {
+    const before = getConfig();
+    respond(200, null, 'text/html');
+    await expect(loadConfig()).resolves.toBe(before);
+    respond(500);
+    await expect(loadConfig()).resolves.toBe(before);
+  });
+});
+
+test('applyConfig merges an embedding page\'s settings over the loaded config', () => {
+  const before = getConfig();
+  expect(applyConfig({ apiUrl: 'https://api.crm.example.com/' })).toMatchObject({ apiUrl: 'https://api.crm.example.com', policy: before.policy });
+  expect(getConfig().apiUrl).toBe('https://api.crm.example.com');
+});
@@ -0,0 +1,9 @@
+// Saves `text` as a file through a temporary link
+export const downloadText = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
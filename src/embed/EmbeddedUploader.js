@@ -0,0 +1,58 @@
+import React, { useEffect, useImperativeHandle, useRef } from 'react';
+import { ConfigProvider } from '../config';
+import { I18nProvider, useI18n } from '../i18n';
+import AuthGate from '../AuthGate';
+import FileUpload from '../FileUpload';
+
+const Widget = ({ title, locale, metadata, onEvent, ref }) => {
+  const { locale: current, dir, setLocale } = useI18n();
+  const uploaderRef = useRef(null);
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  // The host page picks the language; it isn't remembered as the user's own choice
+  useEffect(() => {
+    if (locale) setLocale(locale, { remember: false });
+  }, [locale, setLocale]);
+
+  useEffect(() => {
+    if (metadata) uploaderRef.current?.setMetadata(metadata);
+  }, [metadata]);
+
+  useEffect(() => {
+    onEventRef.current?.({ type: 'ready' });
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    configure: ({ locale: nextLocale, metadata: values } = {}) => {
+      if (nextLocale) setLocale(nextLocale, { remember: false });
+      if (values) uploaderRef.current?.setMetadata(values);
+    },
+    uploadAll: () => uploaderRef.current?.uploadAll(),
+    reset: () => uploaderRef.current?.reset(),
+  }), [setLocale]);
+
+  return (
+    <div className="s3-uploader" lang={current} dir={dir}>
+      <FileUpload embedded title={title} onEvent={onEvent} ref={uploaderRef} />
+    </div>
+  );
+};
+
+/**
+ * The uploader for other pages, without the app's chrome: the upload card, behind sign-in when
+ * auth is configured. `onEvent` receives the integration events (see integrationEvents.js);
+ * `ref` gets { configure({ locale, metadata }), uploadAll(), reset() }. `metadata` prefills the
+ * metadata form, `locale` overrides the detected language without touching the host's <html>.
+ */
+const EmbeddedUploader = ({ config, ref, ...props }) => (
+  <ConfigProvider config={config}>
+    <I18nProvider scoped>
+      <AuthGate>
+        <Widget ref={ref} {...props} />
+      </AuthGate>
+    </I18nProvider>
+  </ConfigProvider>
+);
+
+export default EmbeddedUploader;
@@ -0,0 +1,40 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import 'bootstrap/dist/css/bootstrap.min.css';
+import '../style.css';
+import '../rtl.css';
+import EmbeddedUploader from './EmbeddedUploader';
+import { createParentBridge } from './parentBridge';
+
+// The uploader at index.html?embed, for pages that put it in an iframe:
+//
+//   <iframe src="https://upload.example.com/?embed&parentOrigin=https://crm.example.com&locale=de"
+//           allow="camera; microphone; display-capture"></iframe>
+//
+// Events go to the parent with postMessage, and the parent drives it with
+// { source: 's3-uploader', command: 'configure', locale, metadata } and 'uploadAll' / 'reset'.
+// ?title= adds a heading, ?locale= picks the language. Both ways are limited to
+// embed.allowedOrigins.
+const FramedUploader = ({ config }) => {
+  const uploaderRef = useRef(null);
+  const bridge = useMemo(() => createParentBridge({ allowedOrigins: config.embed.allowedOrigins }), [config]);
+  const params = new URLSearchParams(window.location.search);
+
+  useEffect(() => bridge?.onCommand(({ command, ...options }) => {
+    if (command === 'configure') uploaderRef.current?.configure(options);
+    else uploaderRef.current?.[command]();
+  }), [bridge]);
+
+  return (
+    <div className="p-2">
+      <EmbeddedUploader
+        config={config}
+        ref={uploaderRef}
+        title={params.get('title') || undefined}
+        locale={params.get('locale') || undefined}
+        onEvent={bridge?.emit}
+      />
+    </div>
+  );
+};
+
+export default FramedUploader;
@@ -0,0 +1,130 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import 'bootstrap/dist/css/bootstrap.min.css';
+import '../style.css';
+import '../rtl.css';
+import { applyConfig, getConfig, loadConfig } from '../config';
+import EmbeddedUploader from './EmbeddedUploader';
+
+// <s3-uploader>, for pages that load the uploader with public/embed.js:
+//
+//   <script src="https://upload.example.com/embed.js" defer></script>
+//   <s3-uploader heading="Attach files" locale="de" metadata='{"caseId": "4711"}'></s3-uploader>
+//
+// Attributes: heading, locale, metadata (JSON, prefills the file details form), api-url and
+// config-url (defaults to the config.json next to embed.js). The same from script with
+// element.configure({ locale, metadata, onEvent }), plus element.uploadAll() and element.reset().
+// Every integration event (see integrationEvents.js) is dispatched on the element as a
+// CustomEvent of the same name, with the details in event.detail.
+//
+// The configuration is shared by every <s3-uploader> on the page, and so are Bootstrap's styles,
+// which apply to the host page too. Where that matters, embed the iframe instead.
+export const ELEMENT_NAME = 's3-uploader';
+
+const defaultConfigUrl = () => (window.s3UploaderBaseUrl ? new URL('config.json', window.s3UploaderBaseUrl).href : undefined);
+
+// The page's configuration is loaded once, by the first element that connects
+let configuring;
+const configFor = (element) => {
+  configuring = configuring || loadConfig(element.getAttribute('config-url') || defaultConfigUrl());
+  return configuring.then(() => {
+    const apiUrl = element.getAttribute('api-url');
+    return apiUrl ? applyConfig({ apiUrl }) : getConfig();
+  });
+};
+
+const parseMetadata = (json) => {
+  if (!json) return undefined;
+  try {
+    return JSON.parse(json);
+  } catch {
+    console.warn(`Ignoring <${ELEMENT_NAME}> metadata: not valid JSON`);
+    return undefined;
+  }
+};
+
+export class S3UploaderElement extends HTMLElement {
+  static observedAttributes = ['heading', 'locale', 'metadata'];
+
+  options = {};
+
+  handle = null;
+
+  root = null;
+
+  unmountTimer = null;
+
+  connectedCallback() {
+    // Moved or re-inserted: the root from before is still there, waiting to be unmounted
+    clearTimeout(this.unmountTimer);
+    this.root = this.root || createRoot(this);
+    configFor(this).then((config) => {
+      this.config = config;
+      this.renderUploader();
+    });
+  }
+
+  disconnectedCallback() {
+    // Unmounting while React may still be rendering is not allowed, so after the current task,
+    // unless the element is back in the page by then
+    this.unmountTimer = setTimeout(() => {
+      this.root?.unmount();
+      this.root = null;
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (name === 'metadata') this.options.metadata = parseMetadata(value);
+    else this.options[name] = value || undefined;
+    this.renderUploader();
+  }
+
+  configure({ locale, metadata, onEvent } = {}) {
+    if (locale !== undefined) this.options.locale = locale;
+    if (metadata !== undefined) this.options.metadata = metadata;
+    if (onEvent !== undefined) this.options.onEvent = onEvent;
+    this.renderUploader();
+  }
+
+  uploadAll() {
+    this.handle?.uploadAll();
+  }
+
+  reset() {
+    this.handle?.reset();
+  }
+
+  setHandle = (handle) => {
+    this.handle = handle;
+  };
+
+  emit = (event) => {
+    const { type, ...detail } = event;
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    this.options.onEvent?.(event);
+  };
+
+  renderUploader() {
+    if (!this.root || !this.config) return;
+    const { heading, locale, metadata } = this.options;
+    this.root.render(
+      <EmbeddedUploader
+        config={this.config}
+        ref={this.setHandle}
+        title={heading}
+        locale={locale}
+        metadata={metadata}
+        onEvent={this.emit}
+      />
+    );
+  }
+}
+
+/**
+ * Registers <s3-uploader>; safe to call more than once.
+ */
+export const defineUploaderElement = () => {
+  if (typeof customElements !== 'undefined' && !customElements.get(ELEMENT_NAME)) {
+    customElements.define(ELEMENT_NAME, S3UploaderElement);
+  }
+};
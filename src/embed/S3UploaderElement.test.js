@@ -0,0 +1,57 @@
+import React from 'react';
+import { act } from '@testing-library/react';
+import { defineUploaderElement, ELEMENT_NAME } from './S3UploaderElement';
+
+jest.mock('bootstrap/dist/css/bootstrap.min.css', () => ({}));
+jest.mock('../config', () => ({
+  loadConfig: () => Promise.resolve({}),
+  applyConfig: config => config,
+  getConfig: () => ({}),
+}));
+// The uploader itself is covered by FileUpload.test.js; this is about the element around it
+jest.mock('./EmbeddedUploader', () => ({ title }) => <p>Uploader: {title}</p>);
+
+defineUploaderElement();
+
+// Lets the config promise settle and the deferred unmount run
+const settle = () => act(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+test('renders the uploader with the heading attribute', async () => {
+  const element = document.createElement(ELEMENT_NAME);
+  element.setAttribute('heading', 'Attach files');
+  await act(async () => document.body.append(element));
+  await settle();
+
+  expect(element).toHaveTextContent('Uploader: Attach files');
+});
+
+test('keeps the uploader when the element is moved', async () => {
+  const element = document.createElement(ELEMENT_NAME);
+  element.setAttribute('heading', 'Attach files');
+  const target = document.createElement('section');
+  document.body.append(target);
+  await act(async () => document.body.append(element));
+  await settle();
+
+  await act(async () => target.append(element));
+  await settle();
+
+  expect(element).toHaveTextContent('Uploader: Attach files');
+  await act(async () => element.setAttribute('heading', 'Moved'));
+  expect(element).toHaveTextContent('Uploader: Moved');
+});
+
+test('unmounts the uploader once the element is gone', async () => {
+  const element = document.createElement(ELEMENT_NAME);
+  await act(async () => document.body.append(element));
+  await settle();
+
+  element.remove();
+  await settle();
+
+  expect(element).toBeEmptyDOMElement();
+});
@@ -0,0 +1,6 @@
+// Embedding the uploader in other pages: an iframe (index.html?embed) or <s3-uploader>.
+export { default as EmbeddedUploader } from './EmbeddedUploader';
+export { default as FramedUploader } from './FramedUploader';
+export { defineUploaderElement, S3UploaderElement, ELEMENT_NAME } from './S3UploaderElement';
+export { INTEGRATION_EVENTS, integrationEventsFor } from './integrationEvents';
+export { createParentBridge, isOriginAllowed, MESSAGE_SOURCE, COMMANDS } from './parentBridge';
@@ -0,0 +1,46 @@
+import { verdictState } from '../uploader';
+
+// What a host page embedding the uploader is told about each file (see src/embed). Events are
+// derived by comparing a queue item with its previous snapshot, like the screen reader
+// announcements in src/announcements.js.
+//
+//   selected     the file was added to the queue
+//   presigned    the API handed out an upload URL; fileId, bucket and key are known from here on
+//   progress     upload progress, once per whole percent
+//   uploaded     the upload finished and the file waits for its malware scan
+//   scan-result  the scan finished; verdict is the raw scan status, state clean/infected/failed
+export const INTEGRATION_EVENTS = ['ready', 'selected', 'presigned', 'progress', 'uploaded', 'scan-result'];
+
+const describeFile = ({ id, path, file, config }) => ({
+  id,
+  name: path,
+  size: file.size,
+  mimeType: file.type,
+  fileId: config?.fileId ?? null,
+});
+
+const percentOf = item => (item?.status === 'uploading' && item.progress ? Math.floor(item.progress.percent) : null);
+
+/**
+ * Events for a queue item that went from `previous` (undefined for a new item) to `item`, in the
+ * order they happened. Each is { type, ...file details }; the payload is plain JSON so it can
+ * cross a postMessage boundary.
+ */
+export const integrationEventsFor = (previous, item) => {
+  const file = describeFile(item);
+  const events = [];
+  if (!previous) events.push({ type: 'selected', ...file });
+  if (item.config && !previous?.config) {
+    events.push({ type: 'presigned', ...file, bucket: item.config.bucket, key: item.config.key ?? null });
+  }
+  const percent = percentOf(item);
+  if (percent !== null && percent !== percentOf(previous)) events.push({ type: 'progress', ...file, percent });
+  if (item.uploadTime != null && previous?.uploadTime == null) {
+    events.push({ type: 'uploaded', ...file, sha256: item.sha256?.hex ?? null, uploadTime: item.uploadTime });
+  }
+  const state = verdictState(item.scanStatus);
+  if (item.status === state && previous?.status !== state) {
+    events.push({ type: 'scan-result', ...file, verdict: item.scanStatus, state, threats: item.scanResult?.threats ?? [] });
+  }
+  return events;
+};
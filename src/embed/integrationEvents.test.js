@@ -0,0 +1,35 @@
+import { integrationEventsFor } from './integrationEvents';
+
+const file = new File(['%PDF-1.7'], 'a.pdf', { type: 'application/pdf' });
+const item = (status, extra = {}) => ({ id: 1, path: 'docs/a.pdf', file, status, ...extra });
+const config = { fileId: 'f-1', bucket: 'uploads', key: 'incoming/a.pdf' };
+
+test('tells the host page about each step of an upload, with the fileId once it is known', () => {
+  const selected = item('ready');
+  const presigned = item('presigning', { config });
+  const uploading = item('uploading', { config, progress: { percent: 42.5 } });
+  const scanning = item('scanning', { config, sha256: { hex: 'abc' }, uploadTime: 1.2 });
+  const clean = item('clean', { ...scanning, status: 'clean', scanStatus: 'NO_THREATS_FOUND', scanResult: { threats: [] } });
+
+  expect(integrationEventsFor(undefined, selected)).toEqual([
+    { type: 'selected', id: 1, name: 'docs/a.pdf', size: 8, mimeType: 'application/pdf', fileId: null },
+  ]);
+  expect(integrationEventsFor(selected, presigned)).toEqual([
+    expect.objectContaining({ type: 'presigned', fileId: 'f-1', bucket: 'uploads', key: 'incoming/a.pdf' }),
+  ]);
+  expect(integrationEventsFor(presigned, uploading)).toEqual([expect.objectContaining({ type: 'progress', percent: 42 })]);
+  expect(integrationEventsFor(uploading, scanning)).toEqual([
+    expect.objectContaining({ type: 'uploaded', fileId: 'f-1', sha256: 'abc', uploadTime: 1.2 }),
+  ]);
+  expect(integrationEventsFor(scanning, clean)).toEqual([
+    expect.objectContaining({ type: 'scan-result', fileId: 'f-1', verdict: 'NO_THREATS_FOUND', state: 'clean', threats: [] }),
+  ]);
+});
+
+test('reports progress once per whole percent and nothing when nothing changed', () => {
+  const at = percent => item('uploading', { config, progress: { percent } });
+  expect(integrationEventsFor(at(42.1), at(42.9))).toEqual([]);
+  expect(integrationEventsFor(at(42.9), at(43))).toEqual([expect.objectContaining({ type: 'progress', percent: 43 })]);
+  const infected = item('infected', { config, scanStatus: 'THREATS_FOUND', scanResult: { threats: ['Eicar'] } });
+  expect(integrationEventsFor(infected, infected)).toEqual([]);
+});
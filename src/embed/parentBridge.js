@@ -0,0 +1,66 @@
+// postMessage channel between the uploader running in an iframe and the page embedding it.
+// Only origins on the allow-list (config.json embed.allowedOrigins) are told anything or
+// listened to; with an empty list the channel stays closed.
+//
+// Messages to the host:   { source: 's3-uploader', type, ...details }   (see integrationEvents.js)
+// Messages from the host: { source: 's3-uploader', command: 'configure' | 'uploadAll' | 'reset', ... }
+
+export const MESSAGE_SOURCE = 's3-uploader';
+export const COMMANDS = ['configure', 'uploadAll', 'reset'];
+
+/**
+ * Whether `origin` ("https://crm.example.com") is on `allowedOrigins`. Entries are exact origins,
+ * or "https://*.example.com" for any subdomain of example.com over https.
+ */
+export const isOriginAllowed = (origin, allowedOrigins = []) => allowedOrigins.some((allowed) => {
+  if (allowed === origin) return true;
+  const wildcard = allowed.match(/^(https?:\/\/)\*\.(.+)$/);
+  return Boolean(wildcard && origin.startsWith(wildcard[1]) && origin.endsWith(`.${wildcard[2]}`));
+});
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+// The embedding page says who it is with ?parentOrigin=; browsers also tell us through
+// ancestorOrigins (Chromium) or the referrer. Whichever it is, it must be on the allow-list.
+export const resolveParentOrigin = (allowedOrigins, location = window.location, referrer = document.referrer) => {
+  const candidates = [
+    new URLSearchParams(location.search).get('parentOrigin'),
+    location.ancestorOrigins?.[0],
+    originOf(referrer),
+  ].filter(Boolean);
+  return candidates.find(origin => isOriginAllowed(origin, allowedOrigins)) || null;
+};
+
+/**
+ * Connects to the page embedding this window. Returns { emit(event), onCommand(handler) },
+ * or null when the app isn't framed or its parent's origin isn't allowed.
+ * onCommand returns an unsubscribe function.
+ */
+export const createParentBridge = ({ allowedOrigins, target = window.parent, self = window } = {}) => {
+  if (!target || target === self) return null;
+  const parentOrigin = resolveParentOrigin(allowedOrigins);
+  if (!parentOrigin) {
+    console.warn('Embedding page is not on embed.allowedOrigins; no events will be sent to it');
+    return null;
+  }
+
+  return {
+    origin: parentOrigin,
+    emit: event => target.postMessage({ source: MESSAGE_SOURCE, ...event }, parentOrigin),
+    onCommand: (handler) => {
+      const listener = ({ origin, source, data }) => {
+        if (source !== target || !isOriginAllowed(origin, allowedOrigins)) return;
+        if (data?.source !== MESSAGE_SOURCE || !COMMANDS.includes(data.command)) return;
+        handler(data);
+      };
+      self.addEventListener('message', listener);
+      return () => self.removeEventListener('message', listener);
+    },
+  };
+};
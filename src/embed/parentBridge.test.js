@@ -0,0 +1,63 @@
+import { createParentBridge, isOriginAllowed, resolveParentOrigin } from './parentBridge';
+
+const allowedOrigins = ['https://crm.example.com', 'https://*.tickets.example.com'];
+
+test('isOriginAllowed matches exact origins and subdomain wildcards', () => {
+  expect(isOriginAllowed('https://crm.example.com', allowedOrigins)).toBe(true);
+  expect(isOriginAllowed('https://eu.tickets.example.com', allowedOrigins)).toBe(true);
+  expect(isOriginAllowed('https://tickets.example.com', allowedOrigins)).toBe(false);
+  expect(isOriginAllowed('http://eu.tickets.example.com', allowedOrigins)).toBe(false);
+  expect(isOriginAllowed('https://crm.example.com.evil.test', allowedOrigins)).toBe(false);
+  expect(isOriginAllowed('https://crm.example.com', [])).toBe(false);
+});
+
+test('resolveParentOrigin only names an embedding page that is on the allow-list', () => {
+  const location = search => ({ search });
+  expect(resolveParentOrigin(allowedOrigins, location('?embed&parentOrigin=https://crm.example.com'), '')).toBe('https://crm.example.com');
+  expect(resolveParentOrigin(allowedOrigins, location('?embed'), 'https://eu.tickets.example.com/case/7')).toBe('https://eu.tickets.example.com');
+  expect(resolveParentOrigin(allowedOrigins, location('?embed&parentOrigin=https://evil.test'), '')).toBeNull();
+});
+
+describe('createParentBridge', () => {
+  let parent;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    parent = { postMessage: jest.fn() };
+    window.history.replaceState(null, '', '/?embed&parentOrigin=https://crm.example.com');
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    jest.restoreAllMocks();
+  });
+
+  test('posts events to the embedding page only', () => {
+    const bridge = createParentBridge({ allowedOrigins, target: parent });
+    bridge.emit({ type: 'uploaded', fileId: 'f-1' });
+    expect(parent.postMessage).toHaveBeenCalledWith({ source: 's3-uploader', type: 'uploaded', fileId: 'f-1' }, 'https://crm.example.com');
+  });
+
+  test('stays closed when the app is not framed or its parent is not allowed', () => {
+    expect(createParentBridge({ allowedOrigins, target: window })).toBeNull();
+    expect(createParentBridge({ allowedOrigins: ['https://other.example.com'], target: parent })).toBeNull();
+  });
+
+  test('takes commands from the parent and ignores everyone else', () => {
+    const handler = jest.fn();
+    const unsubscribe = createParentBridge({ allowedOrigins, target: parent }).onCommand(handler);
+    const send = (data, { origin = 'https://crm.example.com', source = parent } = {}) =>
+      window.dispatchEvent(new MessageEvent('message', { data, origin, source }));
+
+    send({ source: 's3-uploader', command: 'configure', locale: 'de' });
+    send({ source: 's3-uploader', command: 'uploadAll' }, { origin: 'https://evil.test' });
+    send({ source: 's3-uploader', command: 'uploadAll' }, { source: null });
+    send({ source: 's3-uploader', command: 'deleteEverything' });
+    send({ command: 'reset' });
+    expect(handler.mock.calls).toEqual([[{ source: 's3-uploader', command: 'configure', locale: 'de' }]]);
+
+    unsubscribe();
+    send({ source: 's3-uploader', command: 'reset' });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
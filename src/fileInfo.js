@@ -0,0 +1,185 @@
+import { formatDuration } from './format';
+import { t } from './i18n';
+import { getExtension } from './uploader/validationPolicy';
+
+// Client-side facts about a picked file, so users can tell they picked the right version
+// before uploading it. Everything here is best-effort: a file we can't read just gets fewer rows.
+// Labels stay English here; FilePreview translates them (preview.info.<label> in the catalogs).
+
+const TEXT_EXTENSIONS = ['txt', 'csv', 'tsv', 'json', 'md', 'log', 'xml', 'yaml', 'yml'];
+const EXCERPT_BYTES = 4 * 1024;
+const EXCERPT_CHARS = 1000;
+// Larger files aren't read completely just to count lines or PDF pages
+const FULL_READ_LIMIT = 20 * 1024 * 1024;
+const MEDIA_TIMEOUT_MS = 5000;
+
+export const fileKind = (file) => {
+  const type = file.type || '';
+  const extension = getExtension(file.name);
+  if (type.startsWith('image/')) return 'image';
+  if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (type.startsWith('audio/')) return 'audio';
+  if (type.startsWith('video/')) return 'video';
+  if (type.startsWith('text/') || type === 'application/json' || TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return 'other';
+};
+
+export const KIND_ICONS = {
+  image: '🖼️',
+  pdf: '📕',
+  text: '📝',
+  audio: '🎵',
+  video: '🎬',
+  other: '📄',
+};
+
+const readText = async (blob, encoding = 'utf-8') => new TextDecoder(encoding).decode(await blob.arrayBuffer());
+
+// Waits for an element's load event, or gives up quietly after MEDIA_TIMEOUT_MS
+const whenLoaded = (element, event, read) => new Promise((resolve) => {
+  const timer = setTimeout(() => resolve(null), MEDIA_TIMEOUT_MS);
+  element.addEventListener(event, () => {
+    clearTimeout(timer);
+    resolve(read(element));
+  }, { once: true });
+  element.addEventListener('error', () => {
+    clearTimeout(timer);
+    resolve(null);
+  }, { once: true });
+});
+
+const imageDimensions = (url) => {
+  const image = new Image();
+  const loaded = whenLoaded(image, 'load', img => ({ width: img.naturalWidth, height: img.naturalHeight }));
+  image.src = url;
+  return loaded;
+};
+
+const mediaInfo = (url, kind) => {
+  const media = document.createElement(kind);
+  media.preload = 'metadata';
+  const loaded = whenLoaded(media, 'loadedmetadata', el => ({ duration: el.duration, width: el.videoWidth, height: el.videoHeight }));
+  media.src = url;
+  return loaded;
+};
+
+// EXIF from a JPEG's APP1 segment: just the tags people recognise a photo by
+const EXIF_TAGS = { 0x010f: 'make', 0x0110: 'model', 0x0132: 'dateTime', 0x9003: 'dateTimeOriginal' };
+const EXIF_IFD_POINTER = 0x8769;
+
+const parseTiff = (view, start) => {
+  const little = view.getUint16(start) === 0x4949;
+  const u16 = (offset) => view.getUint16(offset, little);
+  const u32 = (offset) => view.getUint32(offset, little);
+  const tags = {};
+
+  const readIfd = (ifd) => {
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      const tag = u16(entry);
+      if (tag === EXIF_IFD_POINTER) readIfd(start + u32(entry + 8));
+      // Type 2 is ASCII; values longer than 4 bytes live at an offset
+      if (!EXIF_TAGS[tag] || u16(entry + 2) !== 2) continue;
+      const length = u32(entry + 4);
+      const offset = length > 4 ? start + u32(entry + 8) : entry + 8;
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+      tags[EXIF_TAGS[tag]] = String.fromCharCode(...bytes).replace(/\0+$/, '').trim();
+    }
+  };
+  readIfd(start + u32(start + 4));
+  return tags;
+};
+
+export const readExif = async (file) => {
+  try {
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xffd8) return null;
+    for (let offset = 2; offset + 10 < view.byteLength;) {
+      const marker = view.getUint16(offset);
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) return parseTiff(view, offset + 10);
+      // Start of scan: no metadata segments after this
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return null;
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    // Truncated or malformed EXIF
+  }
+  return null;
+};
+
+// "2023:05:01 14:03:22" -> "2023-05-01 14:03:22"
+const exifDate = (value) => value?.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
+
+// Reads the page tree's /Count. PDFs that keep their objects in compressed streams hide it,
+// in which case we count the /Type /Page objects we can see, or give up.
+export const pdfPageCount = async (file) => {
+  if (file.size > FULL_READ_LIMIT) return null;
+  const text = await readText(file, 'latin1');
+  const counts = [...text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)]
+    .map(match => Number(match[1] ?? match[2]));
+  if (counts.length) return Math.max(...counts);
+  const pages = text.match(/\/Type\s*\/Page\b(?!s)/g)?.length;
+  return pages || null;
+};
+
+const textInfo = async (file) => {
+  const extension = getExtension(file.name);
+  const whole = file.size <= FULL_READ_LIMIT ? await readText(file) : null;
+  let excerpt = whole ?? await readText(file.slice(0, EXCERPT_BYTES));
+  const metadata = [];
+
+  if (whole !== null) metadata.push({ label: 'Lines', value: (whole.match(/\n/g)?.length ?? 0) + (whole && !whole.endsWith('\n') ? 1 : 0) });
+  if (['csv', 'tsv'].includes(extension)) {
+    const header = excerpt.split(/\r?\n/)[0];
+    metadata.push({ label: 'Columns', value: header.split(extension === 'tsv' ? '\t' : ',').length });
+  }
+  if (whole !== null && (extension === 'json' || file.type === 'application/json')) {
+    try {
+      const data = JSON.parse(whole);
+      const value = Array.isArray(data) ? t('preview.json.array', { count: data.length })
+        : data && typeof data === 'object' ? t('preview.json.object', { count: Object.keys(data).length })
+          : typeof data;
+      metadata.push({ label: 'JSON', value });
+      excerpt = JSON.stringify(data, null, 2);
+    } catch (error) {
+      metadata.push({ label: 'JSON', value: t('preview.json.invalid', { message: error.message }) });
+    }
+  }
+
+  return { excerpt: excerpt.length > EXCERPT_CHARS ? `${excerpt.slice(0, EXCERPT_CHARS)}…` : excerpt, metadata };
+};
+
+/**
+ * Collects { kind, excerpt, metadata: [{ label, value }] } for the File Information card.
+ * `url` is an object URL for the file, needed to load images and media.
+ */
+export const extractFileInfo = async (file, url) => {
+  const kind = fileKind(file);
+  const metadata = [];
+  let excerpt = null;
+
+  try {
+    if (kind === 'image' && url) {
+      const [dimensions, exif] = await Promise.all([imageDimensions(url), readExif(file)]);
+      if (dimensions) metadata.push({ label: 'Dimensions', value: `${dimensions.width} × ${dimensions.height} px` });
+      if (exif?.dateTimeOriginal || exif?.dateTime) metadata.push({ label: 'Taken', value: exifDate(exif.dateTimeOriginal || exif.dateTime) });
+      if (exif?.make || exif?.model) metadata.push({ label: 'Camera', value: [exif.make, exif.model].filter(Boolean).join(' ') });
+    } else if (kind === 'pdf') {
+      const pages = await pdfPageCount(file);
+      if (pages) metadata.push({ label: 'Pages', value: pages });
+    } else if ((kind === 'audio' || kind === 'video') && url) {
+      const media = await mediaInfo(url, kind);
+      if (media) metadata.push({ label: 'Duration', value: formatDuration(media.duration) });
+      if (media?.width) metadata.push({ label: 'Resolution', value: `${media.width} × ${media.height}` });
+    } else if (kind === 'text') {
+      const text = await textInfo(file);
+      excerpt = text.excerpt;
+      metadata.push(...text.metadata);
+    }
+  } catch (error) {
+    console.warn('Could not read file details:', error);
+  }
+
+  return { kind, excerpt, metadata };
+};
@@ -0,0 +1,55 @@
+import { extractFileInfo, fileKind, pdfPageCount, readExif } from './fileInfo';
+
+// A minimal JPEG: SOI, then an APP1 EXIF segment with a big-endian TIFF holding Make,
+// Model and an Exif IFD with DateTimeOriginal
+const jpegWithExif = () => {
+  const ascii = (text) => [...text].map(c => c.charCodeAt(0)).concat(0);
+  const make = ascii('Canon'), model = ascii('EOS R6'), date = ascii('2023:05:01 14:03:22');
+  const u16 = (n) => [(n >> 8) & 0xff, n & 0xff];
+  const u32 = (n) => [...u16(n >>> 16), ...u16(n & 0xffff)];
+  const entry = (tag, type, count, value) => [...u16(tag), ...u16(type), ...u32(count), ...u32(value)];
+
+  // Layout inside the TIFF: header (8), IFD0 with 3 entries (2 + 36 + 4), Exif IFD with 1 entry (2 + 12 + 4), strings
+  const ifd0 = 8, exifIfd = ifd0 + 42, strings = exifIfd + 18;
+  const tiff = [
+    0x4d, 0x4d, 0x00, 0x2a, ...u32(ifd0),
+    ...u16(3),
+    ...entry(0x010f, 2, make.length, strings),
+    ...entry(0x0110, 2, model.length, strings + make.length),
+    ...entry(0x8769, 4, 1, exifIfd),
+    ...u32(0),
+    ...u16(1),
+    ...entry(0x9003, 2, date.length, strings + make.length + model.length),
+    ...u32(0),
+    ...make, ...model, ...date,
+  ];
+  const app1 = [0xff, 0xe1, ...u16(tiff.length + 8), ...ascii('Exif'), 0x00, ...tiff];
+  return new File([new Uint8Array([0xff, 0xd8, ...app1, 0xff, 0xda])], 'photo.jpg', { type: 'image/jpeg' });
+};
+
+test('classifies files by type and extension', () => {
+  expect(fileKind(new File([''], 'a.png', { type: 'image/png' }))).toBe('image');
+  expect(fileKind(new File([''], 'report.PDF'))).toBe('pdf');
+  expect(fileKind(new File([''], 'data.csv'))).toBe('text');
+  expect(fileKind(new File([''], 'clip.mp4', { type: 'video/mp4' }))).toBe('video');
+  expect(fileKind(new File([''], 'archive.zip', { type: 'application/zip' }))).toBe('other');
+});
+
+test('reads camera and capture date from EXIF', async () => {
+  await expect(readExif(jpegWithExif())).resolves.toEqual({ make: 'Canon', model: 'EOS R6', dateTimeOriginal: '2023:05:01 14:03:22' });
+  await expect(readExif(new File(['not a jpeg'], 'a.jpg'))).resolves.toBeNull();
+});
+
+test('counts PDF pages from the page tree', async () => {
+  const pdf = new File(['%PDF-1.4\n1 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj\n'], 'doc.pdf', { type: 'application/pdf' });
+  await expect(pdfPageCount(pdf)).resolves.toBe(2);
+});
+
+test('summarises JSON and CSV files', async () => {
+  const json = await extractFileInfo(new File(['{"a":1,"b":[1,2]}'], 'data.json', { type: 'application/json' }));
+  expect(json.metadata).toContainEqual({ label: 'JSON', value: 'object with 2 keys' });
+  expect(json.excerpt).toContain('"a": 1');
+
+  const csv = await extractFileInfo(new File(['id,name,email\n1,Ann,a@x.io\n'], 'people.csv', { type: 'text/csv' }));
+  expect(csv.metadata).toEqual([{ label: 'Lines', value: 2 }, { label: 'Columns', value: 3 }]);
+});
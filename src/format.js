@@ -0,0 +1,46 @@
+import { getLocale } from './i18n';
+
+// Display formatting shared by the upload UI and validation messages. Everything goes through
+// Intl for the current locale (see src/i18n), so separators, units and digits match the language.
+
+const number = (value, options) => new Intl.NumberFormat(getLocale(), options).format(value);
+
+const unit = (value, name, options = {}) => number(value, { style: 'unit', unit: name, unitDisplay: 'short', ...options });
+
+const SIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+
+export const formatFileSize = (bytes) => {
+  if (!bytes || isNaN(bytes)) return unit(0, 'byte');
+  const i = Math.min(SIZE_UNITS.length - 1, Math.max(0, Math.floor(Math.log(bytes) / Math.log(1024))));
+  return unit(bytes / 1024 ** i, SIZE_UNITS[i], { maximumFractionDigits: i ? 2 : 0 });
+};
+
+export const formatUploadTime = (ms) => (ms < 1000
+  ? unit(Math.round(ms), 'millisecond', { unitDisplay: 'narrow' })
+  : unit(ms / 1000, 'second', { unitDisplay: 'narrow', maximumFractionDigits: 2 }));
+
+export const formatEta = (seconds) => {
+  if (!isFinite(seconds)) return '--';
+  // Rounded once, before splitting, so 59.5 s is 1m 00s rather than 60s
+  const total = Math.ceil(seconds);
+  if (total < 60) return unit(total, 'second', { unitDisplay: 'narrow' });
+  const m = Math.floor(total / 60), sec = total % 60;
+  return new Intl.ListFormat(getLocale(), { type: 'unit', style: 'narrow' })
+    .format([unit(m, 'minute', { unitDisplay: 'narrow' }), unit(sec, 'second', { unitDisplay: 'narrow', minimumIntegerDigits: 2 })]);
+};
+
+// Media length as a clock: 0:42, 3:05, 1:02:03
+export const formatDuration = (seconds) => {
+  if (!isFinite(seconds)) return '--';
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), s = total % 60;
+  const pad = (n) => number(n, { minimumIntegerDigits: 2 });
+  return h ? `${number(h)}:${pad(m)}:${pad(s)}` : `${number(m)}:${pad(s)}`;
+};
+
+// 0 to 100 -> "42%" in English, "42 %" in German
+export const formatPercent = (percent) => number(Math.round(percent) / 100, { style: 'percent' });
+
+// Dates and times the way the locale writes them; `value` is anything Date accepts
+export const formatDate = (value, options = { dateStyle: 'medium', timeStyle: 'short' }) =>
+  new Intl.DateTimeFormat(getLocale(), options).format(new Date(value));
@@ -0,0 +1,450 @@
+// Arabic, written right to left (see src/rtl.css). Counted messages use the Arabic plural forms
+// zero, one, two, few (3-10), many (11-99) and other; a form that is left out falls back to other.
+const ar = {
+  app: {
+    title: 'رفع الملفات إلى AWS S3',
+    language: 'اللغة',
+  },
+  auth: {
+    signInTitle: 'سجّل الدخول لرفع الملفات',
+    signInMessage: 'لا تُقبل عمليات الرفع إلا من المستخدمين المسجّلين.',
+    signIn: 'تسجيل الدخول',
+    redirecting: 'جارٍ التحويل...',
+    signInFailed: 'فشل تسجيل الدخول: {message}',
+    startFailed: 'تعذّر بدء تسجيل الدخول: {message}',
+    signedInAs: 'مسجّل الدخول باسم {name}',
+    signOut: 'تسجيل الخروج',
+  },
+  dropZone: {
+    title: 'اسحب الملفات أو المجلدات وأفلتها هنا',
+    hint: 'أو انقر للاستعراض، أو الصق لقطة شاشة باستخدام Ctrl+V',
+    selected: {
+      zero: 'لم يُحدَّد أي ملف',
+      one: 'تم تحديد ملف واحد',
+      two: 'تم تحديد ملفين',
+      few: 'تم تحديد {count} ملفات',
+      many: 'تم تحديد {count} ملفًا',
+      other: 'تم تحديد {count} ملف',
+    },
+    addMore: 'انقر أو اضغط Enter لإضافة مزيد من الملفات، أو اسحبها إلى هنا، أو الصقها باستخدام Ctrl+V',
+  },
+  upload: {
+    chooseFolder: 'اختيار مجلد',
+    uploadAll: 'رفع الكل',
+    uploadAllCount: 'رفع الكل ({count})',
+    uploading: 'جارٍ الرفع...',
+    reset: 'إعادة تعيين',
+    added: {
+      zero: 'لم يُضَف أي ملف إلى قائمة الرفع',
+      one: 'أُضيف ملف واحد إلى قائمة الرفع',
+      two: 'أُضيف ملفان إلى قائمة الرفع',
+      few: 'أُضيفت {count} ملفات إلى قائمة الرفع',
+      many: 'أُضيف {count} ملفًا إلى قائمة الرفع',
+      other: 'أُضيف {count} ملف إلى قائمة الرفع',
+    },
+    tooMany: {
+      one: 'يمكن وضع {max} ملف على الأكثر في القائمة في وقت واحد. لم يُضَف ملف واحد.',
+      two: 'يمكن وضع {max} ملف على الأكثر في القائمة في وقت واحد. لم يُضَف ملفان.',
+      few: 'يمكن وضع {max} ملف على الأكثر في القائمة في وقت واحد. لم تُضَف {count} ملفات.',
+      many: 'يمكن وضع {max} ملف على الأكثر في القائمة في وقت واحد. لم يُضَف {count} ملفًا.',
+      other: 'يمكن وضع {max} ملف على الأكثر في القائمة في وقت واحد. لم يُضَف {count} ملف.',
+    },
+    dropFailed: 'تعذّرت قراءة المجلد الذي أُفلت: {message}',
+  },
+  unfinished: {
+    intro: 'توجد عمليات رفع غير مكتملة. اختر الملف نفسه مرة أخرى لاستئناف الرفع من حيث توقف:',
+    item: '{name} ({size}، أُرسل {sent} من {total} جزء)',
+    discard: 'تجاهل',
+  },
+  offline: {
+    intro: 'ستُرسل هذه الملفات عند عودة الاتصال، حتى لو أغلقت هذه الصفحة:',
+    queued: {
+      zero: 'أنت غير متصل. لا توجد ملفات بانتظار الإرسال.',
+      one: 'أنت غير متصل. سيُرسل ملف واحد فور عودة الاتصال.',
+      two: 'أنت غير متصل. سيُرسل ملفان فور عودة الاتصال.',
+      few: 'أنت غير متصل. ستُرسل {count} ملفات فور عودة الاتصال.',
+      many: 'أنت غير متصل. سيُرسل {count} ملفًا فور عودة الاتصال.',
+      other: 'أنت غير متصل. سيُرسل {count} ملف فور عودة الاتصال.',
+    },
+    moved: 'انقطع الاتصال. سيُرسل {name} فور عودته.',
+    waiting: 'بانتظار الاتصال',
+    sending: 'جارٍ الإرسال...',
+    scanning: 'تم الرفع، بانتظار فحص البرمجيات الخبيثة',
+    failed: 'فشل: {message}',
+    signedOut: 'سجّل الدخول مجددًا لإرساله',
+    retry: 'إعادة المحاولة',
+    remove: 'إزالة',
+    notifyMe: 'أعلمني عند اكتمالها',
+    notification: {
+      title: 'رفع الملفات',
+      clean: 'تم رفع {name} ولم يُعثر على أي تهديدات.',
+      infected: 'تم رفع {name}، لكن عُثر فيه على برمجية خبيثة ونُقل إلى الحجر.',
+      failed: 'تم رفع {name}، لكن تعذّر فحصه.',
+      error: 'تعذّر رفع {name}.',
+    },
+  },
+  queue: {
+    title: 'قائمة الرفع',
+    summary: {
+      zero: 'لا ملفات · {size} · {clean} سليم',
+      one: 'ملف واحد · {size} · {clean} سليم',
+      two: 'ملفان · {size} · {clean} سليم',
+      few: '{count} ملفات · {size} · {clean} سليم',
+      many: '{count} ملفًا · {size} · {clean} سليم',
+      other: '{count} ملف · {size} · {clean} سليم',
+    },
+    infected: '{count} مصاب',
+  },
+  status: {
+    idle: 'جارٍ الفحص',
+    validating: 'جارٍ الفحص',
+    processing: 'جارٍ التحسين',
+    ready: 'جاهز',
+    queued: 'في الانتظار',
+    encrypting: 'جارٍ التشفير',
+    hashing: 'جارٍ حساب المجموع الاختباري',
+    presigning: 'جارٍ طلب الرابط',
+    uploading: 'جارٍ الرفع',
+    paused: 'متوقف مؤقتًا',
+    scanning: 'جارٍ الفحص الأمني',
+    clean: 'سليم',
+    infected: 'عُثر على برمجية خبيثة',
+    failed: 'فشل',
+    timeout: 'انتهت المهلة',
+    unknown: 'الحالة غير معروفة',
+    error: 'خطأ',
+    cancelled: 'أُلغي',
+    invalid: 'غير صالح',
+  },
+  row: {
+    details: 'التفاصيل',
+    hide: 'إخفاء',
+    keepChecking: 'متابعة التحقق',
+    retry: 'إعادة المحاولة',
+    pause: 'إيقاف مؤقت',
+    resume: 'استئناف',
+    cancel: 'إلغاء',
+    remove: 'إزالة',
+    checksumProgress: 'المجموع الاختباري لـ {name}',
+    encryptionProgress: 'تشفير {name}',
+    uploadProgress: 'رفع {name}',
+    transferred: '{loaded} من {total}',
+    speed: '{speed}/ث',
+    remaining: 'متبقٍ {eta}',
+    processingFailed: 'تعذّر تحسين هذه الصورة ({message}). سيُرفع الأصل.',
+    optimised: 'تم التحسين: {from} ← {to} ({change}){resized} · أُزيلت البيانات الوصفية',
+    smaller: 'أصغر بنسبة {percent}',
+    larger: 'أكبر بنسبة {percent}',
+    resuming: {
+      one: 'استئناف الرفع: أُرسل جزء واحد مسبقًا',
+      two: 'استئناف الرفع: أُرسل جزءان مسبقًا',
+      few: 'استئناف الرفع: أُرسلت {count} أجزاء مسبقًا',
+      many: 'استئناف الرفع: أُرسل {count} جزءًا مسبقًا',
+      other: 'استئناف الرفع: أُرسل {count} جزء مسبقًا',
+    },
+    paused: 'الرفع متوقف مؤقتًا. الأجزاء المرسلة محفوظة.',
+    uploaded: 'اكتمل الرفع في {time}.',
+    scanningForViruses: 'جارٍ الفحص بحثًا عن الفيروسات...',
+    timedOut: 'انتهت المهلة ⏳ لا تزال المعالجة جارية بعد {time}. يمكنك متابعة التحقق.',
+    statusError: 'خطأ في التحقق من حالة المعالجة: {message}',
+    cancelled: 'أُلغي الرفع',
+    fileInformation: 'معلومات الملف',
+    name: 'الاسم',
+    path: 'المسار',
+    size: 'الحجم',
+    original: 'الأصل',
+    type: 'النوع',
+    unknownType: 'غير معروف',
+    sha256: 'SHA-256',
+    uploadConfig: 'إعدادات الرفع',
+    fileId: 'معرّف الملف',
+    bucket: 'الحاوية',
+    expiresIn: 'ينتهي بعد',
+    seconds: {
+      zero: '{count} ثانية',
+      one: 'ثانية واحدة',
+      two: 'ثانيتان',
+      few: '{count} ثوانٍ',
+      many: '{count} ثانية',
+      other: '{count} ثانية',
+    },
+    parts: 'الأجزاء',
+    uploadTime: 'مدة الرفع',
+  },
+  verdict: {
+    threats: { one: 'التهديد', other: 'التهديدات' },
+    scanner: 'الماسح',
+    scanned: 'وقت الفحص',
+    quarantine: 'موقع العزل',
+    reason: 'السبب',
+    whatToDo: 'ما العمل:',
+    reportFalsePositive: 'الإبلاغ عن إنذار خاطئ',
+    falsePositiveReported: 'تم الإبلاغ عن إنذار خاطئ',
+    delete: 'حذف الملف المرفوع',
+    deleting: 'جارٍ الحذف...',
+    deleted: 'حُذف',
+    downloadReport: 'تنزيل تقرير الفحص (JSON)',
+    confirmDeleteQuarantined: 'هل تريد حذف النسخة المعزولة من هذا الملف؟ لا يمكن التراجع عن ذلك.',
+    confirmDeleteStored: 'هل تريد حذف هذا الملف من التخزين؟ لا يمكن التراجع عن ذلك.',
+    whySafe: 'لماذا تعتقد أن هذا الملف آمن؟ (اختياري)',
+    sendReport: 'إرسال البلاغ',
+    sending: 'جارٍ الإرسال...',
+    cancel: 'إلغاء',
+    reportThanks: 'شكرًا. سيراجع فريق الدعم الاكتشاف ويتواصل معك.',
+    deleteDone: 'حُذف الملف.',
+    reportFailed: 'فشل الإبلاغ: {message}',
+    deleteFailed: 'فشل الحذف: {message}',
+  },
+  scan: {
+    NO_THREATS_FOUND: {
+      label: 'سليم',
+      title: 'لم يُعثر على تهديدات',
+      explanation: 'انتهى فحص البرمجيات الخبيثة ولم يعثر على شيء. الملف مخزّن ومتاح.',
+    },
+    MOVED_TO_MALWARE_BUCKET: {
+      label: 'عُثر على برمجية خبيثة',
+      title: 'عُثر على برمجية خبيثة: عُزل الملف',
+      explanation: 'اكتشف الماسح برمجية خبيثة. نُقل الملف إلى حاوية عزل ولا يمكن لأحد تنزيله منها.',
+      nextSteps: 'افحص النسخة الأصلية على جهازك ببرنامج مكافحة الفيروسات الخاص بك واحذفها إن كانت مصابة. إن كنت متأكدًا من أن الملف آمن، فأبلغ عن إنذار خاطئ وسيراجعه فريق الدعم.',
+    },
+    THREATS_FOUND: {
+      label: 'عُثر على برمجية خبيثة',
+      title: 'عُثر على برمجية خبيثة',
+      explanation: 'اكتشف الماسح برمجية خبيثة في هذا الملف. لن تتم معالجته بعد الآن.',
+      nextSteps: 'افحص النسخة الأصلية على جهازك ببرنامج مكافحة الفيروسات الخاص بك. إن كنت متأكدًا من أن الملف آمن، فأبلغ عن إنذار خاطئ.',
+    },
+    FAILED: {
+      label: 'فشل الفحص',
+      title: 'تعذّر إكمال الفحص',
+      explanation: 'لم يتمكن الماسح من إنهاء فحص هذا الملف، لذلك لم تتم إجازته للاستخدام.',
+      nextSteps: 'أعد رفع الملف. إن استمر الفشل، فنزّل تقرير الفحص وأرسله إلى فريق الدعم.',
+    },
+    UNSUPPORTED: {
+      label: 'غير قابل للفحص',
+      title: 'تعذّر فحص الملف',
+      explanation: 'لا يدعم الماسح هذا الملف، مثلًا لأنه محمي بكلمة مرور أو أكبر من أن يُفك ضغطه.',
+      nextSteps: 'ارفعه دون تشفير، أو قسّمه إلى ملفات أصغر.',
+    },
+    ACCESS_DENIED: {
+      label: 'فشل الفحص',
+      title: 'تعذّر على الماسح قراءة الملف',
+      explanation: 'رُفض وصول الماسح إلى الملف المرفوع. هذه مشكلة في الإعدادات من جهتنا.',
+      nextSteps: 'تواصل مع فريق الدعم وأرفق تقرير الفحص؛ لن تفيد إعادة المحاولة قبل إصلاح المشكلة.',
+    },
+    PENDING: {
+      label: 'بانتظار الفحص',
+      title: 'بانتظار الفحص',
+      explanation: 'وصل الملف المرفوع وهو ينتظر في قائمة الفحص.',
+    },
+    SCANNING: {
+      label: 'جارٍ الفحص',
+      title: 'جارٍ الفحص',
+      explanation: 'يجري فحص الملف بحثًا عن برمجيات خبيثة.',
+    },
+    none: {
+      label: 'قيد الانتظار',
+      title: 'لا توجد نتيجة بعد',
+      explanation: 'لم يُبلغ الفحص عن نتيجة بعد.',
+    },
+    unknown: {
+      title: 'حالة فحص غير معروفة "{code}"',
+      explanation: 'أبلغ الماسح عن "{code}"، وهي حالة لا يعرفها هذا التطبيق. لم يتم التأكد من سلامة الملف.',
+      nextSteps: 'تابع التحقق حتى تظهر نتيجة نهائية. إن لم تتغير، فنزّل تقرير الفحص وأرسله إلى فريق الدعم.',
+    },
+  },
+  announce: {
+    invalid: 'لا يمكن رفع {name}: {errors}',
+    uploading: 'جارٍ رفع {name}',
+    progress: '{name}: رُفع {percent}',
+    paused: 'أُوقف رفع {name} مؤقتًا',
+    scanning: 'رُفع {name}. جارٍ الفحص بحثًا عن برمجيات خبيثة.',
+    verdict: '{name}: {title}',
+    timeout: 'يستغرق فحص {name} وقتًا أطول من المعتاد',
+    unknown: 'تعذّر التحقق من حالة فحص {name}',
+    error: 'فشل {name}: {message}',
+    cancelled: 'أُلغي رفع {name}',
+    summary: {
+      one: 'ملف واحد: {counts}',
+      two: 'ملفان: {counts}',
+      few: '{count} ملفات: {counts}',
+      many: '{count} ملفًا: {counts}',
+      other: '{count} ملف: {counts}',
+    },
+    count: '{count} {label}',
+    labels: {
+      invalid: 'لا يمكن رفعه',
+      uploading: 'قيد الرفع',
+      paused: 'متوقف مؤقتًا',
+      scanning: 'قيد الفحص',
+      clean: 'سليم',
+      infected: 'يحتوي برمجية خبيثة',
+      failed: 'فشل فحصه',
+      timeout: 'لا يزال قيد الفحص',
+      unknown: 'حالة فحصه غير معروفة',
+      error: 'فشل',
+      cancelled: 'أُلغي',
+    },
+  },
+  history: {
+    title: 'سجل الرفع ({count})',
+    show: 'إظهار',
+    hide: 'إخفاء',
+    search: 'البحث باسم الملف أو معرّفه أو SHA-256',
+    searchLabel: 'البحث في سجل الرفع',
+    filterLabel: 'التصفية حسب النتيجة',
+    filters: {
+      all: 'كل النتائج',
+      clean: 'سليم',
+      infected: 'عُثر على برمجية خبيثة',
+      failed: 'فشل',
+      pending: 'لا توجد نتيجة بعد',
+    },
+    exportCsv: 'تصدير CSV',
+    exportJson: 'تصدير JSON',
+    noMatches: 'لا توجد عمليات رفع تطابق عوامل التصفية الحالية.',
+    empty: 'لا توجد عمليات رفع بعد.',
+    columns: {
+      name: 'الاسم',
+      size: 'الحجم',
+      date: 'التاريخ',
+      duration: 'المدة',
+      bucket: 'الحاوية',
+      verdict: 'النتيجة',
+      actions: 'الإجراءات',
+    },
+    copy: 'نسخ',
+    copyLabel: 'نسخ معرّف الملف {fileId}',
+    recheck: 'إعادة التحقق',
+    checking: 'جارٍ التحقق...',
+    remove: 'إزالة',
+    recheckFailed: 'فشلت إعادة التحقق: {message}',
+    falsePositiveReported: 'تم الإبلاغ عن إنذار خاطئ',
+    deleted: 'حُذف في {date}',
+  },
+  folder: {
+    contents: 'محتويات المجلد',
+    files: {
+      zero: 'لا ملفات',
+      one: 'ملف واحد',
+      two: 'ملفان',
+      few: '{count} ملفات',
+      many: '{count} ملفًا',
+      other: '{count} ملف',
+    },
+    invalid: '{count} غير صالح',
+    loose: {
+      one: 'إضافةً إلى ملف واحد خارج المجلدات',
+      two: 'إضافةً إلى ملفين خارج المجلدات',
+      few: 'إضافةً إلى {count} ملفات خارج المجلدات',
+      many: 'إضافةً إلى {count} ملفًا خارج المجلدات',
+      other: 'إضافةً إلى {count} ملف خارج المجلدات',
+    },
+  },
+  metadata: {
+    title: 'تفاصيل الملف',
+    required: '{label} مطلوب',
+    maxItems: '{count} وسوم على الأكثر',
+    maxLength: 'يجب ألا يتجاوز {label} {count} حرفًا',
+    pattern: 'تنسيق {label} غير صالح',
+    invalidOption: 'اختر قيمة صالحة لـ {label}',
+    tooLarge: 'البيانات الوصفية أكبر مما يسمح به S3 ({size} من {max} بايت). اختصر الوصف أو الوسوم.',
+  },
+  imageProcessing: {
+    enabled: 'تحسين الصور قبل الرفع (تصغير الحجم والضغط وإزالة الموقع والبيانات الوصفية الأخرى)',
+    maxSize: 'الحجم الأقصى',
+    keepSize: 'الإبقاء على الحجم الأصلي',
+    format: 'التنسيق',
+    keepFormat: 'الإبقاء على التنسيق',
+    quality: 'الجودة: {percent}',
+  },
+  encryption: {
+    enabled: 'تشفير الملفات قبل الرفع',
+    hint: 'تُشفَّر الملفات في متصفحك ولا يمكن فتحها إلا لمن يملك المفتاح الخاص. لا يستطيع فحص البرمجيات الخبيثة رؤية محتوى الملفات المشفرة.',
+    keyId: 'المفتاح: {keyId}',
+  },
+  capture: {
+    takePhoto: 'التقاط صورة',
+    close: 'إغلاق',
+    screenshot: 'لقطة شاشة',
+    record: 'تسجيل الشاشة',
+    stop: 'إيقاف التسجيل ({elapsed} من {max})',
+    cameraBlocked: 'تم حظر الوصول إلى الكاميرا. اسمح به في إعدادات الموقع في المتصفح ثم حاول مرة أخرى.',
+    noCamera: 'لم يُعثر على كاميرا في هذا الجهاز.',
+    cameraBusy: 'الكاميرا قيد الاستخدام من تطبيق آخر.',
+    failed: 'فشل الالتقاط: {message}',
+  },
+  preview: {
+    image: 'معاينة {name}',
+    pdf: 'الصفحة الأولى من {name}',
+    lastModified: 'آخر تعديل',
+    reading: 'جارٍ قراءة تفاصيل الملف...',
+    json: {
+      array: { one: 'مصفوفة من عنصر واحد', two: 'مصفوفة من عنصرين', few: 'مصفوفة من {count} عناصر', other: 'مصفوفة من {count} عنصر' },
+      object: { one: 'كائن بمفتاح واحد', two: 'كائن بمفتاحين', few: 'كائن بـ {count} مفاتيح', other: 'كائن بـ {count} مفتاح' },
+      invalid: 'غير صالح ({message})',
+    },
+    info: {
+      Lines: 'الأسطر',
+      Columns: 'الأعمدة',
+      JSON: 'JSON',
+      Dimensions: 'الأبعاد',
+      Taken: 'تاريخ الالتقاط',
+      Camera: 'الكاميرا',
+      Pages: 'الصفحات',
+      Duration: 'المدة',
+      Resolution: 'الدقة',
+    },
+  },
+  validation: {
+    'invalid-file': 'ملف غير صالح',
+    empty: 'الملف فارغ',
+    'too-small': 'الملف أصغر من الحد الأدنى {size}',
+    'too-large': 'حجم الملف يتجاوز الحد الأقصى {size}',
+    'name-too-long': 'اسم الملف أطول من {max} حرفًا',
+    'name-invalid': 'يحتوي اسم الملف على أحرف غير مسموح بها (مثل / \\ : * ? " < > |)',
+    'extension-blocked': 'ملفات ‎.{ext}‎ غير مسموح بها',
+    'extension-not-allowed': '‎.{ext}‎ غير مسموح به. المسموح: {allowed}',
+    'no-extension': 'الملفات بلا امتداد غير مسموح بها. المسموح: {allowed}',
+    'type-not-allowed': 'نوع الملف {type} غير مسموح به',
+    unreadable: 'تعذّرت قراءة الملف: {message}',
+    'content-executable': 'محتوى الملف {content}، وهذا غير مسموح به أيًّا كان اسمه',
+    'content-mismatch': 'محتوى الملف {content}، وهذا لا يطابق امتداده ‎.{ext}‎',
+    'content-unrecognised': 'محتوى الملف لا يبدو كملف ‎.{ext}‎ صالح',
+    'content-type-not-allowed': 'محتوى الملف {content}، وهذا ليس نوعًا مسموحًا به',
+    'path-invalid': 'يحتوي اسم المجلد "{folder}" على أحرف غير مسموح بها',
+    'path-too-long': 'مسار المجلد أطول من {max} بايت',
+    unknownType: 'غير معروف',
+  },
+  errors: {
+    http: 'خطأ HTTP! الحالة: {status}',
+    timeout: 'انتهت مهلة الطلب بعد {seconds} ث',
+    network: 'خطأ في الشبكة أثناء الرفع إلى S3',
+    'checksum-mismatch': 'رفض S3 الملف: المجموع الاختباري SHA-256 لا يطابق البيانات المستلمة',
+    'missing-etag': 'لم يُرجع S3 قيمة ETag للجزء المرفوع',
+    'saved-upload-expired': 'انتهت صلاحية الرفع المحفوظ. أعد المحاولة للبدء من جديد.',
+    'presign-failed': 'تعذّر الحصول على عنوان URL موقّع مسبقًا: {message}',
+    'missing-upload-url': 'لا يحتوي الرد على عنوان URL للرفع',
+    'upload-failed': 'فشل الرفع: {message}',
+    'multipart-failed': 'فشل الرفع متعدد الأجزاء: {message}',
+    'encryption-failed': 'فشل التشفير: {message}',
+    'checksum-failed': 'تعذّر حساب المجموع الاختباري: {message}',
+  },
+  contentTypes: {
+    'windows-executable': 'برنامج Windows تنفيذي',
+    'linux-executable': 'برنامج Linux تنفيذي',
+    'macos-executable': 'برنامج macOS تنفيذي',
+    pdf: 'مستند PDF',
+    png: 'صورة PNG',
+    jpeg: 'صورة JPEG',
+    gif: 'صورة GIF',
+    webp: 'صورة WebP',
+    tiff: 'صورة TIFF',
+    mp4: 'فيديو MP4/QuickTime',
+    zip: 'أرشيف ZIP',
+    gzip: 'أرشيف gzip',
+    '7z': 'أرشيف 7-Zip',
+    rar: 'أرشيف RAR',
+  },
+};
+
+export default ar;
@@ -0,0 +1,389 @@
+// German
+const de = {
+  app: {
+    title: 'AWS-S3-Datei-Upload',
+    language: 'Sprache',
+  },
+  auth: {
+    signInTitle: 'Anmelden, um Dateien hochzuladen',
+    signInMessage: 'Uploads werden nur von angemeldeten Benutzern angenommen.',
+    signIn: 'Anmelden',
+    redirecting: 'Weiterleitung...',
+    signInFailed: 'Anmeldung fehlgeschlagen: {message}',
+    startFailed: 'Anmeldung konnte nicht gestartet werden: {message}',
+    signedInAs: 'Angemeldet als {name}',
+    signOut: 'Abmelden',
+  },
+  dropZone: {
+    title: 'Dateien oder Ordner hierher ziehen',
+    hint: 'oder klicken, um Dateien auszuwählen, oder einen Screenshot mit Strg+V einfügen',
+    selected: { one: '{count} Datei ausgewählt', other: '{count} Dateien ausgewählt' },
+    addMore: 'Klicken oder Eingabetaste drücken, um weitere Dateien hinzuzufügen, hierher ziehen oder mit Strg+V einfügen',
+  },
+  upload: {
+    chooseFolder: 'Ordner auswählen',
+    uploadAll: 'Alle hochladen',
+    uploadAllCount: 'Alle hochladen ({count})',
+    uploading: 'Wird hochgeladen...',
+    reset: 'Zurücksetzen',
+    added: { one: '{count} Datei zur Warteschlange hinzugefügt', other: '{count} Dateien zur Warteschlange hinzugefügt' },
+    tooMany: {
+      one: 'Es können höchstens {max} Dateien gleichzeitig in der Warteschlange sein. {count} Datei wurde nicht hinzugefügt.',
+      other: 'Es können höchstens {max} Dateien gleichzeitig in der Warteschlange sein. {count} Dateien wurden nicht hinzugefügt.',
+    },
+    dropFailed: 'Der abgelegte Ordner konnte nicht gelesen werden: {message}',
+  },
+  unfinished: {
+    intro: 'Unvollständige Uploads gefunden. Wählen Sie dieselbe Datei erneut aus, um dort fortzufahren, wo der Upload stehen blieb:',
+    item: '{name} ({size}, {sent} von {total} Teilen gesendet)',
+    discard: 'Verwerfen',
+  },
+  offline: {
+    intro: 'Diese Dateien werden gesendet, sobald die Verbindung wieder da ist, auch wenn Sie diese Seite schließen:',
+    queued: {
+      one: 'Sie sind offline. {count} Datei wird gesendet, sobald die Verbindung wieder da ist.',
+      other: 'Sie sind offline. {count} Dateien werden gesendet, sobald die Verbindung wieder da ist.',
+    },
+    moved: 'Die Verbindung ist abgebrochen. {name} wird gesendet, sobald sie wieder da ist.',
+    waiting: 'wartet auf eine Verbindung',
+    sending: 'wird gesendet...',
+    scanning: 'hochgeladen, wartet auf die Malware-Prüfung',
+    failed: 'fehlgeschlagen: {message}',
+    signedOut: 'zum Senden erneut anmelden',
+    retry: 'Erneut versuchen',
+    remove: 'Entfernen',
+    notifyMe: 'Benachrichtigen, wenn sie fertig sind',
+    notification: {
+      title: 'Datei-Upload',
+      clean: '{name} wurde hochgeladen, es wurden keine Bedrohungen gefunden.',
+      infected: '{name} wurde hochgeladen, enthält aber Malware und wurde in Quarantäne verschoben.',
+      failed: '{name} wurde hochgeladen, konnte aber nicht geprüft werden.',
+      error: '{name} konnte nicht hochgeladen werden.',
+    },
+  },
+  queue: {
+    title: 'Warteschlange',
+    summary: { one: '{count} Datei · {size} · {clean} sauber', other: '{count} Dateien · {size} · {clean} sauber' },
+    infected: '{count} infiziert',
+  },
+  status: {
+    idle: 'Wird geprüft',
+    validating: 'Wird geprüft',
+    processing: 'Wird optimiert',
+    ready: 'Bereit',
+    queued: 'Wartet',
+    encrypting: 'Wird verschlüsselt',
+    hashing: 'Prüfsumme wird berechnet',
+    presigning: 'URL wird angefordert',
+    uploading: 'Wird hochgeladen',
+    paused: 'Pausiert',
+    scanning: 'Wird gescannt',
+    clean: 'Sauber',
+    infected: 'Malware gefunden',
+    failed: 'Fehlgeschlagen',
+    timeout: 'Zeitüberschreitung',
+    unknown: 'Status unbekannt',
+    error: 'Fehler',
+    cancelled: 'Abgebrochen',
+    invalid: 'Ungültig',
+  },
+  row: {
+    details: 'Details',
+    hide: 'Ausblenden',
+    keepChecking: 'Weiter prüfen',
+    retry: 'Wiederholen',
+    pause: 'Pausieren',
+    resume: 'Fortsetzen',
+    cancel: 'Abbrechen',
+    remove: 'Entfernen',
+    checksumProgress: 'Prüfsumme von {name}',
+    encryptionProgress: 'Verschlüsselung von {name}',
+    uploadProgress: 'Upload von {name}',
+    transferred: '{loaded} von {total}',
+    speed: '{speed}/s',
+    remaining: 'noch {eta}',
+    processingFailed: 'Dieses Bild konnte nicht optimiert werden ({message}). Das Original wird hochgeladen.',
+    optimised: 'Optimiert: {from} → {to} ({change}){resized} · Metadaten entfernt',
+    smaller: '{percent} kleiner',
+    larger: '{percent} größer',
+    resuming: { one: 'Upload wird fortgesetzt: {count} Teil bereits gesendet', other: 'Upload wird fortgesetzt: {count} Teile bereits gesendet' },
+    paused: 'Upload pausiert. Bereits gesendete Teile bleiben erhalten.',
+    uploaded: 'Upload in {time} abgeschlossen.',
+    scanningForViruses: 'Wird auf Viren geprüft...',
+    timedOut: 'Zeitüberschreitung ⏳ Nach {time} noch in Bearbeitung. Sie können weiter prüfen.',
+    statusError: 'Fehler beim Abfragen des Verarbeitungsstatus: {message}',
+    cancelled: 'Upload abgebrochen',
+    fileInformation: 'Dateiinformationen',
+    name: 'Name',
+    path: 'Pfad',
+    size: 'Größe',
+    original: 'Original',
+    type: 'Typ',
+    unknownType: 'Unbekannt',
+    sha256: 'SHA-256',
+    uploadConfig: 'Upload-Konfiguration',
+    fileId: 'Datei-ID',
+    bucket: 'Bucket',
+    expiresIn: 'Läuft ab in',
+    seconds: { one: '{count} Sekunde', other: '{count} Sekunden' },
+    parts: 'Teile',
+    uploadTime: 'Upload-Dauer',
+  },
+  verdict: {
+    threats: { one: 'Bedrohung', other: 'Bedrohungen' },
+    scanner: 'Scanner',
+    scanned: 'Gescannt',
+    quarantine: 'Quarantäne-Speicherort',
+    reason: 'Grund',
+    whatToDo: 'Was tun:',
+    reportFalsePositive: 'Fehlalarm melden',
+    falsePositiveReported: 'Fehlalarm gemeldet',
+    delete: 'Meinen Upload löschen',
+    deleting: 'Wird gelöscht...',
+    deleted: 'Gelöscht',
+    downloadReport: 'Scanbericht herunterladen (JSON)',
+    confirmDeleteQuarantined: 'Die Kopie dieser Datei in der Quarantäne löschen? Dies kann nicht rückgängig gemacht werden.',
+    confirmDeleteStored: 'Diese Datei aus dem Speicher löschen? Dies kann nicht rückgängig gemacht werden.',
+    whySafe: 'Warum halten Sie diese Datei für sicher? (optional)',
+    sendReport: 'Meldung senden',
+    sending: 'Wird gesendet...',
+    cancel: 'Abbrechen',
+    reportThanks: 'Danke. Der Support prüft die Erkennung und meldet sich bei Ihnen.',
+    deleteDone: 'Die Datei wurde gelöscht.',
+    reportFailed: 'Meldung fehlgeschlagen: {message}',
+    deleteFailed: 'Löschen fehlgeschlagen: {message}',
+  },
+  scan: {
+    NO_THREATS_FOUND: {
+      label: 'Sauber',
+      title: 'Keine Bedrohungen gefunden',
+      explanation: 'Der Malware-Scan ist abgeschlossen und hat nichts gefunden. Die Datei ist gespeichert und verfügbar.',
+    },
+    MOVED_TO_MALWARE_BUCKET: {
+      label: 'Malware gefunden',
+      title: 'Malware gefunden: Datei in Quarantäne',
+      explanation: 'Der Scanner hat Malware erkannt. Die Datei wurde in einen Quarantäne-Bucket verschoben und kann dort von niemandem heruntergeladen werden.',
+      nextSteps: 'Prüfen Sie das Original auf Ihrem Computer mit Ihrem eigenen Virenscanner und löschen Sie es, falls es infiziert ist. Wenn Sie sicher sind, dass die Datei harmlos ist, melden Sie einen Fehlalarm; der Support prüft ihn dann.',
+    },
+    THREATS_FOUND: {
+      label: 'Malware gefunden',
+      title: 'Malware gefunden',
+      explanation: 'Der Scanner hat in dieser Datei Malware erkannt. Sie wird nicht weiterverarbeitet.',
+      nextSteps: 'Prüfen Sie das Original auf Ihrem Computer mit Ihrem eigenen Virenscanner. Wenn Sie sicher sind, dass die Datei harmlos ist, melden Sie einen Fehlalarm.',
+    },
+    FAILED: {
+      label: 'Scan fehlgeschlagen',
+      title: 'Der Scan konnte nicht abgeschlossen werden',
+      explanation: 'Der Scanner konnte die Prüfung dieser Datei nicht beenden, daher ist sie nicht zur Verwendung freigegeben.',
+      nextSteps: 'Laden Sie die Datei erneut hoch. Wenn es weiterhin fehlschlägt, laden Sie den Scanbericht herunter und senden Sie ihn an den Support.',
+    },
+    UNSUPPORTED: {
+      label: 'Nicht scanbar',
+      title: 'Die Datei konnte nicht gescannt werden',
+      explanation: 'Der Scanner unterstützt diese Datei nicht, zum Beispiel weil sie passwortgeschützt oder zum Entpacken zu groß ist.',
+      nextSteps: 'Laden Sie sie unverschlüsselt hoch oder teilen Sie sie in kleinere Dateien auf.',
+    },
+    ACCESS_DENIED: {
+      label: 'Scan fehlgeschlagen',
+      title: 'Der Scanner konnte die Datei nicht lesen',
+      explanation: 'Dem Scanner wurde der Zugriff auf die hochgeladene Datei verweigert. Das ist ein Konfigurationsproblem auf unserer Seite.',
+      nextSteps: 'Wenden Sie sich mit dem Scanbericht an den Support; ein erneuter Versuch hilft erst, wenn das Problem behoben ist.',
+    },
+    PENDING: {
+      label: 'Wartet auf Scan',
+      title: 'Wartet auf den Scan',
+      explanation: 'Der Upload ist angekommen und wartet in der Scan-Warteschlange.',
+    },
+    SCANNING: {
+      label: 'Wird gescannt',
+      title: 'Wird gescannt',
+      explanation: 'Die Datei wird auf Malware geprüft.',
+    },
+    none: {
+      label: 'Ausstehend',
+      title: 'Noch kein Ergebnis',
+      explanation: 'Der Scan hat noch kein Ergebnis gemeldet.',
+    },
+    unknown: {
+      title: 'Unbekannter Scanstatus „{code}“',
+      explanation: 'Der Scanner meldete „{code}“, was diese Anwendung nicht kennt. Die Datei wurde nicht als sauber bestätigt.',
+      nextSteps: 'Prüfen Sie weiter, bis ein endgültiges Ergebnis vorliegt. Ändert es sich nicht, laden Sie den Scanbericht herunter und senden Sie ihn an den Support.',
+    },
+  },
+  announce: {
+    invalid: '{name} kann nicht hochgeladen werden: {errors}',
+    uploading: '{name} wird hochgeladen',
+    progress: '{name}: {percent} hochgeladen',
+    paused: 'Upload von {name} pausiert',
+    scanning: '{name} hochgeladen. Wird auf Malware geprüft.',
+    verdict: '{name}: {title}',
+    timeout: 'Der Scan von {name} dauert länger als üblich',
+    unknown: 'Der Scanstatus von {name} konnte nicht abgefragt werden',
+    error: '{name} fehlgeschlagen: {message}',
+    cancelled: 'Upload von {name} abgebrochen',
+    summary: { one: '{count} Datei: {counts}', other: '{count} Dateien: {counts}' },
+    count: '{count} {label}',
+    labels: {
+      invalid: 'nicht hochladbar',
+      uploading: 'werden hochgeladen',
+      paused: 'pausiert',
+      scanning: 'werden gescannt',
+      clean: 'sauber',
+      infected: 'mit Malware',
+      failed: 'Scan fehlgeschlagen',
+      timeout: 'noch im Scan',
+      unknown: 'Scanstatus unbekannt',
+      error: 'fehlgeschlagen',
+      cancelled: 'abgebrochen',
+    },
+  },
+  history: {
+    title: 'Upload-Verlauf ({count})',
+    show: 'Anzeigen',
+    hide: 'Ausblenden',
+    search: 'Nach Dateiname, Datei-ID oder SHA-256 suchen',
+    searchLabel: 'Upload-Verlauf durchsuchen',
+    filterLabel: 'Nach Ergebnis filtern',
+    filters: {
+      all: 'Alle Ergebnisse',
+      clean: 'Sauber',
+      infected: 'Malware gefunden',
+      failed: 'Fehlgeschlagen',
+      pending: 'Noch kein Ergebnis',
+    },
+    exportCsv: 'CSV exportieren',
+    exportJson: 'JSON exportieren',
+    noMatches: 'Keine Uploads entsprechen den aktuellen Filtern.',
+    empty: 'Noch keine Uploads.',
+    columns: {
+      name: 'Name',
+      size: 'Größe',
+      date: 'Datum',
+      duration: 'Dauer',
+      bucket: 'Bucket',
+      verdict: 'Ergebnis',
+      actions: 'Aktionen',
+    },
+    copy: 'Kopieren',
+    copyLabel: 'Datei-ID {fileId} kopieren',
+    recheck: 'Erneut prüfen',
+    checking: 'Wird geprüft...',
+    remove: 'Entfernen',
+    recheckFailed: 'Erneute Prüfung fehlgeschlagen: {message}',
+    falsePositiveReported: 'Fehlalarm gemeldet',
+    deleted: 'Gelöscht am {date}',
+  },
+  folder: {
+    contents: 'Ordnerinhalt',
+    files: { one: '{count} Datei', other: '{count} Dateien' },
+    invalid: '{count} ungültig',
+    loose: { one: 'Dazu {count} einzelne Datei', other: 'Dazu {count} einzelne Dateien' },
+  },
+  metadata: {
+    title: 'Dateiangaben',
+    required: '{label} ist erforderlich',
+    maxItems: 'Höchstens {count} Schlagwörter',
+    maxLength: '{label} darf höchstens {count} Zeichen lang sein',
+    pattern: '{label} hat ein ungültiges Format',
+    invalidOption: 'Wählen Sie einen gültigen Wert für {label}',
+    tooLarge: 'Die Metadaten sind für S3 zu groß ({size} von {max} Byte). Kürzen Sie die Beschreibung oder die Schlagwörter.',
+  },
+  imageProcessing: {
+    enabled: 'Fotos vor dem Upload optimieren (verkleinern, komprimieren und Standort- und andere Metadaten entfernen)',
+    maxSize: 'Maximale Größe',
+    keepSize: 'Originalgröße beibehalten',
+    format: 'Format',
+    keepFormat: 'Format beibehalten',
+    quality: 'Qualität: {percent}',
+  },
+  encryption: {
+    enabled: 'Dateien vor dem Upload verschlüsseln',
+    hint: 'Die Dateien werden in Ihrem Browser verschlüsselt und können nur mit dem privaten Schlüssel geöffnet werden. Der Virenscan kann nicht in verschlüsselte Dateien hineinsehen.',
+    keyId: 'Schlüssel: {keyId}',
+  },
+  capture: {
+    takePhoto: 'Foto aufnehmen',
+    close: 'Schließen',
+    screenshot: 'Screenshot',
+    record: 'Bildschirm aufnehmen',
+    stop: 'Aufnahme beenden ({elapsed} von {max})',
+    cameraBlocked: 'Der Kamerazugriff wurde blockiert. Erlauben Sie ihn in den Website-Einstellungen des Browsers und versuchen Sie es erneut.',
+    noCamera: 'Auf diesem Gerät wurde keine Kamera gefunden.',
+    cameraBusy: 'Die Kamera wird von einer anderen Anwendung verwendet.',
+    failed: 'Aufnahme fehlgeschlagen: {message}',
+  },
+  preview: {
+    image: 'Vorschau von {name}',
+    pdf: 'Erste Seite von {name}',
+    lastModified: 'Zuletzt geändert',
+    reading: 'Dateiangaben werden gelesen...',
+    json: {
+      array: { one: 'Array mit {count} Element', other: 'Array mit {count} Elementen' },
+      object: { one: 'Objekt mit {count} Schlüssel', other: 'Objekt mit {count} Schlüsseln' },
+      invalid: 'ungültig ({message})',
+    },
+    info: {
+      Lines: 'Zeilen',
+      Columns: 'Spalten',
+      JSON: 'JSON',
+      Dimensions: 'Abmessungen',
+      Taken: 'Aufgenommen',
+      Camera: 'Kamera',
+      Pages: 'Seiten',
+      Duration: 'Dauer',
+      Resolution: 'Auflösung',
+    },
+  },
+  validation: {
+    'invalid-file': 'Ungültige Datei',
+    empty: 'Die Datei ist leer',
+    'too-small': 'Die Datei ist kleiner als das Minimum von {size}',
+    'too-large': 'Die Datei überschreitet die Höchstgröße von {size}',
+    'name-too-long': 'Der Dateiname ist länger als {max} Zeichen',
+    'name-invalid': 'Der Dateiname enthält unzulässige Zeichen (z. B. / \\ : * ? " < > |)',
+    'extension-blocked': '.{ext}-Dateien sind nicht erlaubt',
+    'extension-not-allowed': '.{ext} ist nicht erlaubt. Erlaubt: {allowed}',
+    'no-extension': 'Dateien ohne Endung sind nicht erlaubt. Erlaubt: {allowed}',
+    'type-not-allowed': 'Der Dateityp {type} ist nicht erlaubt',
+    unreadable: 'Die Datei konnte nicht gelesen werden: {message}',
+    'content-executable': 'Der Dateiinhalt ist {content} und unabhängig vom Namen nicht erlaubt',
+    'content-mismatch': 'Der Dateiinhalt ist {content} und passt nicht zur Endung .{ext}',
+    'content-unrecognised': 'Der Dateiinhalt sieht nicht wie eine gültige .{ext}-Datei aus',
+    'content-type-not-allowed': 'Der Dateiinhalt ist {content}, was kein erlaubter Typ ist',
+    'path-invalid': 'Der Ordnername „{folder}“ enthält unzulässige Zeichen',
+    'path-too-long': 'Der Ordnerpfad ist länger als {max} Byte',
+    unknownType: 'unbekannt',
+  },
+  errors: {
+    http: 'HTTP-Fehler! Status: {status}',
+    timeout: 'Zeitüberschreitung der Anfrage nach {seconds} s',
+    network: 'Netzwerkfehler beim Upload zu S3',
+    'checksum-mismatch': 'S3 hat die Datei abgelehnt: Ihre SHA-256-Prüfsumme passt nicht zu den empfangenen Daten',
+    'missing-etag': 'S3 hat für den hochgeladenen Teil kein ETag zurückgegeben',
+    'saved-upload-expired': 'Der gespeicherte Upload ist abgelaufen. Wiederholen Sie ihn, um neu zu beginnen.',
+    'presign-failed': 'Vorsignierte URL konnte nicht abgerufen werden: {message}',
+    'missing-upload-url': 'Die Antwort enthält keine Upload-URL',
+    'upload-failed': 'Upload fehlgeschlagen: {message}',
+    'multipart-failed': 'Mehrteiliger Upload fehlgeschlagen: {message}',
+    'encryption-failed': 'Verschlüsselung fehlgeschlagen: {message}',
+    'checksum-failed': 'Prüfsumme konnte nicht berechnet werden: {message}',
+  },
+  contentTypes: {
+    'windows-executable': 'ein Windows-Programm',
+    'linux-executable': 'ein Linux-Programm',
+    'macos-executable': 'ein macOS-Programm',
+    pdf: 'ein PDF-Dokument',
+    png: 'ein PNG-Bild',
+    jpeg: 'ein JPEG-Bild',
+    gif: 'ein GIF-Bild',
+    webp: 'ein WebP-Bild',
+    tiff: 'ein TIFF-Bild',
+    mp4: 'ein MP4/QuickTime-Video',
+    zip: 'ein ZIP-Archiv',
+    gzip: 'ein gzip-Archiv',
+    '7z': 'ein 7-Zip-Archiv',
+    rar: 'ein RAR-Archiv',
+  },
+};
+
+export default de;
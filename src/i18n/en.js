@@ -0,0 +1,393 @@
+// English, the reference catalog: every key used in the app is here, and other catalogs fall
+// back to it for anything they don't have yet.
+const en = {
+  app: {
+    title: 'AWS S3 File Upload',
+    language: 'Language',
+  },
+  auth: {
+    signInTitle: 'Sign in to upload files',
+    signInMessage: 'Uploads are only accepted from signed-in users.',
+    signIn: 'Sign in',
+    redirecting: 'Redirecting...',
+    signInFailed: 'Sign-in failed: {message}',
+    startFailed: 'Could not start sign-in: {message}',
+    signedInAs: 'Signed in as {name}',
+    signOut: 'Sign out',
+  },
+  dropZone: {
+    title: 'Drag & Drop your files or folders here',
+    hint: 'or click to browse, or paste a screenshot with Ctrl+V',
+    selected: { one: '{count} file selected', other: '{count} files selected' },
+    addMore: 'Click or press Enter to add more files, drag them here or paste with Ctrl+V',
+  },
+  upload: {
+    chooseFolder: 'Choose folder',
+    uploadAll: 'Upload all',
+    uploadAllCount: 'Upload all ({count})',
+    uploading: 'Uploading...',
+    reset: 'Reset',
+    added: { one: '{count} file added to the upload queue', other: '{count} files added to the upload queue' },
+    tooMany: {
+      one: 'At most {max} files can be queued at once. {count} file was not added.',
+      other: 'At most {max} files can be queued at once. {count} files were not added.',
+    },
+    dropFailed: 'Could not read the dropped folder: {message}',
+  },
+  unfinished: {
+    intro: 'Unfinished uploads found. Select the same file again to resume where it stopped:',
+    item: '{name} ({size}, {sent} of {total} parts sent)',
+    discard: 'Discard',
+  },
+  offline: {
+    intro: 'These files will be sent when the connection is back, even if you close this page:',
+    queued: {
+      one: 'You are offline. {count} file will be sent as soon as the connection is back.',
+      other: 'You are offline. {count} files will be sent as soon as the connection is back.',
+    },
+    moved: 'The connection dropped. {name} will be sent as soon as it is back.',
+    waiting: 'waiting for a connection',
+    sending: 'sending...',
+    scanning: 'uploaded, waiting for the malware scan',
+    failed: 'failed: {message}',
+    signedOut: 'sign in again to send it',
+    retry: 'Retry',
+    remove: 'Remove',
+    notifyMe: 'Notify me when they are done',
+    notification: {
+      title: 'File upload',
+      clean: '{name} was uploaded and no threats were found.',
+      infected: '{name} was uploaded, but malware was found and the file was quarantined.',
+      failed: '{name} was uploaded, but could not be scanned.',
+      error: '{name} could not be uploaded.',
+    },
+  },
+  queue: {
+    title: 'Upload Queue',
+    summary: { one: '{count} file · {size} · {clean} clean', other: '{count} files · {size} · {clean} clean' },
+    infected: '{count} infected',
+  },
+  status: {
+    idle: 'Checking',
+    validating: 'Checking',
+    processing: 'Optimising',
+    ready: 'Ready',
+    queued: 'Queued',
+    encrypting: 'Encrypting',
+    hashing: 'Computing checksum',
+    presigning: 'Getting URL',
+    uploading: 'Uploading',
+    paused: 'Paused',
+    scanning: 'Scanning',
+    clean: 'Clean',
+    infected: 'Malware found',
+    failed: 'Failed',
+    timeout: 'Timed out',
+    unknown: 'Status unknown',
+    error: 'Error',
+    cancelled: 'Cancelled',
+    invalid: 'Invalid',
+  },
+  row: {
+    details: 'Details',
+    hide: 'Hide',
+    keepChecking: 'Keep checking',
+    retry: 'Retry',
+    pause: 'Pause',
+    resume: 'Resume',
+    cancel: 'Cancel',
+    remove: 'Remove',
+    checksumProgress: 'Checksum of {name}',
+    encryptionProgress: 'Encryption of {name}',
+    uploadProgress: 'Upload of {name}',
+    transferred: '{loaded} of {total}',
+    speed: '{speed}/s',
+    remaining: '{eta} remaining',
+    processingFailed: 'Could not optimise this image ({message}). The original will be uploaded.',
+    optimised: 'Optimised: {from} → {to} ({change}){resized} · metadata removed',
+    smaller: '{percent} smaller',
+    larger: '{percent} larger',
+    resuming: { one: 'Resuming upload: {count} part already sent', other: 'Resuming upload: {count} parts already sent' },
+    paused: 'Upload paused. Parts already sent are kept.',
+    uploaded: 'Upload completed in {time}.',
+    scanningForViruses: 'Scanning for viruses...',
+    timedOut: 'Timed out ⏳ Still processing after {time}. You can keep checking.',
+    statusError: 'Error checking processing status: {message}',
+    cancelled: 'Upload cancelled',
+    fileInformation: 'File Information',
+    name: 'Name',
+    path: 'Path',
+    size: 'Size',
+    original: 'Original',
+    type: 'Type',
+    unknownType: 'Unknown',
+    sha256: 'SHA-256',
+    uploadConfig: 'Upload Config',
+    fileId: 'File ID',
+    bucket: 'Bucket',
+    expiresIn: 'Expires In',
+    seconds: { one: '{count} second', other: '{count} seconds' },
+    parts: 'Parts',
+    uploadTime: 'Upload Time',
+  },
+  verdict: {
+    threats: { one: 'Threat', other: 'Threats' },
+    scanner: 'Scanner',
+    scanned: 'Scanned',
+    quarantine: 'Quarantine location',
+    reason: 'Reason',
+    whatToDo: 'What to do:',
+    reportFalsePositive: 'Report false positive',
+    falsePositiveReported: 'False positive reported',
+    delete: 'Delete my upload',
+    deleting: 'Deleting...',
+    deleted: 'Deleted',
+    downloadReport: 'Download scan report (JSON)',
+    confirmDeleteQuarantined: 'Delete the quarantined copy of this file? This cannot be undone.',
+    confirmDeleteStored: 'Delete this file from storage? This cannot be undone.',
+    whySafe: 'Why do you think this file is safe? (optional)',
+    sendReport: 'Send report',
+    sending: 'Sending...',
+    cancel: 'Cancel',
+    reportThanks: 'Thanks. Support will review the detection and get back to you.',
+    deleteDone: 'The file was deleted.',
+    reportFailed: 'Report failed: {message}',
+    deleteFailed: 'Delete failed: {message}',
+  },
+  scan: {
+    NO_THREATS_FOUND: {
+      label: 'Clean',
+      title: 'No threats found',
+      explanation: 'The malware scan finished and found nothing. The file is stored and available.',
+    },
+    MOVED_TO_MALWARE_BUCKET: {
+      label: 'Malware found',
+      title: 'Malware found: file quarantined',
+      explanation: 'The scanner detected malware. The file was moved to a quarantine bucket and nobody can download it from there.',
+      nextSteps: 'Check the original on your computer with your own antivirus and delete it if it is infected. If you are sure the file is safe, report a false positive and support will review it.',
+    },
+    THREATS_FOUND: {
+      label: 'Malware found',
+      title: 'Malware found',
+      explanation: 'The scanner detected malware in this file. It is blocked from further processing.',
+      nextSteps: 'Check the original on your computer with your own antivirus. If you are sure the file is safe, report a false positive.',
+    },
+    FAILED: {
+      label: 'Scan failed',
+      title: 'The scan could not be completed',
+      explanation: 'The scanner could not finish checking this file, so it has not been cleared for use.',
+      nextSteps: 'Retry the upload. If it keeps failing, download the scan report and send it to support.',
+    },
+    UNSUPPORTED: {
+      label: 'Not scannable',
+      title: 'The file could not be scanned',
+      explanation: 'The scanner does not support this file, for example because it is password-protected or too large to unpack.',
+      nextSteps: 'Upload it without encryption, or split it into smaller files.',
+    },
+    ACCESS_DENIED: {
+      label: 'Scan failed',
+      title: 'The scanner could not read the file',
+      explanation: 'The scanner was denied access to the uploaded file. This is a configuration problem on our side.',
+      nextSteps: 'Contact support with the scan report; retrying will not help until it is fixed.',
+    },
+    PENDING: {
+      label: 'Waiting for scan',
+      title: 'Waiting to be scanned',
+      explanation: 'The upload arrived and is waiting in the scan queue.',
+    },
+    SCANNING: {
+      label: 'Scanning',
+      title: 'Scanning',
+      explanation: 'The file is being checked for malware.',
+    },
+    none: {
+      label: 'Pending',
+      title: 'No verdict yet',
+      explanation: 'The scan has not reported a result yet.',
+    },
+    unknown: {
+      title: 'Unrecognised scan status "{code}"',
+      explanation: 'The scanner reported "{code}", which this app does not know. The file has not been confirmed clean.',
+      nextSteps: 'Keep checking for a final verdict. If it does not change, download the scan report and send it to support.',
+    },
+  },
+  announce: {
+    invalid: '{name} cannot be uploaded: {errors}',
+    uploading: 'Uploading {name}',
+    progress: '{name}: {percent} uploaded',
+    paused: 'Upload of {name} paused',
+    scanning: '{name} uploaded. Scanning for malware.',
+    verdict: '{name}: {title}',
+    timeout: '{name} is taking longer than usual to scan',
+    unknown: 'Could not check the scan status of {name}',
+    error: '{name} failed: {message}',
+    cancelled: 'Upload of {name} cancelled',
+    summary: { one: '{count} file: {counts}', other: '{count} files: {counts}' },
+    count: '{count} {label}',
+    labels: {
+      invalid: 'cannot be uploaded',
+      uploading: 'uploading',
+      paused: 'paused',
+      scanning: 'scanning',
+      clean: 'clean',
+      infected: 'malware found',
+      failed: 'scan failed',
+      timeout: 'still scanning',
+      unknown: 'scan status unknown',
+      error: 'failed',
+      cancelled: 'cancelled',
+    },
+  },
+  history: {
+    title: 'Upload History ({count})',
+    show: 'Show',
+    hide: 'Hide',
+    search: 'Search by file name, file ID or SHA-256',
+    searchLabel: 'Search upload history',
+    filterLabel: 'Filter by verdict',
+    filters: {
+      all: 'All verdicts',
+      clean: 'Clean',
+      infected: 'Malware found',
+      failed: 'Failed',
+      pending: 'No verdict yet',
+    },
+    exportCsv: 'Export CSV',
+    exportJson: 'Export JSON',
+    noMatches: 'No uploads match the current filters.',
+    empty: 'No uploads yet.',
+    columns: {
+      name: 'Name',
+      size: 'Size',
+      date: 'Date',
+      duration: 'Duration',
+      bucket: 'Bucket',
+      verdict: 'Verdict',
+      actions: 'Actions',
+    },
+    copy: 'Copy',
+    copyLabel: 'Copy file ID {fileId}',
+    recheck: 'Re-check',
+    checking: 'Checking...',
+    remove: 'Remove',
+    recheckFailed: 'Re-check failed: {message}',
+    falsePositiveReported: 'False positive reported',
+    deleted: 'Deleted {date}',
+  },
+  folder: {
+    contents: 'Folder contents',
+    files: { one: '{count} file', other: '{count} files' },
+    invalid: '{count} invalid',
+    loose: { one: 'Plus {count} loose file', other: 'Plus {count} loose files' },
+  },
+  metadata: {
+    title: 'File details',
+    required: '{label} is required',
+    maxItems: 'At most {count} tags',
+    maxLength: '{label} must be at most {count} characters',
+    pattern: '{label} has an invalid format',
+    invalidOption: 'Choose a valid {label}',
+    tooLarge: 'Metadata is too large for S3 ({size} of {max} bytes). Shorten the description or tags.',
+  },
+  imageProcessing: {
+    enabled: 'Optimise photos before upload (resize, compress and remove location and other metadata)',
+    maxSize: 'Max size',
+    keepSize: 'Keep original size',
+    format: 'Format',
+    keepFormat: 'Keep format',
+    quality: 'Quality: {percent}',
+  },
+  encryption: {
+    enabled: 'Encrypt files before upload',
+    hint: 'Files are encrypted in your browser and can only be opened by holders of the private key. The malware scan cannot see inside encrypted files.',
+    keyId: 'Key: {keyId}',
+  },
+  capture: {
+    takePhoto: 'Take photo',
+    close: 'Close',
+    screenshot: 'Screenshot',
+    record: 'Record screen',
+    stop: 'Stop recording ({elapsed} of {max})',
+    cameraBlocked: 'Camera access was blocked. Allow it in the browser\'s site settings and try again.',
+    noCamera: 'No camera was found on this device.',
+    cameraBusy: 'The camera is in use by another application.',
+    failed: 'Capture failed: {message}',
+  },
+  preview: {
+    image: 'Preview of {name}',
+    pdf: 'First page of {name}',
+    lastModified: 'Last modified',
+    reading: 'Reading file details...',
+    json: {
+      array: { one: 'array of {count} item', other: 'array of {count} items' },
+      object: { one: 'object with {count} key', other: 'object with {count} keys' },
+      invalid: 'not valid ({message})',
+    },
+    // Labels of the details extracted in src/fileInfo.js
+    info: {
+      Lines: 'Lines',
+      Columns: 'Columns',
+      JSON: 'JSON',
+      Dimensions: 'Dimensions',
+      Taken: 'Taken',
+      Camera: 'Camera',
+      Pages: 'Pages',
+      Duration: 'Duration',
+      Resolution: 'Resolution',
+    },
+  },
+  // Upload policy violations, by error code (see src/uploader/validationPolicy.js)
+  validation: {
+    'invalid-file': 'Invalid file',
+    empty: 'File is empty',
+    'too-small': 'File is smaller than the minimum of {size}',
+    'too-large': 'File size exceeds maximum limit of {size}',
+    'name-too-long': 'File name is longer than {max} characters',
+    'name-invalid': 'File name contains characters that are not allowed (e.g. / \\ : * ? " < > |)',
+    'extension-blocked': '.{ext} files are not allowed',
+    'extension-not-allowed': '.{ext} not allowed. Allowed: {allowed}',
+    'no-extension': 'Files without an extension not allowed. Allowed: {allowed}',
+    'type-not-allowed': 'File type {type} is not allowed',
+    unreadable: 'File could not be read: {message}',
+    'content-executable': 'File content is {content}, which is not allowed whatever its name',
+    'content-mismatch': 'File content is {content}, which does not match its .{ext} extension',
+    'content-unrecognised': 'File content does not look like a valid .{ext} file',
+    'content-type-not-allowed': 'File content is {content}, which is not an allowed type',
+    'path-invalid': 'Folder name "{folder}" contains characters that are not allowed',
+    'path-too-long': 'Folder path is longer than {max} bytes',
+    unknownType: 'unknown',
+  },
+  errors: {
+    http: 'HTTP error! status: {status}',
+    timeout: 'Request timed out after {seconds}s',
+    network: 'Network error while uploading to S3',
+    'checksum-mismatch': 'S3 rejected the file: its SHA-256 checksum does not match the bytes received',
+    'missing-etag': 'S3 did not return an ETag for the uploaded part',
+    'saved-upload-expired': 'The saved upload has expired. Retry to start it over.',
+    'presign-failed': 'Failed to get pre-signed URL: {message}',
+    'missing-upload-url': 'Upload URL not found in pre-signed response',
+    'upload-failed': 'Upload failed: {message}',
+    'multipart-failed': 'Multipart upload failed: {message}',
+    'encryption-failed': 'Encryption failed: {message}',
+    'checksum-failed': 'Checksum could not be computed: {message}',
+  },
+  // What sniffed file content turned out to be, by signature kind
+  contentTypes: {
+    'windows-executable': 'a Windows executable',
+    'linux-executable': 'a Linux executable',
+    'macos-executable': 'a macOS executable',
+    pdf: 'a PDF document',
+    png: 'a PNG image',
+    jpeg: 'a JPEG image',
+    gif: 'a GIF image',
+    webp: 'a WebP image',
+    tiff: 'a TIFF image',
+    mp4: 'an MP4/QuickTime video',
+    zip: 'a ZIP archive',
+    gzip: 'a gzip archive',
+    '7z': 'a 7-Zip archive',
+    rar: 'a RAR archive',
+  },
+};
+
+export default en;
@@ -0,0 +1,113 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import en from './en';
+import de from './de';
+import ar from './ar';
+
+// Message catalogs and the current locale.
+//
+// Catalogs are nested objects of strings; keys are dot paths ('queue.title'). `{name}`
+// placeholders are filled from params, numbers formatted for the locale. A message that
+// depends on a count is an object of plural forms ({ one, other } in English; Arabic also has
+// zero, two, few and many) picked with Intl.PluralRules for params.count.
+// Messages missing from a catalog fall back to English.
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  de: { name: 'Deutsch', dir: 'ltr', messages: de },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'locale';
+
+const supported = (tag) => {
+  const language = String(tag || '').toLowerCase().split('-')[0];
+  return LOCALES[language] ? language : null;
+};
+
+// The user's earlier choice, then the browser's preferred languages, then English
+export const detectLocale = () => {
+  try {
+    const saved = supported(localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+  } catch {
+    // Storage blocked; fall through to the browser settings
+  }
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  return preferred.map(supported).find(Boolean) || DEFAULT_LOCALE;
+};
+
+let current = detectLocale();
+
+// For modules outside React (formatting, scan status texts, announcements); components use useI18n()
+export const getLocale = () => current;
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const interpolate = (message, params, locale) => message.replace(/\{(\w+)\}/g, (match, name) => {
+  const value = params[name];
+  if (value === undefined || value === null) return match;
+  return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+});
+
+/**
+ * Translates `key` into the current locale. Unknown keys come back as the key itself, so a
+ * missing message shows up in the UI instead of an empty string.
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(LOCALES[current].messages, key) ?? lookup(en, key);
+  if (message && typeof message === 'object') {
+    message = message[new Intl.PluralRules(current).select(params.count ?? 0)] ?? message.other;
+  }
+  return typeof message === 'string' ? interpolate(message, params, current) : key;
+};
+
+// Texts that come with their own translations (metadata schemas from config.json or the
+// backend): a plain string, or { en: '...', de: '...' } with English or the first one as fallback
+export const localized = (text) => {
+  if (!text || typeof text !== 'object') return text;
+  return text[current] ?? text[DEFAULT_LOCALE] ?? Object.values(text)[0];
+};
+
+// lang and dir on <html>, so the browser, screen readers and the RTL styles follow the locale
+const applyToDocument = (locale) => {
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+};
+
+const I18nContext = createContext({ locale: current, dir: LOCALES[current].dir, setLocale: () => {} });
+
+// Re-renders the app when the user picks another language. `scoped` leaves <html> alone, for
+// the uploader embedded in someone else's page; it sets lang and dir on its own element instead.
+export const I18nProvider = ({ scoped = false, children }) => {
+  const [locale, setLocaleState] = useState(current);
+
+  useEffect(() => {
+    if (!scoped) applyToDocument(locale);
+  }, [scoped, locale]);
+
+  // `remember: false` for languages chosen by an embedding page rather than the user
+  const setLocale = useCallback((next, { remember = true } = {}) => {
+    if (!LOCALES[next]) return;
+    // Updated before the re-render, so code reading getLocale() during it already sees the new one
+    current = next;
+    if (remember) {
+      try {
+        localStorage.setItem(STORAGE_KEY, next);
+      } catch {
+        // Not remembered, but still applied
+      }
+    }
+    setLocaleState(next);
+  }, []);
+
+  return (
+    <I18nContext.Provider value={{ locale, dir: LOCALES[locale].dir, setLocale }}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
+
+// { t, locale, dir, setLocale }; using it also re-renders the component when the locale changes
+export const useI18n = () => ({ t, ...useContext(I18nContext) });
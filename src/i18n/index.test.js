@@ -0,0 +1,63 @@
+// The locale is picked once when the module loads, so each test loads a fresh copy of the
+// catalogs and formatting with the language it needs
+const loadWithLocale = (locale) => {
+  localStorage.setItem('locale', locale);
+  let modules;
+  jest.isolateModules(() => {
+    modules = { i18n: require('./index'), format: require('../format') };
+  });
+  return modules;
+};
+
+afterEach(() => localStorage.clear());
+
+describe('t', () => {
+  test('fills in placeholders and picks plural forms', () => {
+    const { i18n: { t } } = loadWithLocale('en');
+    expect(t('upload.uploadAllCount', { count: 3 })).toBe('Upload all (3)');
+    expect(t('dropZone.selected', { count: 1 })).toBe('1 file selected');
+    expect(t('dropZone.selected', { count: 1200 })).toBe('1,200 files selected');
+  });
+
+  test('uses the Arabic plural forms', () => {
+    const { i18n: { t } } = loadWithLocale('ar');
+    expect(t('folder.files', { count: 2 })).toBe('ملفان');
+    expect(t('folder.files', { count: 5 })).toBe('5 ملفات');
+    expect(t('folder.files', { count: 11 })).toBe('11 ملفًا');
+  });
+
+  test('translates into the chosen language and returns unknown keys as they are', () => {
+    const { i18n: { t } } = loadWithLocale('de');
+    expect(t('upload.reset')).toBe('Zurücksetzen');
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+});
+
+test('localized picks the current language from texts that bring their own translations', () => {
+  const { i18n: { localized } } = loadWithLocale('de');
+  expect(localized({ en: 'Case ID', de: 'Vorgangsnummer' })).toBe('Vorgangsnummer');
+  expect(localized({ en: 'Case ID' })).toBe('Case ID');
+  expect(localized('Case ID')).toBe('Case ID');
+});
+
+test('detectLocale prefers the saved choice, then the browser languages', () => {
+  const { i18n: { detectLocale } } = loadWithLocale('ar');
+  expect(detectLocale()).toBe('ar');
+  localStorage.clear();
+  jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['fr-FR', 'de-AT']);
+  expect(detectLocale()).toBe('de');
+});
+
+test('sizes, percentages and durations are formatted for the locale', () => {
+  const { format: en } = loadWithLocale('en');
+  expect(en.formatFileSize(1536)).toBe('1.5 kB');
+  expect(en.formatPercent(42)).toBe('42%');
+
+  const { format: de } = loadWithLocale('de');
+  expect(de.formatFileSize(1536)).toBe('1,5 kB');
+  expect(de.formatPercent(42)).toBe('42\u00a0%');
+  expect(de.formatDuration(185)).toBe('3:05');
+
+  const { format: ar } = loadWithLocale('ar');
+  expect(ar.formatFileSize(1536)).toBe('1.5 كيلوبايت');
+});
@@ -0,0 +1,72 @@
+// Minimal promise wrapper around IndexedDB for the few stores this app keeps.
+// public/upload-sw.js opens the same database for offlineUploads and uploadHistory.
+const DB_NAME = 'file-upload-ui';
+const DB_VERSION = 3;
+
+export const STORES = {
+  multipartUploads: 'multipartUploads',
+  uploadHistory: 'uploadHistory',
+  offlineUploads: 'offlineUploads',
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.multipartUploads)) {
+        db.createObjectStore(STORES.multipartUploads, { keyPath: 'fingerprint' });
+      }
+      if (!db.objectStoreNames.contains(STORES.uploadHistory)) {
+        db.createObjectStore(STORES.uploadHistory, { keyPath: 'fileId' });
+      }
+      if (!db.objectStoreNames.contains(STORES.offlineUploads)) {
+        db.createObjectStore(STORES.offlineUploads, { keyPath: 'id' });
+      }
+    };
+    // A tab still holding an older version keeps the upgrade waiting; rather than hang every
+    // caller, fail now. Should the upgrade go through later, that connection isn't wanted anymore.
+    let blocked = false;
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error('IndexedDB upgrade is blocked by another tab of this app'));
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // Step aside when a newer version of the app (in another tab) needs to upgrade
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+  // Let a later call try again instead of caching the failure
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+export const idbGetAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+export const idbPut = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+export const idbDelete = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
@@ -0,0 +1,50 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+
+// Each test gets an empty IndexedDB and a fresh copy of the module (it caches its connection)
+const loadIdb = () => {
+  global.indexedDB = new IDBFactory();
+  let idb;
+  jest.isolateModules(() => {
+    idb = require('./idb');
+  });
+  return idb;
+};
+
+// What a tab still running the previous release holds on to
+const openOtherTab = version => new Promise((resolve, reject) => {
+  const request = indexedDB.open('file-upload-ui', version);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+test('stores and reads entries', async () => {
+  const { STORES, idbGet, idbGetAll, idbPut, idbDelete } = loadIdb();
+  await idbPut(STORES.uploadHistory, { fileId: 'a', name: 'a.txt' });
+  await idbPut(STORES.uploadHistory, { fileId: 'b', name: 'b.txt' });
+  await idbDelete(STORES.uploadHistory, 'a');
+
+  expect(await idbGet(STORES.uploadHistory, 'b')).toEqual({ fileId: 'b', name: 'b.txt' });
+  expect(await idbGetAll(STORES.uploadHistory)).toHaveLength(1);
+});
+
+test('fails instead of hanging while an older tab blocks the upgrade', async () => {
+  const { STORES, idbGetAll, idbPut } = loadIdb();
+  const older = await openOtherTab(2);
+
+  await expect(idbGetAll(STORES.offlineUploads)).rejects.toThrow(/blocked by another tab/);
+
+  // Once that tab is gone, the next call opens the database
+  older.close();
+  await idbPut(STORES.offlineUploads, { id: '1' });
+  expect(await idbGetAll(STORES.offlineUploads)).toEqual([{ id: '1' }]);
+});
+
+test('closes its connection when a newer version wants to upgrade', async () => {
+  const { STORES, idbGetAll } = loadIdb();
+  await idbGetAll(STORES.uploadHistory);
+
+  const newer = await openOtherTab(4);
+  expect(newer.version).toBe(4);
+  newer.close();
+});
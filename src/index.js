@@ -3,14 +3,35 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import './style.css';
 import App from './App';
+import { ConfigProvider, loadConfig } from './config';
+import { FramedUploader, defineUploaderElement } from './embed';
+import { registerUploadWorker } from './offlineQueue';
 import reportWebVitals from './reportWebVitals';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+defineUploaderElement();
+
+// Loaded into another page by public/embed.js, the bundle only provides <s3-uploader>
+if (!window.s3UploaderBaseUrl) {
+  const root = ReactDOM.createRoot(document.getElementById('root'));
+  // index.html?embed is the uploader alone, for iframes
+  const embedded = new URLSearchParams(window.location.search).has('embed');
+  // Render once the runtime config is in, so nothing starts with the build-time defaults by mistake
+  loadConfig().then((config) => {
+    // Uploads that can't reach the network are left to the service worker (see src/offlineQueue.js)
+    if (!embedded) registerUploadWorker();
+    root.render(
+      <React.StrictMode>
+        {embedded ? (
+          <FramedUploader config={config} />
+        ) : (
+          <ConfigProvider config={config}>
+            <App />
+          </ConfigProvider>
+        )}
+      </React.StrictMode>
+    );
+  });
+}
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
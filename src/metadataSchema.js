@@ -0,0 +1,137 @@
+// Structured metadata attached to every upload (description, case ID, tags, ...).
+// The form is driven by a schema: the built-in default, replaced by REACT_APP_METADATA_SCHEMA
+// (JSON), then by `metadataSchema` in config.json and then by GET /presign/metadata-schema
+// when the backend serves one.
+//
+// A field: { name, label, type: 'text' | 'textarea' | 'select' | 'tags', required, maxLength,
+//            pattern, patternMessage, options: [{ value, label }], maxItems, default, help }
+// Texts (label, help, patternMessage, option labels) are a string or one per language,
+// { "en": "Case ID", "de": "Aktenzeichen" }; see localized() in src/i18n.
+
+import { localized, t } from './i18n';
+
+export const DEFAULT_METADATA_SCHEMA = [
+  { name: 'description', label: { en: 'Description', de: 'Beschreibung', ar: 'الوصف' }, type: 'textarea', maxLength: 500 },
+  {
+    name: 'caseId',
+    label: { en: 'Project / case ID', de: 'Projekt- / Vorgangsnummer', ar: 'رقم المشروع / الحالة' },
+    type: 'text',
+    maxLength: 64,
+    pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+    patternMessage: {
+      en: 'Use letters, digits, dots, dashes and underscores only',
+      de: 'Nur Buchstaben, Ziffern, Punkte, Binde- und Unterstriche verwenden',
+      ar: 'استخدم الأحرف والأرقام والنقاط والشرطات والشرطات السفلية فقط',
+    },
+  },
+  {
+    name: 'tags',
+    label: { en: 'Tags', de: 'Schlagwörter', ar: 'الوسوم' },
+    type: 'tags',
+    maxItems: 10,
+    help: { en: 'Separate tags with commas', de: 'Schlagwörter durch Kommas trennen', ar: 'افصل بين الوسوم بفواصل' },
+  },
+  {
+    name: 'retention',
+    label: { en: 'Retention class', de: 'Aufbewahrungsklasse', ar: 'فئة الاحتفاظ' },
+    type: 'select',
+    required: true,
+    default: 'standard',
+    options: [
+      { value: 'standard', label: { en: 'Standard', de: 'Standard', ar: 'قياسي' } },
+      { value: 'short-term', label: { en: 'Short term (30 days)', de: 'Kurzfristig (30 Tage)', ar: 'قصير الأجل (30 يومًا)' } },
+      { value: 'legal-hold', label: { en: 'Legal hold', de: 'Rechtliche Aufbewahrung', ar: 'حجز قانوني' } },
+    ],
+  },
+];
+
+const FIELD_TYPES = ['text', 'textarea', 'select', 'tags'];
+
+// S3 caps all user-defined metadata of an object at 2 KB
+const MAX_METADATA_BYTES = 2048;
+
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Drops fields and patterns we can't use, so a bad schema from the server can't break the form
+export const normalizeSchema = (raw) => {
+  if (!Array.isArray(raw)) return DEFAULT_METADATA_SCHEMA;
+  return raw.filter(field => field && /^[A-Za-z][A-Za-z0-9]*$/.test(field.name) && FIELD_TYPES.includes(field.type || 'text'))
+    .map(({ pattern, ...field }) => ({
+      label: field.name,
+      type: 'text',
+      ...field,
+      ...(pattern && isValidPattern(pattern) && { pattern }),
+    }));
+};
+
+const envSchema = () => {
+  if (!process.env.REACT_APP_METADATA_SCHEMA) return DEFAULT_METADATA_SCHEMA;
+  try {
+    return normalizeSchema(JSON.parse(process.env.REACT_APP_METADATA_SCHEMA));
+  } catch (error) {
+    console.warn('REACT_APP_METADATA_SCHEMA is not valid JSON, using the default schema:', error.message);
+    return DEFAULT_METADATA_SCHEMA;
+  }
+};
+
+export const initialSchema = envSchema();
+
+// Form values are the raw text the user typed; tags are split on commas when they're used
+export const initialValues = (schema) => Object.fromEntries(schema.map(field => [field.name, field.default ?? '']));
+
+export const parseTags = (text) => [...new Set(String(text ?? '').split(',').map(tag => tag.trim()).filter(Boolean))];
+
+const fieldValue = (field, raw) => (field.type === 'tags' ? parseTags(raw) : String(raw ?? '').trim());
+
+const isEmpty = (value) => value.length === 0;
+
+// camelCase field names become the kebab-case keys S3 stores (it lowercases them anyway)
+const metadataKey = (name) => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+/**
+ * The metadata as S3 will store it: { 'case-id': 'ABC-123', tags: 'a,b', ... }.
+ * Values are URI-encoded because HTTP headers can't carry arbitrary Unicode; downstream
+ * consumers decode them with decodeURIComponent. Empty fields are left out.
+ */
+export const toS3Metadata = (values, schema) => Object.fromEntries(schema
+  .map(field => [field, fieldValue(field, values[field.name])])
+  .filter(([, value]) => !isEmpty(value))
+  .map(([field, value]) => [metadataKey(field.name), encodeURIComponent(Array.isArray(value) ? value.join(',') : value)]));
+
+// Returns { [fieldName]: message } for every invalid field; empty when the form can be submitted.
+// `reservedBytes` of the S3 metadata limit are kept for metadata the uploader adds itself.
+export const validateMetadata = (values, schema, { reservedBytes = 0 } = {}) => {
+  const errors = {};
+  schema.forEach((field) => {
+    const value = fieldValue(field, values[field.name]);
+    const label = localized(field.label);
+    if (isEmpty(value)) {
+      if (field.required) errors[field.name] = t('metadata.required', { label });
+      return;
+    }
+    if (field.type === 'tags') {
+      if (field.maxItems && value.length > field.maxItems) errors[field.name] = t('metadata.maxItems', { count: field.maxItems });
+      return;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      errors[field.name] = t('metadata.maxLength', { label, count: field.maxLength });
+    } else if (field.pattern && !new RegExp(field.pattern).test(value)) {
+      errors[field.name] = localized(field.patternMessage) || t('metadata.pattern', { label });
+    } else if (field.type === 'select' && !field.options?.some(option => option.value === value)) {
+      errors[field.name] = t('metadata.invalidOption', { label });
+    }
+  });
+
+  const size = Object.entries(toS3Metadata(values, schema))
+    .reduce((sum, [key, value]) => sum + `x-amz-meta-${key}`.length + value.length, 0);
+  const max = MAX_METADATA_BYTES - reservedBytes;
+  if (size > max) errors._form = t('metadata.tooLarge', { size, max });
+  return errors;
+};
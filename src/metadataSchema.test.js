@@ -0,0 +1,41 @@
+import { DEFAULT_METADATA_SCHEMA, initialValues, normalizeSchema, toS3Metadata, validateMetadata } from './metadataSchema';
+
+const schema = [
+  { name: 'caseId', label: 'Case ID', type: 'text', required: true, pattern: '^[A-Z]+-\\d+$', patternMessage: 'Use the form ABC-123' },
+  { name: 'tags', label: 'Tags', type: 'tags', maxItems: 2 },
+  { name: 'retention', label: 'Retention', type: 'select', options: [{ value: 'standard', label: 'Standard' }], default: 'standard' },
+];
+
+test('starts from the schema defaults', () => {
+  expect(initialValues(schema)).toEqual({ caseId: '', tags: '', retention: 'standard' });
+});
+
+test('reports required, pattern and tag limits per field', () => {
+  expect(validateMetadata(initialValues(schema), schema)).toEqual({ caseId: 'Case ID is required' });
+  expect(validateMetadata({ caseId: 'abc', tags: 'a, b, c', retention: 'standard' }, schema)).toEqual({
+    caseId: 'Use the form ABC-123',
+    tags: 'At most 2 tags',
+  });
+  expect(validateMetadata({ caseId: 'ABC-123', tags: 'a, b, a', retention: 'standard' }, schema)).toEqual({});
+});
+
+test('maps values to URI-encoded S3 metadata keys and skips empty fields', () => {
+  expect(toS3Metadata({ caseId: ' ABC-1 ', tags: 'urgent, Zürich', retention: '' }, schema)).toEqual({
+    'case-id': 'ABC-1',
+    tags: 'urgent%2CZ%C3%BCrich',
+  });
+});
+
+test('flags metadata over the S3 size limit', () => {
+  const long = [{ name: 'description', label: 'Description', type: 'textarea' }];
+  expect(validateMetadata({ description: 'x'.repeat(3000) }, long)._form).toMatch(/too large/);
+  // Encrypted uploads keep room for the decryption parameters
+  expect(validateMetadata({ description: 'x'.repeat(1500) }, long)).toEqual({});
+  expect(validateMetadata({ description: 'x'.repeat(1500) }, long, { reservedBytes: 1024 })._form).toMatch(/of 1,024 bytes/);
+});
+
+test('ignores unusable fields from a server schema', () => {
+  expect(normalizeSchema([{ name: 'ok', type: 'text', pattern: '(' }, { name: 'bad name' }, { name: 'x', type: 'date' }]))
+    .toEqual([{ name: 'ok', label: 'ok', type: 'text' }]);
+  expect(normalizeSchema('nope')).toBe(DEFAULT_METADATA_SCHEMA);
+});
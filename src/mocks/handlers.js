@@ -0,0 +1,99 @@
+import { rest } from 'msw';
+
+// Scripted stand-in for the upload backend: GET /presign, the presigned PUT to S3 and
+// GET /file-upload/{fileId}, plus the policy, metadata schema and encryption key endpoints (404, so the app
+// keeps its defaults). The end-to-end tests run it through msw (see ./server.js).
+//
+// Scenarios:
+//   clean, infected, failed   the scan reports that verdict after SCAN_POLLS status checks
+//   slow-scan                 SCANNING for SLOW_SCAN_POLLS checks, then clean
+//   presign-500               /presign always answers 500
+//   expired-url               the first presigned URL has already expired (S3 answers 403),
+//                             the ones after it work
+// Files that do get uploaded in the last three scenarios scan clean.
+
+export const SCENARIOS = ['clean', 'infected', 'failed', 'slow-scan', 'presign-500', 'expired-url'];
+
+export const SCAN_POLLS = 2;
+export const SLOW_SCAN_POLLS = 20;
+
+export const BUCKET = 'mock-uploads';
+const S3_URL = `https://${BUCKET}.s3.amazonaws.com`;
+
+const VERDICTS = {
+  clean: { uploadedStatus: 'NO_THREATS_FOUND' },
+  infected: { uploadedStatus: 'MOVED_TO_MALWARE_BUCKET', threats: ['EICAR-Test-File'] },
+  failed: { uploadedStatus: 'FAILED', reason: 'Scan engine timed out' },
+};
+
+const EXPIRED_BODY = '<?xml version="1.0" encoding="UTF-8"?>\n'
+  + '<Error><Code>AccessDenied</Code><Message>Request has expired</Message></Error>';
+
+/**
+ * Handlers for one scenario, with their own state, so every test starts from a clean backend.
+ * `requests` logs every call as "METHOD /path" for assertions.
+ */
+export const createMockApi = (scenario = 'clean') => {
+  if (!SCENARIOS.includes(scenario)) throw new Error(`Unknown mock API scenario "${scenario}"`);
+  const requests = [];
+  // fileId -> { key, uploaded, polls }
+  const files = new Map();
+  let presigned = 0;
+
+  const log = (req) => requests.push(`${req.method} ${req.url.pathname}`);
+  const pollsNeeded = scenario === 'slow-scan' ? SLOW_SCAN_POLLS : SCAN_POLLS;
+  const verdict = VERDICTS[scenario] || VERDICTS.clean;
+
+  const handlers = [
+    rest.get('*/presign/policy', (req, res, ctx) => res(ctx.status(404))),
+    rest.get('*/presign/metadata-schema', (req, res, ctx) => res(ctx.status(404))),
+    rest.get('*/presign/encryption-key', (req, res, ctx) => res(ctx.status(404))),
+
+    rest.get('*/presign', (req, res, ctx) => {
+      log(req);
+      if (scenario === 'presign-500') return res(ctx.status(500), ctx.json({ message: 'Internal server error' }));
+      presigned++;
+      const fileId = `file-${presigned}`;
+      const key = `uploads/${fileId}/${req.url.searchParams.get('filename')}`;
+      files.set(fileId, { key, uploaded: false, polls: 0 });
+      // The query string tells the PUT handler which file this is and whether its URL has expired
+      const expired = scenario === 'expired-url' && presigned === 1;
+      return res(ctx.json({
+        url: `${S3_URL}/${encodeURI(key)}?X-Amz-Expires=${expired ? 0 : 900}&X-Amz-Signature=${fileId}`,
+        fileId,
+        bucket: BUCKET,
+        key,
+        expiresIn: expired ? 0 : 900,
+      }));
+    }),
+
+    rest.put(`${S3_URL}/*`, (req, res, ctx) => {
+      log(req);
+      const file = files.get(req.url.searchParams.get('X-Amz-Signature'));
+      if (!file) return res(ctx.status(403), ctx.body('<Error><Code>SignatureDoesNotMatch</Code></Error>'));
+      if (req.url.searchParams.get('X-Amz-Expires') === '0') return res(ctx.status(403), ctx.body(EXPIRED_BODY));
+      file.uploaded = true;
+      return res(ctx.status(200), ctx.set('ETag', '"mock-etag"'));
+    }),
+
+    rest.get('*/file-upload/:fileId', (req, res, ctx) => {
+      log(req);
+      const { fileId } = req.params;
+      const file = files.get(fileId);
+      // Like the real backend, there's no scan record until the object is in the bucket
+      if (!file?.uploaded) return res(ctx.status(404));
+      file.polls++;
+      if (file.polls < pollsNeeded) return res(ctx.json({ fileId, uploadedStatus: 'SCANNING' }));
+      return res(ctx.json({
+        fileId,
+        ...verdict,
+        engine: 'mock-scanner',
+        engineVersion: '1.0.0',
+        scannedAt: new Date().toISOString(),
+        ...(scenario === 'infected' && { quarantine: { bucket: 'mock-quarantine', key: file.key } }),
+      }));
+    }),
+  ];
+
+  return { handlers, requests };
+};
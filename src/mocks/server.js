@@ -0,0 +1,7 @@
+// The mock backend for tests running in Node. jsdom has no fetch(); the polyfill sends it
+// through XMLHttpRequest, which msw intercepts like the XHR uploads to S3.
+import 'whatwg-fetch';
+import { setupServer } from 'msw/node';
+
+// Starts without handlers; tests add a scenario's with server.use(...createMockApi(scenario).handlers)
+export const server = setupServer();
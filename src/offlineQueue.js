@@ -0,0 +1,128 @@
+import { STORES, idbGetAll, idbPut, idbDelete, idbGet } from './idb';
+import { getConfig } from './config';
+import { onAuthChange, peekAccessToken } from './auth';
+import { t } from './i18n';
+import { notifyHistoryChange } from './uploadHistory';
+
+// Uploads handed to the service worker (public/upload-sw.js) because the network was gone:
+// files picked while offline, and uploads the connection dropped. They wait in IndexedDB and
+// the worker sends them through Background Sync when the browser is back online, even after
+// the tab was closed. Finished uploads move to the upload history.
+//
+// The worker has no access to the page's session, so each entry carries the API URL and the
+// current access token. Tokens are swapped for fresh ones whenever the page signs in again.
+
+const SYNC_TAG = 'offline-uploads';
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/upload-sw.js`;
+
+let registration = null;
+
+const listeners = new Set();
+export const onOfflineUploadsChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+const notify = () => listeners.forEach(listener => listener());
+
+// Background Sync where the browser has it; elsewhere the worker is asked directly, which only
+// works while a page is open
+const requestSend = async () => {
+  const ready = await navigator.serviceWorker.ready;
+  try {
+    await ready.sync.register(SYNC_TAG);
+  } catch {
+    ready.active?.postMessage({ type: 'send-offline-uploads' });
+  }
+};
+
+const refreshCredentials = async () => {
+  const accessToken = peekAccessToken();
+  const entries = await idbGetAll(STORES.offlineUploads).catch(() => []);
+  const stale = entries.filter(entry => entry.accessToken !== accessToken);
+  await Promise.all(stale.map(entry => idbPut(STORES.offlineUploads, { ...entry, accessToken, error: accessToken ? null : entry.error })));
+  if (stale.length && accessToken) requestSend();
+};
+
+/**
+ * Registers the upload service worker. Offline uploads are only offered once it is in place.
+ */
+export const registerUploadWorker = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    registration = await navigator.serviceWorker.register(WORKER_URL);
+  } catch (error) {
+    console.warn('Upload service worker could not be registered, offline uploads are off:', error.message);
+    return;
+  }
+  navigator.serviceWorker.addEventListener('message', ({ data }) => {
+    if (data?.source !== 'upload-sw') return;
+    notify();
+    notifyHistoryChange();
+  });
+  window.addEventListener('online', requestSend);
+  onAuthChange(refreshCredentials);
+  await refreshCredentials();
+  requestSend();
+};
+
+export const isOfflineQueueAvailable = () => Boolean(registration);
+
+export const listOfflineUploads = async () => {
+  const entries = await idbGetAll(STORES.offlineUploads).catch(() => []);
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+export const canAskForNotifications = () => typeof Notification !== 'undefined' && Notification.permission === 'default';
+
+/**
+ * Asks whether the worker may tell how offline uploads went. Only call it from a click:
+ * browsers ignore, or hold against the site, permission prompts that don't follow one.
+ */
+export const askForNotifications = async () => {
+  if (canAskForNotifications()) await Notification.requestPermission();
+};
+
+/**
+ * Hands a file to the service worker. `sha256` ({ hex, base64 }) is reused when the file was
+ * already hashed; `metadata` is the S3 user metadata to send with it.
+ */
+export const queueOfflineUpload = async ({ file, name, sha256 = null, metadata = {} }) => {
+  await idbPut(STORES.offlineUploads, {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    file,
+    name,
+    size: file.size,
+    type: file.type,
+    sha256,
+    metadata,
+    apiUrl: getConfig().apiUrl,
+    accessToken: peekAccessToken(),
+    // The worker has no catalogs, so it gets its notifications ready-made in today's language
+    messages: {
+      title: t('offline.notification.title'),
+      clean: t('offline.notification.clean', { name }),
+      infected: t('offline.notification.infected', { name }),
+      failed: t('offline.notification.failed', { name }),
+      error: t('offline.notification.error', { name }),
+    },
+    status: 'waiting',
+    error: null,
+    fileId: null,
+    queuedAt: new Date().toISOString(),
+  });
+  notify();
+  await requestSend();
+};
+
+export const retryOfflineUpload = async (id) => {
+  const entry = await idbGet(STORES.offlineUploads, id);
+  if (!entry) return;
+  await idbPut(STORES.offlineUploads, { ...entry, status: 'waiting', error: null });
+  notify();
+  await requestSend();
+};
+
+export const removeOfflineUpload = async (id) => {
+  await idbDelete(STORES.offlineUploads, id).catch(() => {});
+  notify();
+};
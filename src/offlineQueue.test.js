@@ -0,0 +1,138 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { STORES, idbGetAll, idbDelete, idbPut } from './idb';
+import { onAuthChange, peekAccessToken } from './auth';
+import {
+  askForNotifications, isOfflineQueueAvailable, listOfflineUploads, onOfflineUploadsChange, queueOfflineUpload, registerUploadWorker,
+  removeOfflineUpload, retryOfflineUpload,
+} from './offlineQueue';
+import OfflineUploads from './OfflineUploads';
+
+jest.mock('./auth');
+
+const file = new File(['%PDF-1.7 report body'], 'report.pdf', { type: 'application/pdf' });
+
+// What navigator.serviceWorker hands out in a browser with Background Sync
+const installServiceWorker = ({ sync = true } = {}) => {
+  const worker = {
+    register: jest.fn().mockResolvedValue({}),
+    addEventListener: jest.fn(),
+    active: { postMessage: jest.fn() },
+    sync: { register: sync ? jest.fn().mockResolvedValue() : jest.fn().mockRejectedValue(new Error('no sync')) },
+  };
+  Object.defineProperty(navigator, 'serviceWorker', {
+    configurable: true,
+    value: { register: worker.register, addEventListener: worker.addEventListener, ready: Promise.resolve(worker) },
+  });
+  return worker;
+};
+
+let authListener;
+
+beforeEach(async () => {
+  peekAccessToken.mockReturnValue('token-1');
+  onAuthChange.mockImplementation((listener) => { authListener = listener; });
+  global.Notification = { permission: 'default', requestPermission: jest.fn().mockResolvedValue('granted') };
+  const entries = await idbGetAll(STORES.offlineUploads);
+  await Promise.all(entries.map(entry => idbDelete(STORES.offlineUploads, entry.id)));
+});
+
+afterEach(() => {
+  delete navigator.serviceWorker;
+  delete global.Notification;
+});
+
+test('is only offered once the service worker is registered', async () => {
+  const worker = installServiceWorker();
+  expect(isOfflineQueueAvailable()).toBe(false);
+
+  await registerUploadWorker();
+
+  expect(worker.register).toHaveBeenCalledWith('/upload-sw.js');
+  expect(isOfflineQueueAvailable()).toBe(true);
+});
+
+test('queues a file with what the worker needs to send it, and asks for a sync', async () => {
+  const worker = installServiceWorker();
+  const listener = jest.fn();
+  const off = onOfflineUploadsChange(listener);
+
+  await queueOfflineUpload({ file, name: 'cases/report.pdf', metadata: { 'case-id': 'ABC-1' } });
+  off();
+
+  const [entry] = await listOfflineUploads();
+  expect(entry).toMatchObject({
+    file,
+    name: 'cases/report.pdf',
+    size: file.size,
+    sha256: null,
+    metadata: { 'case-id': 'ABC-1' },
+    accessToken: 'token-1',
+    status: 'waiting',
+    messages: { clean: 'cases/report.pdf was uploaded and no threats were found.' },
+  });
+  expect(worker.sync.register).toHaveBeenCalledWith('offline-uploads');
+  expect(listener).toHaveBeenCalled();
+  // Permission prompts need a click, which this isn't
+  expect(Notification.requestPermission).not.toHaveBeenCalled();
+});
+
+test('asks the worker directly where there is no Background Sync', async () => {
+  const worker = installServiceWorker({ sync: false });
+
+  await queueOfflineUpload({ file, name: 'report.pdf' });
+
+  expect(worker.active.postMessage).toHaveBeenCalledWith({ type: 'send-offline-uploads' });
+});
+
+test('retries failed uploads and removes them', async () => {
+  const worker = installServiceWorker();
+  await idbPut(STORES.offlineUploads, { id: 'b', name: 'b.txt', status: 'failed', error: 'HTTP error! status: 500', queuedAt: '2026-01-02T00:00:00Z' });
+  await idbPut(STORES.offlineUploads, { id: 'a', name: 'a.txt', status: 'waiting', error: null, queuedAt: '2026-01-01T00:00:00Z' });
+
+  expect((await listOfflineUploads()).map(entry => entry.id)).toEqual(['a', 'b']);
+
+  await retryOfflineUpload('b');
+  expect((await listOfflineUploads())[1]).toMatchObject({ status: 'waiting', error: null });
+  expect(worker.sync.register).toHaveBeenCalled();
+
+  await removeOfflineUpload('a');
+  expect((await listOfflineUploads()).map(entry => entry.id)).toEqual(['b']);
+});
+
+test('hands the worker a fresh token after signing in again', async () => {
+  const worker = installServiceWorker();
+  await registerUploadWorker();
+  await idbPut(STORES.offlineUploads, { id: 'a', name: 'a.txt', status: 'waiting', error: 'signed-out', accessToken: 'expired', queuedAt: '' });
+  worker.sync.register.mockClear();
+
+  peekAccessToken.mockReturnValue('token-2');
+  await authListener();
+
+  expect((await listOfflineUploads())[0]).toMatchObject({ accessToken: 'token-2', error: null });
+  expect(worker.sync.register).toHaveBeenCalledWith('offline-uploads');
+});
+
+test('only asks for notifications while the browser would still ask', async () => {
+  await askForNotifications();
+  expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+
+  Notification.permission = 'denied';
+  await askForNotifications();
+  expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+});
+
+test('lists queued uploads with their state and asks for notifications on click', async () => {
+  installServiceWorker();
+  await idbPut(STORES.offlineUploads, { id: 'a', name: 'a.txt', size: 2048, status: 'failed', error: 'HTTP error! status: 500', queuedAt: '' });
+  render(<OfflineUploads />);
+
+  expect(await screen.findByRole('listitem')).toHaveTextContent('a.txt (2 kB): failed: HTTP error! status: 500');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Notify me when they are done' }));
+  expect(Notification.requestPermission).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+  await waitFor(() => expect(screen.queryByRole('listitem')).not.toBeInTheDocument());
+});
@@ -0,0 +1,116 @@
+// Shared retry and timeout handling for the app's network requests (see src/api.js).
+//
+// Only failures that are safe to repeat are retried: network errors, timeouts, 429 and 5xx.
+// The wait between attempts grows exponentially with jitter, unless the server sent a
+// Retry-After header, which wins.
+
+export const REQUEST_RETRIES = Number(process.env.REACT_APP_REQUEST_RETRIES ?? 3);
+export const REQUEST_TIMEOUT_MS = Number(process.env.REACT_APP_REQUEST_TIMEOUT_MS) || 30000;
+// PUTs to S3 can legitimately take a long time, so they time out when they stop making progress
+export const UPLOAD_STALL_TIMEOUT_MS = Number(process.env.REACT_APP_UPLOAD_STALL_TIMEOUT_MS) || 60000;
+export const REQUEST_RETRY_DELAY_MS = Number(process.env.REACT_APP_REQUEST_RETRY_DELAY_MS) || 1000;
+const MAX_DELAY_MS = 30000;
+// Don't let a server park us for longer than this
+const MAX_RETRY_AFTER_MS = 120000;
+
+const abortError = () => new DOMException('Request aborted', 'AbortError');
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry-After is either a number of seconds or an HTTP date. Returns milliseconds or null.
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Same message the app has always shown, plus what the retry logic needs and the catalog code
+// the upload rows translate (see src/uploader/uploadErrors.js)
+export const httpError = (status, retryAfter = null) => {
+  const error = new Error(`HTTP error! status: ${status}`);
+  error.code = 'http';
+  error.params = { status };
+  error.status = status;
+  error.retryAfter = parseRetryAfter(retryAfter);
+  return error;
+};
+
+export const timeoutError = (ms) => {
+  const error = new Error(`Request timed out after ${Math.round(ms / 1000)}s`);
+  error.name = 'TimeoutError';
+  error.code = 'timeout';
+  error.params = { seconds: Math.round(ms / 1000) };
+  return error;
+};
+
+export const isRetryable = (error) => {
+  if (error.name === 'AbortError') return false;
+  if (error.name === 'TimeoutError') return true;
+  // fetch() rejects with a TypeError when the network fails; XHR errors are flagged by putWithProgress
+  if (error.name === 'TypeError' || error.network) return true;
+  return error.status === 429 || error.status >= 500;
+};
+
+export const retryDelay = (attempt, error, baseDelay = REQUEST_RETRY_DELAY_MS) => {
+  if (error?.retryAfter != null) return Math.min(error.retryAfter, MAX_RETRY_AFTER_MS);
+  const ceiling = Math.min(MAX_DELAY_MS, baseDelay * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+/**
+ * Runs `attempt(attemptNumber)` until it succeeds, fails with a non-retryable error or runs
+ * out of retries. Aborting `signal` stops the retries, including a wait in progress.
+ * `baseDelay` is the first backoff step, doubled for every further attempt.
+ */
+export const withRetry = async (attempt, {
+  retries = REQUEST_RETRIES, baseDelay = REQUEST_RETRY_DELAY_MS, shouldRetry = isRetryable, signal, label = 'Request',
+} = {}) => {
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    try {
+      return await attempt(attemptNumber);
+    } catch (error) {
+      if (signal?.aborted || attemptNumber >= retries || !shouldRetry(error)) throw error;
+      const delay = retryDelay(attemptNumber, error, baseDelay);
+      console.warn(`${label} failed (${error.message}), retry ${attemptNumber + 1} of ${retries} in ${Math.round(delay)}ms`);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+/**
+ * Calls `run(signal)` with a signal that aborts when the caller's `signal` does or after
+ * `timeoutMs`. A timeout rejects with a TimeoutError instead of an AbortError.
+ */
+export const withTimeout = async (run, { timeoutMs = REQUEST_TIMEOUT_MS, signal } = {}) => {
+  if (signal?.aborted) throw abortError();
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    throw timedOut && error.name === 'AbortError' ? timeoutError(timeoutMs) : error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
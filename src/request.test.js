@@ -0,0 +1,74 @@
+import { httpError, isRetryable, parseRetryAfter, withRetry, withTimeout } from './request';
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+// Let pending promise callbacks run while timers are faked
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('parses Retry-After as seconds or as an HTTP date', () => {
+  jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00Z'));
+  expect(parseRetryAfter('5')).toBe(5000);
+  expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT')).toBe(30000);
+  expect(parseRetryAfter('soon')).toBeNull();
+  expect(parseRetryAfter(null)).toBeNull();
+});
+
+test('only retries failures that are safe to repeat', () => {
+  expect(isRetryable(httpError(503))).toBe(true);
+  expect(isRetryable(httpError(429))).toBe(true);
+  expect(isRetryable(new TypeError('Failed to fetch'))).toBe(true);
+  expect(isRetryable(httpError(403))).toBe(false);
+  expect(isRetryable(httpError(404))).toBe(false);
+  expect(isRetryable(new DOMException('Request aborted', 'AbortError'))).toBe(false);
+});
+
+test('retries after the delay the server asked for', async () => {
+  jest.useFakeTimers();
+  const attempt = jest.fn()
+    .mockRejectedValueOnce(httpError(503, '2'))
+    .mockResolvedValueOnce('ok');
+
+  const result = withRetry(attempt, { retries: 3 });
+  await flushPromises();
+  expect(attempt).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(1999);
+  await flushPromises();
+  expect(attempt).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(1);
+  await expect(result).resolves.toBe('ok');
+  expect(attempt).toHaveBeenCalledTimes(2);
+});
+
+test('gives up after the configured number of retries', async () => {
+  const attempt = jest.fn().mockRejectedValue(httpError(500, '0'));
+  await expect(withRetry(attempt, { retries: 2 })).rejects.toThrow('HTTP error! status: 500');
+  expect(attempt).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry a client error', async () => {
+  const attempt = jest.fn().mockRejectedValue(httpError(404));
+  await expect(withRetry(attempt, { retries: 3 })).rejects.toMatchObject({ status: 404 });
+  expect(attempt).toHaveBeenCalledTimes(1);
+});
+
+test('turns an overdue request into a TimeoutError', async () => {
+  jest.useFakeTimers();
+  const run = (signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Request aborted', 'AbortError')));
+  });
+
+  const result = withTimeout(run, { timeoutMs: 5000 });
+  jest.advanceTimersByTime(5000);
+  await expect(result).rejects.toMatchObject({ name: 'TimeoutError', message: 'Request timed out after 5s' });
+});
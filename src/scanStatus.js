@@ -0,0 +1,63 @@
+import { normalizeScanStatus } from './uploader';
+import { t } from './i18n';
+
+// What every scan status means for the user, and what they can do about it.
+// Codes are matched after normalizeScanStatus, so 'scanning' and 'SCANNING' are the same.
+// The texts are in the catalogs under scan.<code> (see src/i18n); here is what else differs.
+const SCAN_STATUSES = {
+  NO_THREATS_FOUND: { variant: 'success' },
+  MOVED_TO_MALWARE_BUCKET: { variant: 'danger', nextSteps: true },
+  THREATS_FOUND: { variant: 'danger', nextSteps: true },
+  FAILED: { variant: 'danger', nextSteps: true },
+  UNSUPPORTED: { variant: 'danger', nextSteps: true },
+  ACCESS_DENIED: { variant: 'danger', nextSteps: true },
+  PENDING: { variant: 'warning' },
+  SCANNING: { variant: 'warning' },
+  IN_PROGRESS: { variant: 'warning', messages: 'SCANNING' },
+};
+
+/**
+ * Badge, title, explanation and next steps for an uploadedStatus, in the current language.
+ * Unknown codes get a generic explanation that names the code, so support can still tell what
+ * the backend said.
+ */
+export const describeScanStatus = (status) => {
+  const code = normalizeScanStatus(status);
+  if (!code) {
+    return { code, variant: 'secondary', label: t('scan.none.label'), title: t('scan.none.title'), explanation: t('scan.none.explanation') };
+  }
+  const known = SCAN_STATUSES[code];
+  if (!known) {
+    return {
+      code,
+      variant: 'secondary',
+      label: code,
+      title: t('scan.unknown.title', { code }),
+      explanation: t('scan.unknown.explanation', { code }),
+      nextSteps: t('scan.unknown.nextSteps'),
+    };
+  }
+  const key = `scan.${known.messages || code}`;
+  return {
+    code,
+    variant: known.variant,
+    label: t(`${key}.label`),
+    title: t(`${key}.title`),
+    explanation: t(`${key}.explanation`),
+    ...(known.nextSteps && { nextSteps: t(`${key}.nextSteps`) }),
+  };
+};
+
+// Everything support needs about one scan, as the JSON file users can download and send
+export const buildScanReport = ({ path, file, sha256, config, startedAt, scanStatus, scanResult }) => {
+  const { code, title, explanation } = describeScanStatus(scanStatus);
+  const { raw = null, status, ...details } = scanResult || {};
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    file: { name: path, size: file.size, type: file.type || null, sha256: sha256?.hex ?? null },
+    upload: { fileId: config?.fileId ?? null, bucket: config?.bucket ?? null, key: config?.key ?? null, startedAt },
+    verdict: { status: code, title, explanation },
+    scan: details,
+    response: raw,
+  }, null, 2);
+};
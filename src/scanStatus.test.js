@@ -0,0 +1,43 @@
+import { describeScanStatus, buildScanReport } from './scanStatus';
+import { normalizeScanResult } from './uploader';
+
+describe('describeScanStatus', () => {
+  test('explains known codes whatever their spelling', () => {
+    expect(describeScanStatus('scanning')).toMatchObject({ code: 'SCANNING', label: 'Scanning' });
+    expect(describeScanStatus('Moved to malware bucket')).toMatchObject({ code: 'MOVED_TO_MALWARE_BUCKET', variant: 'danger' });
+  });
+
+  test('names unknown codes instead of guessing', () => {
+    const verdict = describeScanStatus('completed');
+    expect(verdict).toMatchObject({ code: 'COMPLETED', variant: 'secondary' });
+    expect(verdict.explanation).toContain('"COMPLETED"');
+    expect(verdict.nextSteps).toBeTruthy();
+  });
+
+  test('treats a missing code as no verdict yet', () => {
+    expect(describeScanStatus(undefined)).toMatchObject({ label: 'Pending', title: 'No verdict yet' });
+  });
+});
+
+test('buildScanReport includes the verdict, the details and the raw response', () => {
+  const response = {
+    uploadedStatus: 'MOVED_TO_MALWARE_BUCKET',
+    findings: [{ name: 'Win.Trojan.Agent' }],
+    quarantineBucket: 'quarantine',
+    quarantineKey: 'uploads/a.exe',
+  };
+  const report = JSON.parse(buildScanReport({
+    path: 'docs/a.pdf',
+    file: { size: 10, type: 'application/pdf' },
+    sha256: { hex: 'cafe' },
+    config: { fileId: 'file-1', bucket: 'uploads', key: 'docs/a.pdf' },
+    startedAt: '2024-01-01T00:00:00.000Z',
+    scanStatus: 'MOVED_TO_MALWARE_BUCKET',
+    scanResult: normalizeScanResult(response),
+  }));
+
+  expect(report.file).toEqual({ name: 'docs/a.pdf', size: 10, type: 'application/pdf', sha256: 'cafe' });
+  expect(report.verdict.status).toBe('MOVED_TO_MALWARE_BUCKET');
+  expect(report.scan).toMatchObject({ threats: ['Win.Trojan.Agent'], quarantine: { bucket: 'quarantine', key: 'uploads/a.exe' } });
+  expect(report.response).toEqual(response);
+});
@@ -3,3 +3,58 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+// toHaveNoViolations() for axe accessibility audits, see https://github.com/nickcolley/jest-axe
+import 'jest-axe/extend-expect';
+
+// jsdom's Blob predates Blob.arrayBuffer(), which the upload policy uses to sniff file content
+if (!Blob.prototype.arrayBuffer) {
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(this);
+    });
+  };
+}
+
+// jsdom doesn't expose the encoding API that browsers and Node both have
+if (typeof TextDecoder === 'undefined') {
+  const { TextDecoder, TextEncoder } = require('util');
+  Object.assign(global, { TextDecoder, TextEncoder });
+}
+
+// Nor structuredClone, with which fake-indexeddb copies what tests store. Blobs and Files are
+// kept as they are: like in browsers, the copy refers to the same data.
+if (typeof structuredClone === 'undefined') {
+  const clone = (value) => {
+    if (value === null || typeof value !== 'object' || value instanceof Blob) return value;
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (ArrayBuffer.isView(value)) return value.slice();
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  };
+  global.structuredClone = clone;
+}
+
+// Nor Web Crypto, which hashes (and optionally encrypts) every file before it's presigned. Node
+// rejects jsdom's ArrayBuffers (they come from another realm), so data is copied into Buffers first.
+if (typeof crypto === 'undefined') {
+  const { webcrypto } = require('crypto');
+  const copy = data => Buffer.from(data);
+  const copyParams = ({ iv, additionalData, ...params }) => ({
+    ...params,
+    ...(iv && { iv: copy(iv) }),
+    ...(additionalData && { additionalData: copy(additionalData) }),
+  });
+  global.crypto = {
+    getRandomValues: array => webcrypto.getRandomValues(array),
+    subtle: {
+      digest: (algorithm, data) => webcrypto.subtle.digest(algorithm, copy(data)),
+      generateKey: (...args) => webcrypto.subtle.generateKey(...args),
+      importKey: (format, keyData, ...rest) => webcrypto.subtle.importKey(format, copy(keyData), ...rest),
+      encrypt: (algorithm, key, data) => webcrypto.subtle.encrypt(copyParams(algorithm), key, copy(data)),
+      wrapKey: (format, key, wrappingKey, algorithm) => webcrypto.subtle.wrapKey(format, key, wrappingKey, copyParams(algorithm)),
+    },
+  };
+}
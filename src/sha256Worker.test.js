@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// public/sha256.worker.js, run against a stand-in for the worker's global scope
+const WORKER_SOURCE = fs.readFileSync(path.join(__dirname, '../public/sha256.worker.js'), 'utf8');
+
+const loadWorker = () => {
+  const self = { postMessage: jest.fn() };
+  // eslint-disable-next-line no-new-func
+  const createSha256 = new Function('self', `${WORKER_SOURCE}\nreturn createSha256;`)(self);
+  return { self, createSha256 };
+};
+
+// Bytes that differ from block to block, so a block handled twice or skipped shows
+const bytes = length => Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xff);
+
+const expected = data => crypto.createHash('sha256').update(data).digest();
+
+const hex = digest => Buffer.from(digest).toString('hex');
+
+test.each([0, 1, 55, 56, 63, 64, 65, 119, 120, 1000])('hashes %i bytes like Node', (length) => {
+  const { createSha256 } = loadWorker();
+  const sha256 = createSha256();
+  const data = bytes(length);
+
+  sha256.update(data);
+
+  expect(hex(sha256.digest())).toBe(hex(expected(data)));
+});
+
+test.each([1, 7, 55, 63, 65, 100])('gives the same hash fed in %i-byte pieces', (pieceSize) => {
+  const { createSha256 } = loadWorker();
+  const sha256 = createSha256();
+  const data = bytes(1000);
+
+  for (let offset = 0; offset < data.length; offset += pieceSize) sha256.update(data.subarray(offset, offset + pieceSize));
+
+  expect(hex(sha256.digest())).toBe(hex(expected(data)));
+});
+
+test('streams a blob in chunks, reporting progress, and answers in hex and base64', async () => {
+  const { self } = loadWorker();
+  const data = bytes(1000);
+
+  await self.onmessage({ data: { blob: new Blob([data]), chunkSize: 300 } });
+
+  const messages = self.postMessage.mock.calls.map(([message]) => message);
+  expect(messages.filter(({ type }) => type === 'progress').map(({ loaded }) => loaded)).toEqual([300, 600, 900, 1000]);
+  expect(messages[messages.length - 1]).toEqual({
+    type: 'done',
+    hex: expected(data).toString('hex'),
+    base64: expected(data).toString('base64'),
+  });
+});
+
+test('hashes an empty blob', async () => {
+  const { self } = loadWorker();
+
+  await self.onmessage({ data: { blob: new Blob([]) } });
+
+  const empty = expected(Buffer.alloc(0));
+  expect(self.postMessage).toHaveBeenCalledWith({ type: 'done', hex: empty.toString('hex'), base64: empty.toString('base64') });
+});
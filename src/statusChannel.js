@@ -0,0 +1,149 @@
+// Optional push channel for scan status, so clients don't have to poll /file-upload/{fileId}.
+//
+// Set up by the `statusChannel` section of the runtime config (see src/config.js):
+//
+//   type  websocket | sse, empty = polling only   (REACT_APP_STATUS_CHANNEL)
+//   url   wss://... (or https://... for SSE)     (REACT_APP_STATUS_CHANNEL_URL)
+//
+// Both transports deliver JSON messages shaped like the status API response:
+//   { "fileId": "...", "uploadedStatus": "NO_THREATS_FOUND", ... }
+// WebSocket clients subscribe with { "action": "subscribe" | "unsubscribe", "fileId": "..." };
+// SSE clients open one stream per file at `${url}?fileId=...`.
+// When signed in, the access token is added to the URL as `access_token`.
+
+import { peekAccessToken } from './auth';
+import { getConfig } from './config';
+
+// { type, url, connectTimeoutMs }; the timeout is how long to wait for the channel to open
+// before falling back to polling
+const channel = () => getConfig().statusChannel;
+
+// Browsers can't set headers on WebSocket/EventSource requests, so the token rides in the query
+const withAccessToken = (url, params = {}) => {
+  const token = peekAccessToken();
+  const query = new URLSearchParams({ ...params, ...(token && { access_token: token }) }).toString();
+  return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+};
+
+export const isStatusChannelEnabled = () => Boolean(channel().url) && ['websocket', 'sse'].includes(channel().type);
+
+// One socket is shared by every subscription, however many files are being scanned
+let socket = null;
+const socketSubscribers = new Map(); // fileId -> Set<{ onStatus, onUnavailable }>
+
+const send = (message) => {
+  if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const dropSocket = () => {
+  const subscribers = [...socketSubscribers.values()].flatMap(set => [...set]);
+  socketSubscribers.clear();
+  socket = null;
+  subscribers.forEach(subscriber => subscriber.onUnavailable());
+};
+
+const connectSocket = () => {
+  const ws = new WebSocket(withAccessToken(channel().url));
+  const connectTimer = setTimeout(() => ws.close(), channel().connectTimeoutMs);
+
+  ws.onopen = () => {
+    clearTimeout(connectTimer);
+    socketSubscribers.forEach((_, fileId) => send({ action: 'subscribe', fileId }));
+  };
+  ws.onmessage = (event) => {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch {
+      return console.warn('Ignoring malformed status message:', event.data);
+    }
+    socketSubscribers.get(data.fileId)?.forEach(subscriber => subscriber.onStatus(data));
+  };
+  // Whether it never opened or dropped later, everyone falls back to polling; the next
+  // subscription tries to connect again.
+  ws.onclose = () => {
+    clearTimeout(connectTimer);
+    if (socket === ws) dropSocket();
+  };
+  return ws;
+};
+
+const subscribeWebSocket = (fileId, subscriber) => {
+  if (!socketSubscribers.has(fileId)) socketSubscribers.set(fileId, new Set());
+  socketSubscribers.get(fileId).add(subscriber);
+  if (!socket) socket = connectSocket();
+  else send({ action: 'subscribe', fileId });
+
+  return () => {
+    const set = socketSubscribers.get(fileId);
+    set?.delete(subscriber);
+    if (set && !set.size) {
+      socketSubscribers.delete(fileId);
+      send({ action: 'unsubscribe', fileId });
+    }
+    if (!socketSubscribers.size && socket) {
+      const ws = socket;
+      socket = null;
+      ws.close();
+    }
+  };
+};
+
+// One stream per file: fine over HTTP/2, where streams share a connection
+const subscribeSse = (fileId, { onStatus, onUnavailable }) => {
+  const source = new EventSource(withAccessToken(channel().url, { fileId }));
+  let closed = false;
+  const close = () => {
+    closed = true;
+    clearTimeout(connectTimer);
+    source.close();
+  };
+  const giveUp = () => {
+    if (closed) return;
+    close();
+    onUnavailable();
+  };
+  const connectTimer = setTimeout(giveUp, channel().connectTimeoutMs);
+
+  source.onopen = () => clearTimeout(connectTimer);
+  source.onmessage = (event) => {
+    try {
+      onStatus(JSON.parse(event.data));
+    } catch {
+      console.warn('Ignoring malformed status message:', event.data);
+    }
+  };
+  // EventSource retries dropped connections by itself; CLOSED means it has stopped trying
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) giveUp();
+  };
+  return close;
+};
+
+// Subscribes to status pushes for one file. `onUnavailable` is called (at most once) when the
+// channel can't connect or is lost, so the caller can fall back to polling.
+// Returns an unsubscribe function.
+export const subscribeToStatus = (fileId, { onStatus, onUnavailable }) => {
+  let active = true;
+  const subscriber = {
+    onStatus: (data) => active && onStatus(data),
+    onUnavailable: () => {
+      if (!active) return;
+      active = false;
+      onUnavailable();
+    },
+  };
+
+  let unsubscribe;
+  try {
+    unsubscribe = channel().type === 'sse' ? subscribeSse(fileId, subscriber) : subscribeWebSocket(fileId, subscriber);
+  } catch (error) {
+    console.warn('Status channel unavailable:', error.message);
+    setTimeout(subscriber.onUnavailable, 0);
+    return () => { active = false; };
+  }
+  return () => {
+    active = false;
+    unsubscribe();
+  };
+};
@@ -0,0 +1,187 @@
+import { peekAccessToken } from './auth';
+import { applyConfig } from './config';
+import { isStatusChannelEnabled, subscribeToStatus } from './statusChannel';
+
+jest.mock('./auth');
+
+// Stand-ins for the browser's WebSocket and EventSource; tests open, feed and drop them by hand
+class FakeWebSocket {
+  static OPEN = 1;
+
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(data) {
+    this.onmessage({ data: typeof data === 'string' ? data : JSON.stringify(data) });
+  }
+}
+
+class FakeEventSource {
+  static CLOSED = 2;
+
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.close = jest.fn(() => { this.readyState = FakeEventSource.CLOSED; });
+    FakeEventSource.instances.push(this);
+  }
+
+  receive(data) {
+    this.onmessage({ data: JSON.stringify(data) });
+  }
+}
+
+const useChannel = (type, url) => applyConfig({ statusChannel: { type, url, connectTimeoutMs: 1000 } });
+
+const subscribe = (fileId) => {
+  const handlers = { onStatus: jest.fn(), onUnavailable: jest.fn() };
+  const unsubscribe = subscribeToStatus(fileId, handlers);
+  return { ...handlers, unsubscribe };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  peekAccessToken.mockReturnValue('token-1');
+  FakeWebSocket.instances = [];
+  FakeEventSource.instances = [];
+  global.WebSocket = FakeWebSocket;
+  global.EventSource = FakeEventSource;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete global.WebSocket;
+  delete global.EventSource;
+});
+
+test('is only enabled with a known type and a URL', () => {
+  useChannel('', 'wss://status.example');
+  expect(isStatusChannelEnabled()).toBe(false);
+  useChannel('websocket', '');
+  expect(isStatusChannelEnabled()).toBe(false);
+  useChannel('sse', 'https://status.example/events');
+  expect(isStatusChannelEnabled()).toBe(true);
+});
+
+describe('websocket', () => {
+  beforeEach(() => useChannel('websocket', 'wss://status.example'));
+
+  test('shares one socket and hands each file its own messages', () => {
+    const a = subscribe('file-a');
+    const b = subscribe('file-b');
+    const [ws] = FakeWebSocket.instances;
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(ws.url).toBe('wss://status.example?access_token=token-1');
+
+    ws.open();
+    expect(ws.sent).toEqual([{ action: 'subscribe', fileId: 'file-a' }, { action: 'subscribe', fileId: 'file-b' }]);
+
+    ws.receive({ fileId: 'file-a', uploadedStatus: 'NO_THREATS_FOUND' });
+    ws.receive('not json');
+    expect(a.onStatus).toHaveBeenCalledWith({ fileId: 'file-a', uploadedStatus: 'NO_THREATS_FOUND' });
+    expect(b.onStatus).not.toHaveBeenCalled();
+
+    a.unsubscribe();
+    expect(ws.sent).toContainEqual({ action: 'unsubscribe', fileId: 'file-a' });
+    b.unsubscribe();
+    expect(ws.readyState).toBe(3);
+    expect(a.onUnavailable).not.toHaveBeenCalled();
+    expect(b.onUnavailable).not.toHaveBeenCalled();
+  });
+
+  test('falls back to polling when the socket never opens', () => {
+    const a = subscribe('file-a');
+    const b = subscribe('file-b');
+
+    jest.advanceTimersByTime(1000);
+
+    expect(a.onUnavailable).toHaveBeenCalledTimes(1);
+    expect(b.onUnavailable).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to polling when an open socket drops, and reconnects for the next file', () => {
+    const a = subscribe('file-a');
+    FakeWebSocket.instances[0].open();
+
+    FakeWebSocket.instances[0].close();
+    expect(a.onUnavailable).toHaveBeenCalledTimes(1);
+
+    const b = subscribe('file-b');
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    b.unsubscribe();
+  });
+});
+
+describe('sse', () => {
+  beforeEach(() => useChannel('sse', 'https://status.example/events'));
+
+  test('opens a stream per file and passes its messages on', () => {
+    const a = subscribe('file-a');
+    const [source] = FakeEventSource.instances;
+    expect(source.url).toBe('https://status.example/events?fileId=file-a&access_token=token-1');
+
+    source.onopen();
+    source.receive({ fileId: 'file-a', uploadedStatus: 'SCANNING' });
+    expect(a.onStatus).toHaveBeenCalledWith({ fileId: 'file-a', uploadedStatus: 'SCANNING' });
+
+    a.unsubscribe();
+    expect(source.close).toHaveBeenCalled();
+  });
+
+  test('keeps waiting while the browser reconnects, and falls back once it gives up', () => {
+    const a = subscribe('file-a');
+    const [source] = FakeEventSource.instances;
+    source.onopen();
+
+    source.onerror();
+    expect(a.onUnavailable).not.toHaveBeenCalled();
+
+    source.readyState = FakeEventSource.CLOSED;
+    source.onerror();
+    expect(a.onUnavailable).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to polling when the stream never opens', () => {
+    const a = subscribe('file-a');
+
+    jest.advanceTimersByTime(1000);
+
+    expect(a.onUnavailable).toHaveBeenCalledTimes(1);
+    expect(FakeEventSource.instances[0].close).toHaveBeenCalled();
+  });
+});
+
+test('falls back to polling when the browser has no such transport', () => {
+  useChannel('sse', 'https://status.example/events');
+  delete global.EventSource;
+
+  const a = subscribe('file-a');
+  jest.runAllTimers();
+
+  expect(a.onUnavailable).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,70 @@
+import { STORES, idbGet, idbGetAll, idbPut, idbDelete } from './idb';
+
+// Past uploads, kept in IndexedDB so the file ID and verdict survive a reset or reload.
+// Entries are keyed by fileId:
+//   { fileId, name, size, type, sha256, metadata, encrypted, bucket, key, startedAt, uploadTime, verdict, threats, checkedAt,
+//     falsePositiveReportedAt, deletedAt }
+// For encrypted uploads sha256 is the checksum of the ciphertext, which is what S3 stores.
+
+const MAX_ENTRIES = 1000;
+
+const listeners = new Set();
+export const onHistoryChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+const notify = () => listeners.forEach(listener => listener());
+// For entries written elsewhere, by the offline upload worker (see src/offlineQueue.js)
+export const notifyHistoryChange = notify;
+
+// Newest first
+export const listHistory = async () => {
+  const entries = await idbGetAll(STORES.uploadHistory).catch(() => []);
+  return entries.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+export const recordUpload = async (entry) => {
+  try {
+    await idbPut(STORES.uploadHistory, { verdict: null, checkedAt: null, ...entry });
+    const entries = await listHistory();
+    await Promise.all(entries.slice(MAX_ENTRIES).map(old => idbDelete(STORES.uploadHistory, old.fileId)));
+    notify();
+  } catch (error) {
+    console.error('Could not save upload history:', error);
+  }
+};
+
+export const updateHistoryEntry = async (fileId, patch) => {
+  try {
+    const entry = await idbGet(STORES.uploadHistory, fileId);
+    if (!entry) return;
+    await idbPut(STORES.uploadHistory, { ...entry, ...patch });
+    notify();
+  } catch (error) {
+    console.error('Could not update upload history:', error);
+  }
+};
+
+export const deleteHistoryEntry = async (fileId) => {
+  await idbDelete(STORES.uploadHistory, fileId).catch(() => {});
+  notify();
+};
+
+const CSV_COLUMNS = [
+  'fileId', 'name', 'size', 'type', 'sha256', 'metadata', 'encrypted', 'bucket', 'key', 'startedAt', 'uploadTime', 'verdict', 'threats', 'checkedAt',
+  'falsePositiveReportedAt', 'deletedAt',
+];
+
+const csvCell = (value) => {
+  let text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating file names like "=cmd|..." as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const historyToCsv = (entries) => [
+  CSV_COLUMNS.join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(',')),
+].join('\r\n');
+
+export const historyToJson = (entries) => JSON.stringify(entries, null, 2);
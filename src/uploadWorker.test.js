@@ -0,0 +1,142 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { VERDICT_STATES } from './uploader/scanResult';
+
+const fs = require('fs');
+const path = require('path');
+
+// public/upload-sw.js, run against a stand-in for the worker's global scope
+const WORKER_SOURCE = fs.readFileSync(path.join(__dirname, '../public/upload-sw.js'), 'utf8');
+
+const loadWorker = (fetch) => {
+  const listeners = {};
+  const self = {
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    registration: { showNotification: jest.fn().mockResolvedValue(), scope: '/' },
+    clients: { matchAll: jest.fn().mockResolvedValue([]) },
+  };
+  // eslint-disable-next-line no-new-func
+  const constants = new Function('self', 'fetch', `${WORKER_SOURCE}\nreturn { DB_VERSION, VERDICT_STATES };`)(self, fetch);
+  const sync = () => {
+    let done;
+    listeners.sync({ tag: 'offline-uploads', waitUntil: (promise) => { done = promise; } });
+    return done;
+  };
+  return { self, sync, constants };
+};
+
+const loadIdb = () => {
+  let idb;
+  jest.isolateModules(() => {
+    idb = require('./idb');
+  });
+  return idb;
+};
+
+const response = (status, body = null) => ({ ok: status < 400, status, text: async () => (body ? JSON.stringify(body) : '') });
+
+// Presigns every file as file-<name>, takes the PUT and reports `verdicts[fileId]` right away
+const fakeBackend = (verdicts = {}) => {
+  const calls = [];
+  const fetch = jest.fn(async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    calls.push(`${init.method || 'GET'} ${pathname}`);
+    if (pathname === '/presign') {
+      const fileId = `file-${searchParams.get('filename')}`;
+      return response(200, { url: `https://s3.example/${fileId}`, fileId, bucket: 'uploads', key: fileId });
+    }
+    if (init.method === 'PUT') return response(200);
+    const fileId = pathname.split('/').pop();
+    return response(200, { uploadedStatus: verdicts[fileId] ?? 'NO_THREATS_FOUND' });
+  });
+  return { fetch, calls };
+};
+
+const queued = (name, extra = {}) => ({
+  id: name,
+  file: new File([`contents of ${name}`], name, { type: 'text/plain' }),
+  name,
+  size: 11,
+  type: 'text/plain',
+  sha256: { hex: 'cafe', base64: 'yv4=' },
+  metadata: {},
+  apiUrl: 'https://api.example',
+  accessToken: 'token',
+  messages: { title: 'Uploads', clean: `${name} is clean`, infected: `${name} is infected`, failed: 'failed', error: `${name} failed` },
+  status: 'waiting',
+  error: null,
+  fileId: null,
+  queuedAt: new Date().toISOString(),
+  ...extra,
+});
+
+let idb;
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  idb = loadIdb();
+});
+
+test('sends every queued file before following the scans', async () => {
+  const { STORES, idbGetAll, idbPut } = idb;
+  await idbPut(STORES.offlineUploads, queued('a.txt'));
+  await idbPut(STORES.offlineUploads, queued('b.txt'));
+  const { fetch, calls } = fakeBackend({ 'file-b.txt': 'MOVED_TO_MALWARE_BUCKET' });
+  const { self, sync } = loadWorker(fetch);
+
+  await sync();
+
+  expect(calls.slice(0, 4)).toEqual(['GET /presign', 'PUT /file-a.txt', 'GET /presign', 'PUT /file-b.txt']);
+  expect(await idbGetAll(STORES.offlineUploads)).toEqual([]);
+  const history = await idbGetAll(STORES.uploadHistory);
+  expect(history.map(({ fileId, verdict }) => ({ fileId, verdict }))).toEqual([
+    { fileId: 'file-a.txt', verdict: 'NO_THREATS_FOUND' },
+    { fileId: 'file-b.txt', verdict: 'MOVED_TO_MALWARE_BUCKET' },
+  ]);
+  expect(self.registration.showNotification).toHaveBeenCalledWith('Uploads', expect.objectContaining({ body: 'b.txt is infected' }));
+});
+
+test('keeps uploads for the next sync when the network is gone, and waits for a new token on 401', async () => {
+  const { STORES, idbGetAll, idbPut } = idb;
+  await idbPut(STORES.offlineUploads, queued('a.txt'));
+  await idbPut(STORES.offlineUploads, queued('b.txt', { accessToken: 'expired' }));
+  const fetch = jest.fn(async (url, init) => {
+    if (init.headers.Authorization === 'Bearer expired') return response(401);
+    throw new TypeError('Failed to fetch');
+  });
+  const { sync } = loadWorker(fetch);
+
+  await expect(sync()).rejects.toThrow('1 offline upload(s) not finished yet');
+
+  const entries = await idbGetAll(STORES.offlineUploads);
+  expect(entries.map(({ id, status, error }) => ({ id, status, error }))).toEqual([
+    { id: 'a.txt', status: 'waiting', error: null },
+    { id: 'b.txt', status: 'waiting', error: 'signed-out' },
+  ]);
+});
+
+test('marks uploads the backend refuses as failed and says so', async () => {
+  const { STORES, idbGet, idbPut } = idb;
+  await idbPut(STORES.offlineUploads, queued('a.txt'));
+  const { self, sync } = loadWorker(jest.fn(async () => response(500)));
+
+  await sync();
+
+  expect(await idbGet(STORES.offlineUploads, 'a.txt')).toMatchObject({ status: 'failed', error: 'HTTP error! status: 500' });
+  expect(self.registration.showNotification).toHaveBeenCalledWith('Uploads', expect.objectContaining({ body: 'a.txt failed' }));
+});
+
+test('leaves a database the page has not set up alone', async () => {
+  const { fetch } = fakeBackend();
+  const { sync } = loadWorker(fetch);
+
+  await expect(sync()).rejects.toThrow();
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+test('shares the database version and scan verdicts with the page', () => {
+  const source = fs.readFileSync(path.join(__dirname, 'idb.js'), 'utf8');
+  const { constants } = loadWorker(jest.fn());
+  expect(`const DB_VERSION = ${constants.DB_VERSION};`).toBe(source.match(/const DB_VERSION = \d+;/)[0]);
+  expect(constants.VERDICT_STATES).toEqual(VERDICT_STATES);
+});
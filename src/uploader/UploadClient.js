@@ -0,0 +1,499 @@
+import { createEmitter } from './emitter';
+import { createProgressTracker } from './progress';
+import { createStatusTracker, DEFAULT_TRACKER_OPTIONS } from './statusTracker';
+import { DEFAULT_POLICY, validateDirectory, validateFile } from './validationPolicy';
+import { MULTIPART_THRESHOLD, uploadMultipart, discardSavedUpload } from './multipartUpload';
+import { computeSha256 } from './checksum';
+import { isProcessableImage, processImage } from './imageProcessing';
+import { encryptFile } from './encryption';
+import { normalizeScanResult, normalizeScanStatus, verdictState } from './scanResult';
+import { codedError, describeError } from './uploadErrors';
+
+// Lifecycle of one file:
+//
+//   idle -> validating -> ready | invalid
+//   validating | ready -> processing -> ready   (optional image pipeline; ready again when options change)
+//   ready -> queued -> [encrypting ->] hashing -> presigning -> uploading -> scanning -> clean | infected | failed
+//   (encrypting and hashing only happen once; later runs start at presigning with the same checksum)
+//   scanning -> timeout | unknown     (verdict not known yet; keepChecking() goes back to scanning)
+//   encrypting | hashing | presigning | uploading -> error   (a step or request failed; retry starts over)
+//   uploading <-> paused              (multipart only; resuming goes back through the queue)
+//   any active state -> cancelled
+//
+// `failed` is a scanner verdict (FAILED, UNSUPPORTED, ...); `error` is our own presign/upload failure.
+const TRANSITIONS = {
+  idle: ['validating'],
+  validating: ['processing', 'ready', 'invalid', 'cancelled'],
+  processing: ['ready'],
+  ready: ['queued', 'processing', 'encrypting', 'hashing', 'presigning', 'cancelled'],
+  queued: ['encrypting', 'hashing', 'presigning', 'cancelled'],
+  encrypting: ['hashing', 'error', 'cancelled'],
+  hashing: ['presigning', 'error', 'cancelled'],
+  presigning: ['uploading', 'error', 'cancelled'],
+  uploading: ['scanning', 'error', 'paused', 'cancelled'],
+  paused: ['queued', 'hashing', 'presigning', 'cancelled'],
+  scanning: ['clean', 'infected', 'failed', 'timeout', 'unknown', 'cancelled'],
+  timeout: ['scanning', 'cancelled'],
+  unknown: ['scanning', 'cancelled'],
+  error: ['queued', 'encrypting', 'hashing', 'presigning'],
+  failed: ['queued', 'encrypting', 'hashing', 'presigning'],
+  cancelled: ['queued', 'encrypting', 'hashing', 'presigning'],
+  invalid: [],
+  clean: [],
+  infected: [],
+};
+
+export const STATES = Object.keys(TRANSITIONS);
+
+// Final uploadedStatus values from /file-upload/{fileId} (see scanResult.js)
+export const isVerdict = (uploadedStatus) => Boolean(verdictState(uploadedStatus));
+
+let nextId = 1;
+
+// How many times a single-PUT upload gets a new URL after the old one expired
+const MAX_REPRESIGNS = 2;
+
+// S3 rejects an expired presigned URL with 403. The transport may flag it from the response;
+// otherwise it's inferred from the presign's expiresIn.
+const isExpiredUrl = (error, config, presignedAt) => error.status === 403 &&
+  (error.expired || (config.expiresIn != null && Date.now() - presignedAt >= config.expiresIn * 1000));
+
+/**
+ * Uploads one file: validate, presign, PUT (or multipart), then follow the malware scan.
+ *
+ * `transport` provides the network calls (see src/api.js for the app's implementation):
+ *   getUploadConfig, uploadFile, getFileStatus, and for large files initiateMultipart,
+ *   presignPart, uploadPart, completeMultipart. subscribeToStatus is optional.
+ *   Calls that can be cancelled get an AbortSignal as their last argument. Failed requests
+ *   carry error.status; uploadFile may set error.expired when the presigned URL expired.
+ *
+ * Files at or above `multipartThreshold` bytes go up in parts; `multipartOptions`
+ * ({ partSize, concurrency }) tune that (see multipartUpload.js).
+ *
+ * With `imageOptions.enabled`, photos go through the image pipeline after validation and the
+ * processed file is what gets uploaded, as long as it passes the policy too; `originalFile` keeps
+ * what the user picked.
+ *
+ * `relativePath` ("project/src/index.js", see folderEntries.js) keeps a file's place in a picked
+ * folder: its folders are validated too, and `path` (folders plus the name of the file actually
+ * sent) is the filename presigned, so the S3 key mirrors the folder structure.
+ *
+ * With `encryption` ({ publicKey, keyId }, see encryption.js) the file is encrypted before
+ * anything else; the ciphertext is what gets hashed and uploaded, and the metadata gets what
+ * it takes to decrypt it.
+ *
+ * Every file is hashed before it's presigned (`hashFile`, SHA-256 in a worker by default).
+ * getUploadConfig, uploadFile and initiateMultipart get `{ checksum, metadata }`: the base64
+ * digest, so S3 can verify what it stored, and the S3 user metadata ({ key: value }) that
+ * was current when the upload started.
+ *
+ * Events: 'change' (snapshot), 'statechange' ({ from, to, snapshot }),
+ *         'uploaded' (snapshot), 'verdict' (snapshot)
+ */
+export class UploadClient {
+  constructor(file, {
+    transport,
+    policy = DEFAULT_POLICY,
+    multipartThreshold = MULTIPART_THRESHOLD,
+    multipartOptions = {},
+    trackerOptions = {},
+    hashFile = computeSha256,
+    imageOptions = null,
+    processFile = processImage,
+    metadata = {},
+    encryption = null,
+    relativePath = file.webkitRelativePath,
+  } = {}) {
+    this.id = nextId++;
+    this.originalFile = file;
+    this.file = file;
+    // Folders the file came from, without its own name (which image processing may change)
+    this.directory = relativePath?.includes('/') ? relativePath.slice(0, relativePath.lastIndexOf('/')) : '';
+    this.imageOptions = imageOptions;
+    this.processFile = processFile;
+    this.metadata = metadata;
+    this.encryption = encryption;
+    // { file, metadata } once the file is encrypted; kept so retries send the same ciphertext
+    this.encrypted = null;
+    this.transport = transport;
+    this.policy = policy;
+    this.hashFile = hashFile;
+    this.multipartThreshold = multipartThreshold;
+    this.multipartOptions = multipartOptions;
+    this.trackerOptions = trackerOptions;
+    this.emitter = createEmitter();
+    this.state = {
+      status: 'idle',
+      errors: [],
+      error: null,
+      config: null,
+      progress: null,
+      hashProgress: null,
+      encryptProgress: null,
+      encrypted: false,
+      sha256: null,
+      processed: null,
+      processingError: null,
+      metadata: null,
+      startedAt: null,
+      uploadTime: null,
+      scanStatus: null,
+      scanResult: null,
+      resumedParts: 0,
+      multipart: file.size >= multipartThreshold,
+    };
+    // Bumped whenever a run is abandoned, so late results from it are ignored
+    this.run = 0;
+    this.stopTracking = () => {};
+    // Aborts the requests of the current run
+    this.controller = null;
+    // The current upload, settled once its requests have stopped
+    this.uploading = Promise.resolve();
+    // Pending cleanup of a cancelled multipart upload; the next run waits for it
+    this.discarding = Promise.resolve();
+  }
+
+  on(event, listener) {
+    return this.emitter.on(event, listener);
+  }
+
+  get status() {
+    return this.state.status;
+  }
+
+  // What is actually sent: the ciphertext for encrypted uploads, otherwise the file
+  get body() {
+    return this.encrypted?.file ?? this.file;
+  }
+
+  // Name to presign: relative to the picked folder for files that came from one
+  get path() {
+    return this.directory ? `${this.directory}/${this.file.name}` : this.file.name;
+  }
+
+  getSnapshot() {
+    return { id: this.id, file: this.file, originalFile: this.originalFile, path: this.path, directory: this.directory, ...this.state };
+  }
+
+  set(patch) {
+    this.state = { ...this.state, ...patch };
+    this.emitter.emit('change', this.getSnapshot());
+  }
+
+  transition(to, patch = {}) {
+    const from = this.state.status;
+    if (!TRANSITIONS[from].includes(to)) throw new Error(`Invalid upload state transition: ${from} -> ${to}`);
+    this.set({ ...patch, status: to });
+    this.emitter.emit('statechange', { from, to, snapshot: this.getSnapshot() });
+  }
+
+  canTransition(to) {
+    return TRANSITIONS[this.state.status].includes(to);
+  }
+
+  async validate() {
+    const run = ++this.run;
+    this.transition('validating');
+    const errors = [...validateDirectory(this.directory, this.policy), ...await validateFile(this.originalFile, this.policy)];
+    if (run !== this.run) return;
+    if (errors.length) return this.transition('invalid', { errors });
+    this.set({ errors });
+    await this.prepare(run);
+  }
+
+  // Decide what will be uploaded: the original, or the output of the image pipeline.
+  // A processing failure isn't fatal; the original goes up and the row says why.
+  async prepare(run) {
+    const patch = (file, extra) => {
+      this.file = file;
+      this.encrypted = null;
+      // The checksum and upload method belong to the file that's actually sent
+      return { sha256: null, encrypted: false, multipart: file.size >= this.multipartThreshold, processingError: null, processed: null, ...extra };
+    };
+
+    if (!this.imageOptions?.enabled || !isProcessableImage(this.originalFile)) {
+      if (this.status === 'ready') this.set(patch(this.originalFile));
+      else this.transition('ready', patch(this.originalFile));
+      return;
+    }
+
+    this.transition('processing');
+    try {
+      const { file, info } = await this.processFile(this.originalFile, this.imageOptions);
+      // The new format or size has to pass the policy too (WebP not allowed, below minSize, ...)
+      const errors = await validateFile(file, this.policy);
+      if (errors.length) throw new Error(errors.map(({ message }) => message).join(' '));
+      if (run !== this.run) return;
+      this.transition('ready', patch(file, { processed: info }));
+    } catch (error) {
+      if (run !== this.run) return;
+      console.warn('Image processing failed for', this.originalFile.name, error);
+      this.transition('ready', patch(this.originalFile, { processingError: error.message }));
+    }
+  }
+
+  // Used by the next start(); an upload in progress keeps the metadata it started with
+  setMetadata(metadata) {
+    this.metadata = metadata;
+  }
+
+  // Files that haven't been sent yet are encrypted (or not) from their next start() on; paused
+  // multipart uploads carry on with the ciphertext they started with
+  setEncryption(encryption) {
+    this.encryption = encryption;
+    if (['ready', 'queued', 'error', 'failed', 'cancelled'].includes(this.status)) {
+      // A failed encrypted multipart upload starts over with new ciphertext, so its parts can go
+      if (this.encrypted && this.state.multipart && this.status === 'error') {
+        discardSavedUpload(this.body, this.transport, this.path, { persist: false });
+      }
+      this.encrypted = null;
+      this.set({ sha256: null, encrypted: false });
+    }
+  }
+
+  // New image options re-run the pipeline for files that are waiting to be uploaded
+  setImageOptions(imageOptions) {
+    this.imageOptions = imageOptions;
+    if (this.status === 'ready') this.prepare(++this.run);
+  }
+
+  // Waiting for a free upload slot (see UploadQueue)
+  queue() {
+    this.transition('queued', { error: null });
+  }
+
+  // Hash, presign, upload and start following the scan. Resolves once the upload part is over;
+  // scan tracking carries on in the background.
+  async start() {
+    const run = ++this.run;
+    const isStale = () => run !== this.run;
+    this.stopTracking();
+    this.controller = new AbortController();
+    const { signal } = this.controller;
+    const fresh = {
+      error: null,
+      config: null,
+      progress: null,
+      uploadTime: null,
+      scanStatus: null,
+      scanResult: null,
+      resumedParts: 0,
+      metadata: this.metadata,
+      startedAt: new Date().toISOString(),
+    };
+
+    if (this.state.sha256) {
+      this.transition('presigning', fresh);
+    } else {
+      if (this.encryption && !this.encrypted) {
+        this.transition('encrypting', { ...fresh, encryptProgress: 0 });
+        try {
+          this.encrypted = await encryptFile(this.file, {
+            ...this.encryption,
+            signal,
+            onProgress: (loaded, total) => !isStale() && this.set({ encryptProgress: total ? (loaded / total) * 100 : 100 }),
+          });
+        } catch (error) {
+          if (!isStale()) this.transition('error', { encryptProgress: null, error: describeError(codedError('encryption-failed', error.message, { cause: error })) });
+          return;
+        }
+        if (isStale()) return;
+      }
+      this.transition('hashing', { ...fresh, encryptProgress: null, encrypted: Boolean(this.encrypted), hashProgress: 0 });
+      let sha256;
+      try {
+        sha256 = await this.hashFile(this.body, {
+          signal,
+          onProgress: (loaded, total) => !isStale() && this.set({ hashProgress: total ? (loaded / total) * 100 : 100 }),
+        });
+      } catch (error) {
+        if (!isStale()) this.transition('error', { hashProgress: null, error: describeError(codedError('checksum-failed', error.message, { cause: error })) });
+        return;
+      }
+      if (isStale()) return;
+      this.transition('presigning', { sha256, hashProgress: null });
+    }
+
+    let startTime = null;
+    const trackProgress = createProgressTracker();
+    const onProgress = (loaded, total) => {
+      if (isStale()) return;
+      if (startTime === null) startTime = performance.now();
+      const progress = trackProgress(loaded, total);
+      if (this.status === 'presigning') this.transition('uploading', { progress });
+      else this.set({ progress });
+    };
+
+    let config;
+    try {
+      this.uploading = this.state.multipart
+        ? this.uploadLargeFile(onProgress, isStale, signal)
+        : this.uploadSingleFile(onProgress, isStale, signal);
+      config = await this.uploading;
+    } catch (error) {
+      if (!isStale()) this.transition('error', { progress: null, error: describeError(error) });
+      return;
+    }
+    if (isStale()) return;
+
+    const uploadTime = performance.now() - (startTime ?? performance.now());
+    this.transition('scanning', { config, uploadTime });
+    this.emitter.emit('uploaded', this.getSnapshot());
+    this.trackStatus();
+  }
+
+  uploadDetails() {
+    return { checksum: this.state.sha256.base64, metadata: { ...this.state.metadata, ...this.encrypted?.metadata } };
+  }
+
+  async uploadSingleFile(onProgress, isStale, signal) {
+    for (let presigns = 0; ; presigns++) {
+      let config;
+      try {
+        config = await this.transport.getUploadConfig(this.path, this.uploadDetails(), signal);
+      } catch (error) {
+        throw codedError('presign-failed', `Failed to get pre-signed URL: ${error.message}`, { cause: error });
+      }
+      if (!config?.url) throw codedError('missing-upload-url', 'Upload URL not found in pre-signed response');
+      if (isStale()) return config;
+      const presignedAt = Date.now();
+      this.set({ config });
+
+      try {
+        onProgress(0, this.body.size);
+        await this.transport.uploadFile(this.body, config.url, onProgress, this.uploadDetails(), signal);
+        return config;
+      } catch (error) {
+        if (presigns < MAX_REPRESIGNS && isExpiredUrl(error, config, presignedAt)) {
+          console.warn('Upload URL expired, getting a new one for', this.path);
+          continue;
+        }
+        throw codedError('upload-failed', `Upload failed: ${error.message}`, { cause: error });
+      }
+    }
+  }
+
+  async uploadLargeFile(onProgress, isStale, signal) {
+    await this.discarding;
+    try {
+      return await uploadMultipart(this.body, this.transport, {
+        ...this.multipartOptions,
+        name: this.path,
+        signal,
+        details: this.uploadDetails(),
+        hashPart: (blob) => this.hashFile(blob, { signal }).then(({ base64 }) => base64),
+        onProgress,
+        onResume: (saved) => !isStale() && this.set({ resumedParts: saved.parts.length }),
+        // Encrypted uploads can't be resumed after a reload: the ciphertext and its key don't outlive the page
+        persist: !this.encrypted,
+      });
+    } catch (error) {
+      throw codedError('multipart-failed', `Multipart upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Follow the scan until a verdict. With a push channel, verdicts arrive over it and polling
+  // only runs as a slow safety net; if the channel can't connect, regular polling takes over.
+  trackStatus({ immediate = false } = {}) {
+    this.stopTracking();
+    const fileId = this.state.config.fileId;
+    const { transport } = this;
+
+    const scanPatch = (data) => ({ scanStatus: normalizeScanStatus(data.uploadedStatus), scanResult: normalizeScanResult(data) });
+    const finish = (data) => {
+      this.stopTracking();
+      this.transition(verdictState(data.uploadedStatus), scanPatch(data));
+      this.emitter.emit('verdict', this.getSnapshot());
+    };
+    const createTracker = (overrides = {}) => createStatusTracker({
+      fetchStatus: (signal) => transport.getFileStatus(fileId, signal),
+      isDone: (data) => isVerdict(data.uploadedStatus),
+      onUpdate: (data) => this.set(scanPatch(data)),
+      onDone: finish,
+      // Giving up closes the push channel too: keepChecking() opens a new one.
+      // The row says how long it waited, which config.json may have changed.
+      onTimeout: (scanTimeout) => {
+        this.stopTracking();
+        this.transition('timeout', { scanTimeout });
+      },
+      onGiveUp: (error) => {
+        this.stopTracking();
+        this.transition('unknown', { error: describeError(error) });
+      },
+      ...this.trackerOptions,
+      ...overrides,
+    });
+
+    let tracker;
+    let unsubscribe = () => {};
+    if (transport.subscribeToStatus) {
+      const { maxInterval } = { ...DEFAULT_TRACKER_OPTIONS, ...this.trackerOptions };
+      tracker = createTracker({ baseInterval: maxInterval });
+      unsubscribe = transport.subscribeToStatus(fileId, {
+        onStatus: (data) => {
+          this.set(scanPatch(data));
+          if (isVerdict(data.uploadedStatus)) finish(data);
+        },
+        onUnavailable: () => {
+          console.warn('Status channel unavailable, falling back to polling for', fileId);
+          tracker.stop();
+          tracker = createTracker();
+          tracker.start({ immediate: true });
+        },
+      });
+    } else {
+      tracker = createTracker();
+    }
+
+    this.stopTracking = () => {
+      tracker.stop();
+      unsubscribe();
+      this.stopTracking = () => {};
+    };
+    tracker.start({ immediate });
+  }
+
+  // After a timeout or status errors, go back to waiting for the verdict
+  keepChecking() {
+    this.transition('scanning', { error: null });
+    this.trackStatus({ immediate: true });
+  }
+
+  // Stop sending parts but keep the ones already uploaded; resume by starting again
+  pause() {
+    this.run++;
+    this.controller?.abort();
+    this.transition('paused');
+  }
+
+  // Abort whatever is in flight (presign, PUT, parts, status polling). A multipart upload
+  // is also aborted on S3, once its in-flight parts have stopped.
+  cancel() {
+    const from = this.status;
+    this.run++;
+    this.controller?.abort();
+    this.stopTracking();
+    if (this.state.multipart && ['presigning', 'uploading', 'paused'].includes(from)) {
+      this.discarding = this.uploading
+        .catch(() => {})
+        .then(() => discardSavedUpload(this.body, this.transport, this.path, { persist: !this.encrypted }));
+    }
+    this.transition('cancelled', { progress: null });
+  }
+
+  // Stop background work without changing state (row removed, component unmounted).
+  // A multipart upload keeps its saved parts and can be resumed later, unless it's encrypted:
+  // without this client its ciphertext is gone, so S3 can let go of the parts.
+  dispose() {
+    const from = this.status;
+    this.run++;
+    this.controller?.abort();
+    this.stopTracking();
+    this.emitter.clear();
+    if (this.encrypted && this.state.multipart && ['uploading', 'paused', 'error'].includes(from)) {
+      this.uploading
+        .catch(() => {})
+        .then(() => discardSavedUpload(this.body, this.transport, this.path, { persist: false }));
+    }
+  }
+}
@@ -0,0 +1,510 @@
+import { UploadClient } from './UploadClient';
+import { UploadQueue } from './UploadQueue';
+import { normalizePolicy } from './validationPolicy';
+
+const makeFile = (name = 'report.txt', content = 'hello world') => new File([content], name, { type: 'text/plain' });
+
+const makeTransport = (overrides = {}) => ({
+  getUploadConfig: jest.fn().mockResolvedValue({ url: 'https://s3.example/put', fileId: 'file-1', bucket: 'uploads' }),
+  uploadFile: jest.fn(async (file, url, onProgress) => {
+    onProgress(file.size / 2, file.size);
+    onProgress(file.size, file.size);
+    return { success: true };
+  }),
+  getFileStatus: jest.fn().mockResolvedValue({ uploadedStatus: 'NO_THREATS_FOUND' }),
+  ...overrides,
+});
+
+// Poll immediately and quickly so tests don't wait on real backoff
+const fastTracking = { initialDelay: 0, baseInterval: 1, maxInterval: 1, jitter: 0 };
+
+// jsdom has no workers; the checksum itself is covered by the worker, not these tests
+const fakeHash = async (blob, { onProgress } = {}) => {
+  onProgress?.(blob.size, blob.size);
+  return { hex: 'cafe', base64: 'yv4=' };
+};
+
+const createClient = (transport, file = makeFile(), options = {}) =>
+  new UploadClient(file, { transport, policy: normalizePolicy(), trackerOptions: fastTracking, hashFile: fakeHash, ...options });
+
+const waitForStatus = (client, status) => new Promise((resolve) => {
+  if (client.status === status) return resolve(client.getSnapshot());
+  const off = client.on('change', (snapshot) => {
+    if (snapshot.status === status) {
+      off();
+      resolve(snapshot);
+    }
+  });
+});
+
+const waitForItems = (queue, predicate) => new Promise((resolve) => {
+  if (predicate(queue.getItems())) return resolve(queue.getItems());
+  const off = queue.on('change', (items) => {
+    if (predicate(items)) {
+      off();
+      resolve(items);
+    }
+  });
+});
+
+const recordStates = (client) => {
+  const states = [];
+  client.on('statechange', ({ to }) => states.push(to));
+  return states;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('UploadClient', () => {
+  test('walks through validation, presign, upload and scan to a clean verdict', async () => {
+    const transport = makeTransport();
+    const client = createClient(transport);
+    const states = recordStates(client);
+    const uploaded = jest.fn();
+    const verdict = jest.fn();
+    client.on('uploaded', uploaded);
+    client.on('verdict', verdict);
+
+    await client.validate();
+    await client.start();
+    const snapshot = await waitForStatus(client, 'clean');
+
+    expect(states).toEqual(['validating', 'ready', 'hashing', 'presigning', 'uploading', 'scanning', 'clean']);
+    expect(transport.getUploadConfig).toHaveBeenCalledWith('report.txt', { checksum: 'yv4=', metadata: {} }, expect.anything());
+    expect(transport.uploadFile).toHaveBeenCalledWith(expect.any(File), 'https://s3.example/put', expect.any(Function), { checksum: 'yv4=', metadata: {} }, expect.anything());
+    expect(snapshot.sha256).toEqual({ hex: 'cafe', base64: 'yv4=' });
+    expect(transport.getFileStatus).toHaveBeenCalledWith('file-1', expect.anything());
+    expect(snapshot.progress.percent).toBe(100);
+    expect(snapshot.config.fileId).toBe('file-1');
+    expect(uploaded).toHaveBeenCalledTimes(1);
+    expect(verdict).toHaveBeenCalledWith(expect.objectContaining({ status: 'clean', scanStatus: 'NO_THREATS_FOUND' }));
+  });
+
+  test('rejects an invalid file without touching the network', async () => {
+    const transport = makeTransport();
+    // A DOS header whose e_lfanew points at a PE signature
+    const pe = new Uint8Array(0x44);
+    pe.set([0x4d, 0x5a]);
+    pe.set([0x40], 0x3c);
+    pe.set([0x50, 0x45, 0, 0], 0x40);
+    const client = createClient(transport, makeFile('setup.exe', pe));
+
+    await client.validate();
+
+    expect(client.status).toBe('invalid');
+    expect(client.state.errors.map(error => error.code)).toEqual(['extension-blocked', 'content-executable']);
+    expect(transport.getUploadConfig).not.toHaveBeenCalled();
+  });
+
+  test('ends in error when the presign request fails', async () => {
+    const transport = makeTransport({ getUploadConfig: jest.fn().mockRejectedValue(new Error('HTTP error! status: 500')) });
+    const client = createClient(transport);
+
+    await client.validate();
+    await client.start();
+
+    expect(client.status).toBe('error');
+    expect(client.state.error).toMatchObject({ code: 'presign-failed', message: 'Failed to get pre-signed URL: HTTP error! status: 500' });
+    expect(transport.uploadFile).not.toHaveBeenCalled();
+  });
+
+  test('gets a new URL when S3 says the presigned one expired', async () => {
+    const expired = Object.assign(new Error('HTTP error! status: 403'), { status: 403, expired: true });
+    const transport = makeTransport({
+      getUploadConfig: jest.fn()
+        .mockResolvedValueOnce({ url: 'https://s3.example/old', fileId: 'file-1', expiresIn: 300 })
+        .mockResolvedValueOnce({ url: 'https://s3.example/new', fileId: 'file-1', expiresIn: 300 }),
+      uploadFile: jest.fn()
+        .mockRejectedValueOnce(expired)
+        .mockResolvedValueOnce({ success: true }),
+    });
+    const client = createClient(transport);
+
+    await client.validate();
+    await client.start();
+
+    expect(transport.getUploadConfig).toHaveBeenCalledTimes(2);
+    expect(transport.uploadFile).toHaveBeenLastCalledWith(expect.any(File), 'https://s3.example/new', expect.any(Function), expect.objectContaining({ checksum: 'yv4=' }), expect.anything());
+    expect(client.status).toBe('scanning');
+  });
+
+  test('maps the quarantine status to infected', async () => {
+    const transport = makeTransport({ getFileStatus: jest.fn().mockResolvedValue({ uploadedStatus: 'MOVED_TO_MALWARE_BUCKET' }) });
+    const client = createClient(transport);
+
+    await client.validate();
+    await client.start();
+
+    await expect(waitForStatus(client, 'infected')).resolves.toMatchObject({ scanStatus: 'MOVED_TO_MALWARE_BUCKET' });
+  });
+
+  test('keeps the scan details and reads status codes in any spelling', async () => {
+    const transport = makeTransport({
+      getFileStatus: jest.fn().mockResolvedValue({ uploadedStatus: 'moved_to_malware_bucket', threats: ['EICAR-Test-File'], scanner: 'ClamAV' }),
+    });
+    const client = createClient(transport);
+
+    await client.validate();
+    await client.start();
+
+    const snapshot = await waitForStatus(client, 'infected');
+    expect(snapshot.scanStatus).toBe('MOVED_TO_MALWARE_BUCKET');
+    expect(snapshot.scanResult).toMatchObject({ threats: ['EICAR-Test-File'], engine: 'ClamAV', quarantine: null });
+  });
+
+  test('times out while scanning and can keep checking', async () => {
+    const getFileStatus = jest.fn().mockResolvedValue({ uploadedStatus: 'SCANNING' });
+    const client = createClient(makeTransport({ getFileStatus }), makeFile(), { trackerOptions: { ...fastTracking, timeout: 0 } });
+
+    await client.validate();
+    await client.start();
+    // The row names the timeout the tracker was given, not the built-in one
+    expect(await waitForStatus(client, 'timeout')).toMatchObject({ scanTimeout: 0 });
+
+    getFileStatus.mockResolvedValue({ uploadedStatus: 'NO_THREATS_FOUND' });
+    client.keepChecking();
+
+    await expect(waitForStatus(client, 'clean')).resolves.toBeTruthy();
+  });
+
+  test('takes the verdict from the push channel when one is available', async () => {
+    let push;
+    const transport = makeTransport({
+      getFileStatus: jest.fn().mockResolvedValue({ uploadedStatus: 'SCANNING' }),
+      subscribeToStatus: jest.fn((fileId, handlers) => {
+        push = handlers.onStatus;
+        return () => {};
+      }),
+    });
+    const client = createClient(transport, makeFile(), { trackerOptions: { initialDelay: 60000 } });
+
+    await client.validate();
+    await client.start();
+    push({ fileId: 'file-1', uploadedStatus: 'NO_THREATS_FOUND' });
+
+    expect(client.status).toBe('clean');
+    expect(transport.getFileStatus).not.toHaveBeenCalled();
+    client.dispose();
+  });
+
+  test('closes the push channel when the safety-net poll gives up', async () => {
+    // Like statusChannel.js, nothing is delivered once unsubscribed
+    let subscribed = false;
+    let push;
+    const unsubscribe = jest.fn(() => { subscribed = false; });
+    const transport = makeTransport({
+      getFileStatus: jest.fn().mockRejectedValue(Object.assign(new Error('HTTP error! status: 403'), { status: 403 })),
+      subscribeToStatus: jest.fn((fileId, handlers) => {
+        subscribed = true;
+        push = data => subscribed && handlers.onStatus(data);
+        return unsubscribe;
+      }),
+    });
+    const client = createClient(transport, makeFile(), { trackerOptions: { ...fastTracking, maxInterval: 1 } });
+
+    await client.validate();
+    await client.start();
+    await waitForStatus(client, 'unknown');
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(() => push({ fileId: 'file-1', uploadedStatus: 'NO_THREATS_FOUND' })).not.toThrow();
+    expect(client.status).toBe('unknown');
+
+    // Checking again subscribes again, and a pushed verdict is taken
+    transport.getFileStatus.mockResolvedValue({ uploadedStatus: 'SCANNING' });
+    client.keepChecking();
+    push({ fileId: 'file-1', uploadedStatus: 'NO_THREATS_FOUND' });
+    expect(client.status).toBe('clean');
+  });
+
+  test('polls for the verdict once the push channel is unavailable', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const transport = makeTransport({
+      subscribeToStatus: jest.fn((fileId, handlers) => {
+        setTimeout(handlers.onUnavailable, 0);
+        return () => {};
+      }),
+    });
+    const client = createClient(transport, makeFile(), { trackerOptions: { ...fastTracking, initialDelay: 60000 } });
+
+    await client.validate();
+    await client.start();
+
+    await expect(waitForStatus(client, 'clean')).resolves.toBeTruthy();
+    expect(transport.getFileStatus).toHaveBeenCalledWith('file-1', expect.anything());
+  });
+
+  test('cancelling stops the scan tracking', async () => {
+    const transport = makeTransport({ getFileStatus: jest.fn().mockResolvedValue({ uploadedStatus: 'SCANNING' }) });
+    const client = createClient(transport, makeFile(), { trackerOptions: { ...fastTracking, initialDelay: 60000 } });
+
+    await client.validate();
+    await client.start();
+    client.cancel();
+
+    expect(client.status).toBe('cancelled');
+    expect(transport.getFileStatus).not.toHaveBeenCalled();
+  });
+
+  test('cancelling aborts the PUT in flight', async () => {
+    let uploadSignal;
+    const transport = makeTransport({
+      uploadFile: jest.fn((file, url, onProgress, checksum, signal) => new Promise((resolve, reject) => {
+        uploadSignal = signal;
+        signal.addEventListener('abort', () => reject(new DOMException('Upload aborted', 'AbortError')));
+      })),
+    });
+    const client = createClient(transport);
+
+    await client.validate();
+    const started = client.start();
+    await waitForStatus(client, 'uploading');
+    client.cancel();
+    await started;
+
+    expect(uploadSignal.aborted).toBe(true);
+    expect(client.status).toBe('cancelled');
+    expect(client.state.error).toBeNull();
+  });
+
+  test('pausing a multipart upload stops its parts and starting again resumes it', async () => {
+    const partSignals = [];
+    const transport = makeTransport({
+      initiateMultipart: jest.fn().mockResolvedValue({ uploadId: 'u1', key: 'k1', fileId: 'file-2', bucket: 'uploads' }),
+      presignPart: jest.fn().mockResolvedValue({ url: 'https://s3.example/part' }),
+      uploadPart: jest.fn((blob, url, onProgress, checksum, signal) => new Promise((resolve, reject) => {
+        partSignals.push(signal);
+        if (partSignals.length > 1) return resolve('"etag"');
+        const abort = () => reject(new DOMException('Upload aborted', 'AbortError'));
+        if (signal.aborted) abort();
+        signal.addEventListener('abort', abort);
+      })),
+      completeMultipart: jest.fn().mockResolvedValue({}),
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const hashFile = jest.fn(fakeHash);
+    const client = createClient(transport, makeFile(), { multipartThreshold: 1, hashFile });
+
+    await client.validate();
+    const started = client.start();
+    await waitForStatus(client, 'uploading');
+    client.pause();
+    await started;
+
+    expect(client.status).toBe('paused');
+    expect(partSignals[0].aborted).toBe(true);
+
+    await client.start();
+    await waitForStatus(client, 'clean');
+    expect(transport.initiateMultipart).toHaveBeenCalledWith('report.txt', 'text/plain', 11, { checksum: 'yv4=', metadata: {} }, expect.anything());
+    expect(transport.completeMultipart).toHaveBeenCalledWith('k1', 'u1', [{ PartNumber: 1, ETag: '"etag"', ChecksumSHA256: 'yv4=' }]);
+    // The file once, then its only part on each of the two runs
+    expect(hashFile).toHaveBeenCalledTimes(3);
+  });
+
+  test('uploads the processed image instead of the original', async () => {
+    const processed = new File(['small'], 'photo.webp', { type: 'image/webp' });
+    const processFile = jest.fn().mockResolvedValue({ file: processed, info: { originalSize: 11, size: 5 } });
+    const transport = makeTransport();
+    const client = new UploadClient(new File(['jpeg bytes'], 'photo.jpg', { type: 'image/jpeg' }), {
+      transport,
+      policy: normalizePolicy({ sniffContent: false }),
+      trackerOptions: fastTracking,
+      hashFile: fakeHash,
+      imageOptions: { enabled: true, maxDimension: 1024, quality: 0.8, format: 'webp' },
+      processFile,
+    });
+    const states = recordStates(client);
+
+    await client.validate();
+    expect(states).toEqual(['validating', 'processing', 'ready']);
+    expect(client.getSnapshot()).toMatchObject({ file: processed, processed: { originalSize: 11, size: 5 } });
+
+    await client.start();
+    expect(transport.getUploadConfig).toHaveBeenCalledWith('photo.webp', expect.objectContaining({ checksum: 'yv4=' }), expect.anything());
+    expect(transport.uploadFile.mock.calls[0][0]).toBe(processed);
+
+    client.dispose();
+  });
+
+  test('falls back to the original when image processing fails', async () => {
+    const original = new File(['jpeg bytes'], 'photo.jpg', { type: 'image/jpeg' });
+    const client = new UploadClient(original, {
+      transport: makeTransport(),
+      policy: normalizePolicy({ sniffContent: false }),
+      imageOptions: { enabled: true },
+      processFile: jest.fn().mockRejectedValue(new Error('decode failed')),
+    });
+
+    await client.validate();
+
+    expect(client.status).toBe('ready');
+    expect(client.getSnapshot()).toMatchObject({ file: original, processingError: 'decode failed' });
+  });
+
+  test('uploads the original when the processed image breaks the policy', async () => {
+    const original = new File(['jpeg bytes'], 'photo.jpg', { type: 'image/jpeg' });
+    const client = new UploadClient(original, {
+      transport: makeTransport(),
+      policy: normalizePolicy({ sniffContent: false, allowedExtensions: ['jpg'] }),
+      imageOptions: { enabled: true, format: 'webp' },
+      processFile: jest.fn().mockResolvedValue({ file: new File(['small'], 'photo.webp', { type: 'image/webp' }), info: {} }),
+    });
+
+    await client.validate();
+
+    expect(client.status).toBe('ready');
+    expect(client.getSnapshot()).toMatchObject({ file: original, processed: null, processingError: expect.stringContaining('webp') });
+  });
+
+  test('sends the metadata that was current when the upload started', async () => {
+    const transport = makeTransport();
+    const client = createClient(transport, makeFile(), { metadata: { 'case-id': 'ABC-1' } });
+
+    await client.validate();
+    await client.start();
+    client.setMetadata({ 'case-id': 'XYZ-9' });
+
+    expect(transport.getUploadConfig).toHaveBeenCalledWith('report.txt', { checksum: 'yv4=', metadata: { 'case-id': 'ABC-1' } }, expect.anything());
+    expect(client.getSnapshot().metadata).toEqual({ 'case-id': 'ABC-1' });
+    client.dispose();
+  });
+
+  test('encrypts the file first and sends the ciphertext with what it takes to decrypt it', async () => {
+    const encryptionKey = await crypto.subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['wrapKey', 'unwrapKey'],
+    );
+    const transport = makeTransport();
+    const hashFile = jest.fn(fakeHash);
+    const client = createClient(transport, makeFile(), {
+      hashFile,
+      metadata: { 'case-id': 'ABC-1' },
+      encryption: { publicKey: encryptionKey.publicKey, keyId: 'case-files-2026' },
+    });
+    const states = recordStates(client);
+
+    await client.validate();
+    await client.start();
+    await waitForStatus(client, 'clean');
+
+    expect(states).toEqual(['validating', 'ready', 'encrypting', 'hashing', 'presigning', 'uploading', 'scanning', 'clean']);
+    const sent = transport.uploadFile.mock.calls[0][0];
+    expect(sent).toMatchObject({ name: 'report.txt', size: 11 + 16, type: 'application/octet-stream' });
+    expect(hashFile.mock.calls[0][0]).toBe(sent);
+    expect(transport.getUploadConfig.mock.calls[0][1].metadata).toMatchObject({
+      'case-id': 'ABC-1',
+      encryption: 'aes-256-gcm-chunked-v1',
+      'encryption-key-id': 'case-files-2026',
+      'plaintext-size': '11',
+    });
+    // The row still shows the file as picked
+    expect(client.getSnapshot()).toMatchObject({ file: { type: 'text/plain', size: 11 }, encrypted: true });
+    client.dispose();
+  });
+
+  test('presigns a file from a folder under its relative path', async () => {
+    const transport = makeTransport();
+    const client = createClient(transport, makeFile(), { relativePath: 'project/docs/report.txt' });
+
+    await client.validate();
+    await client.start();
+
+    expect(client.getSnapshot()).toMatchObject({ path: 'project/docs/report.txt', directory: 'project/docs' });
+    expect(transport.getUploadConfig).toHaveBeenCalledWith('project/docs/report.txt', expect.anything(), expect.anything());
+    client.dispose();
+  });
+
+  test('rejects folder names the policy does not allow', async () => {
+    const client = createClient(makeTransport(), makeFile(), { relativePath: 'project/a:b/report.txt' });
+
+    await client.validate();
+
+    expect(client.status).toBe('invalid');
+    expect(client.getSnapshot().errors.map(error => error.code)).toEqual(['path-invalid']);
+  });
+
+  test('refuses transitions the lifecycle does not allow', () => {
+    const client = createClient(makeTransport());
+    expect(() => client.transition('clean')).toThrow('Invalid upload state transition: idle -> clean');
+  });
+});
+
+describe('UploadQueue', () => {
+  test('never runs more uploads than its concurrency', async () => {
+    const finishUploads = [];
+    const transport = makeTransport({
+      uploadFile: jest.fn(() => new Promise(resolve => finishUploads.push(resolve))),
+    });
+    const queue = new UploadQueue({ transport, concurrency: 1, policy: normalizePolicy(), trackerOptions: fastTracking, hashFile: fakeHash });
+    const statuses = () => queue.getItems().map(item => item.status);
+
+    queue.add([makeFile('a.txt'), makeFile('b.txt')]);
+    await waitForItems(queue, items => items.every(item => item.status === 'ready'));
+
+    queue.uploadAll();
+    await waitForItems(queue, items => items[0].status === 'uploading');
+    expect(statuses()).toEqual(['uploading', 'queued']);
+    expect(transport.uploadFile).toHaveBeenCalledTimes(1);
+
+    finishUploads[0]();
+    await waitForItems(queue, items => items[1].status === 'uploading');
+    expect(transport.uploadFile).toHaveBeenCalledTimes(2);
+    queue.dispose();
+  });
+
+  test('retries a failed upload in a free slot', async () => {
+    const transport = makeTransport({
+      getUploadConfig: jest.fn()
+        .mockRejectedValueOnce(new Error('HTTP error! status: 500'))
+        .mockResolvedValue({ url: 'https://s3.example/put', fileId: 'file-1', bucket: 'uploads' }),
+    });
+    const queue = new UploadQueue({ transport, policy: normalizePolicy(), trackerOptions: fastTracking, hashFile: fakeHash });
+    queue.add([makeFile('a.txt')]);
+    await waitForItems(queue, items => items[0].status === 'ready');
+
+    queue.uploadAll();
+    const [failed] = await waitForItems(queue, items => items[0].status === 'error');
+    queue.retry(failed.id);
+
+    await waitForItems(queue, items => items[0].status === 'clean');
+    expect(transport.getUploadConfig).toHaveBeenCalledTimes(2);
+    queue.dispose();
+  });
+
+  test('a cancelled file gives up its place in line, and removed files are forgotten', async () => {
+    // PUTs that only end when aborted
+    const transport = makeTransport({
+      uploadFile: jest.fn((file, url, onProgress, checksum, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Upload aborted', 'AbortError')));
+      })),
+    });
+    const queue = new UploadQueue({ transport, concurrency: 1, policy: normalizePolicy(), trackerOptions: fastTracking, hashFile: fakeHash });
+    queue.add([makeFile('a.txt'), makeFile('b.txt'), makeFile('c.txt')]);
+    await waitForItems(queue, items => items.every(item => item.status === 'ready'));
+
+    queue.uploadAll();
+    const [first, second, third] = await waitForItems(queue, items => items[0].status === 'uploading');
+    queue.cancel(second.id);
+    queue.remove(first.id);
+
+    const items = await waitForItems(queue, current => current.length === 2 && current[1].status === 'uploading');
+    expect(items.map(item => [item.id, item.status])).toEqual([[second.id, 'cancelled'], [third.id, 'uploading']]);
+
+    queue.reset();
+    expect(queue.getItems()).toEqual([]);
+  });
+
+  test('refuses files beyond the policy limit', () => {
+    const queue = new UploadQueue({ transport: makeTransport(), policy: normalizePolicy({ maxFiles: 2 }) });
+    expect(queue.add([makeFile('a.txt'), makeFile('b.txt'), makeFile('c.txt')])).toEqual({ added: 2, rejected: 1 });
+    queue.dispose();
+  });
+});
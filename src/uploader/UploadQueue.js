@@ -0,0 +1,157 @@
+import { createEmitter } from './emitter';
+import { UploadClient } from './UploadClient';
+import { DEFAULT_POLICY } from './validationPolicy';
+
+export const UPLOAD_CONCURRENCY = Number(process.env.REACT_APP_UPLOAD_CONCURRENCY) || 3;
+
+/**
+ * A list of UploadClients sharing a fixed number of upload slots.
+ * Scan tracking doesn't hold a slot: the next file starts as soon as a PUT finishes.
+ *
+ * Events: 'change' (array of client snapshots), plus every client's 'statechange',
+ *         'uploaded' and 'verdict' events re-emitted with the same payload.
+ */
+export class UploadQueue {
+  constructor({ transport, concurrency = UPLOAD_CONCURRENCY, policy = DEFAULT_POLICY, ...clientOptions } = {}) {
+    this.transport = transport;
+    this.concurrency = concurrency;
+    this.policy = policy;
+    this.clientOptions = clientOptions;
+    this.emitter = createEmitter();
+    this.clients = [];
+    this.pending = [];
+    this.active = 0;
+    this.items = [];
+  }
+
+  on(event, listener) {
+    return this.emitter.on(event, listener);
+  }
+
+  getItems() {
+    return this.items;
+  }
+
+  get(id) {
+    return this.clients.find(client => client.id === id);
+  }
+
+  emitChange() {
+    this.items = this.clients.map(client => client.getSnapshot());
+    this.emitter.emit('change', this.items);
+  }
+
+  setPolicy(policy) {
+    this.policy = policy;
+  }
+
+  // For uploads started from now on, including retries of earlier files
+  setMetadata(metadata) {
+    this.clientOptions = { ...this.clientOptions, metadata };
+    this.clients.forEach(client => client.setMetadata(metadata));
+  }
+
+  // Applies to files added later and to the ones that haven't been sent yet (see UploadClient)
+  setEncryption(encryption) {
+    this.clientOptions = { ...this.clientOptions, encryption };
+    this.clients.forEach(client => client.setEncryption(encryption));
+  }
+
+  // Applies to files added later, and re-processes the ones that haven't been uploaded yet
+  setImageOptions(imageOptions) {
+    this.clientOptions = { ...this.clientOptions, imageOptions };
+    this.clients.forEach(client => client.setImageOptions(imageOptions));
+  }
+
+  // Adds files up to policy.maxFiles and validates them. Returns how many didn't fit.
+  // Takes Files or { file, path } entries for files picked from a folder (see folderEntries.js).
+  add(files) {
+    const room = Math.max(0, this.policy.maxFiles - this.clients.length);
+    const accepted = Array.from(files).slice(0, room);
+
+    const clients = accepted.map((entry) => {
+      const { file, path } = entry instanceof Blob ? { file: entry } : entry;
+      const client = new UploadClient(file, { transport: this.transport, policy: this.policy, ...this.clientOptions, relativePath: path });
+      client.on('change', () => this.emitChange());
+      ['statechange', 'uploaded', 'verdict'].forEach(event => client.on(event, payload => this.emitter.emit(event, payload)));
+      return client;
+    });
+    this.clients.push(...clients);
+    clients.forEach(client => client.validate());
+    this.emitChange();
+
+    return { added: clients.length, rejected: files.length - clients.length };
+  }
+
+  schedule(clients) {
+    clients.forEach(client => client.queue());
+    this.pending.push(...clients);
+    this.pump();
+  }
+
+  // Start as many queued clients as there are free slots
+  pump() {
+    while (this.active < this.concurrency && this.pending.length) {
+      const client = this.pending.shift();
+      this.active++;
+      client.start().finally(() => {
+        this.active--;
+        this.pump();
+      });
+    }
+  }
+
+  uploadAll() {
+    this.schedule(this.clients.filter(client => client.status === 'ready'));
+  }
+
+  retry(id) {
+    const client = this.get(id);
+    if (client?.canTransition('queued')) this.schedule([client]);
+  }
+
+  // Pausing frees the upload slot; resuming waits for one like any other queued file
+  pause(id) {
+    const client = this.get(id);
+    if (client?.canTransition('paused')) client.pause();
+  }
+
+  resume(id) {
+    const client = this.get(id);
+    if (client?.status === 'paused') this.schedule([client]);
+  }
+
+  keepChecking(id) {
+    this.get(id)?.keepChecking();
+  }
+
+  cancel(id) {
+    const client = this.get(id);
+    if (!client?.canTransition('cancelled')) return;
+    this.pending = this.pending.filter(pending => pending !== client);
+    client.cancel();
+  }
+
+  remove(id) {
+    const client = this.get(id);
+    if (!client) return;
+    client.dispose();
+    this.pending = this.pending.filter(pending => pending !== client);
+    this.clients = this.clients.filter(other => other !== client);
+    this.emitChange();
+  }
+
+  // Cancel everything still in progress and forget every file
+  reset() {
+    this.pending = [];
+    this.clients.filter(client => client.canTransition('cancelled')).forEach(client => client.cancel());
+    this.dispose();
+    this.clients = [];
+    this.emitChange();
+  }
+
+  dispose() {
+    this.clients.forEach(client => client.dispose());
+    this.pending = [];
+  }
+}
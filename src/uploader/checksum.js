@@ -0,0 +1,57 @@
+// SHA-256 checksums for S3's x-amz-checksum-sha256 integrity check.
+// Hashing runs in public/sha256.worker.js, which streams the file in chunks so neither the
+// UI nor memory suffers on large files.
+// Loaded into another page (public/embed.js), the worker is next to embed.js rather than the page
+const workerUrl = () => (window.s3UploaderBaseUrl
+  ? new URL('sha256.worker.js', window.s3UploaderBaseUrl).href
+  : `${process.env.PUBLIC_URL || ''}/sha256.worker.js`);
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+// Without workers, fall back to SubtleCrypto on the whole file at once
+const digestOnMainThread = async (blob) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) throw new Error('SHA-256 is not available in this browser');
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  return { hex: toHex(digest), base64: toBase64(digest) };
+};
+
+/**
+ * Hashes `blob` and resolves with { hex, base64 }. S3 wants the base64 form in
+ * x-amz-checksum-sha256; the hex form is what people compare with `sha256sum`.
+ * Aborting `signal` stops the worker and rejects with an AbortError.
+ */
+export const computeSha256 = (blob, { onProgress, signal } = {}) => {
+  if (typeof Worker === 'undefined') return digestOnMainThread(blob);
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Hashing aborted', 'AbortError'));
+    let worker;
+    try {
+      worker = new Worker(workerUrl());
+    } catch {
+      // Browsers refuse workers from another origin, as for <s3-uploader> on a host page
+      return digestOnMainThread(blob).then(resolve, reject);
+    }
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Hashing aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') return onProgress?.(data.loaded, data.total);
+      finish();
+      if (data.type === 'done') resolve({ hex: data.hex, base64: data.base64 });
+      else reject(new Error(`Could not compute checksum: ${data.message}`));
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(`Could not compute checksum: ${event.message || 'worker failed to load'}`));
+    };
+    worker.postMessage({ blob });
+  });
+};
@@ -0,0 +1,17 @@
+// Tiny event emitter, so the engine doesn't depend on DOM EventTarget or Node's events module
+export const createEmitter = () => {
+  const listeners = new Map();
+  return {
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => listeners.get(event)?.delete(listener);
+    },
+    emit(event, payload) {
+      listeners.get(event)?.forEach(listener => listener(payload));
+    },
+    clear() {
+      listeners.clear();
+    },
+  };
+};
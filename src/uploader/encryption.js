@@ -0,0 +1,99 @@
+// Optional client-side encryption: the file is encrypted in the browser before it's hashed and
+// uploaded, so S3 (and whoever can read the bucket) only ever sees ciphertext. Only holders of
+// the private key can restore it, with scripts/decrypt-upload.js.
+//
+// Each file gets its own random AES-256-GCM key, wrapped with the RSA-OAEP (SHA-256) public key
+// from the config or the API. The file is read and encrypted one chunk at a time, and the
+// ciphertext collects in Blobs (which browsers move to disk when large), so big files never
+// sit in memory as a whole:
+//
+//   chunk i    AES-GCM(plaintext[i * chunkSize ...], iv = nonce (8 bytes) || i (uint32 BE),
+//                      additional data = i (uint32 BE) || 1 if it's the last chunk else 0)
+//              = ciphertext || 16-byte tag
+//
+// The chunk number and last-chunk flag in the additional data catch reordered, dropped or
+// truncated chunks. How to decrypt travels as S3 user metadata (base64url, header safe):
+//
+//   encryption             aes-256-gcm-chunked-v1
+//   encryption-key         the wrapped file key
+//   encryption-key-id      which public key wrapped it, for key rotation
+//   encryption-nonce       the 8-byte IV prefix
+//   encryption-chunk-size  plaintext bytes per chunk
+//   plaintext-size, plaintext-type
+//
+// The malware scan only sees ciphertext, so its verdict says nothing about what's inside.
+
+export const ENCRYPTION_SCHEME = 'aes-256-gcm-chunked-v1';
+export const ENCRYPTION_CHUNK_SIZE = 1024 * 1024;
+const TAG_BYTES = 16;
+const NONCE_BYTES = 8;
+
+// Room the metadata above takes of the 2 KB S3 allows per object, with up to a 4096-bit key
+export const ENCRYPTION_METADATA_BYTES = 1024;
+
+const toBase64Url = bytes => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const chunkParams = (index, isLast) => {
+  const params = new Uint8Array(5);
+  new DataView(params.buffer).setUint32(0, index);
+  params[4] = isLast ? 1 : 0;
+  return params;
+};
+
+const chunkIv = (nonce, index) => {
+  const iv = new Uint8Array(12);
+  iv.set(nonce);
+  new DataView(iv.buffer).setUint32(NONCE_BYTES, index);
+  return iv;
+};
+
+const abortError = () => new DOMException('Encryption aborted', 'AbortError');
+
+/**
+ * Imports an RSA public key given as PEM ("-----BEGIN PUBLIC KEY-----...") or bare base64 SPKI.
+ */
+export const importPublicKey = (pem) => {
+  const base64 = pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, '');
+  return crypto.subtle.importKey('spki', fromBase64(base64), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']);
+};
+
+/**
+ * Encrypts `file` for the holder of `publicKey` (a CryptoKey from importPublicKey).
+ * Resolves with { file, metadata }: the ciphertext as a File named like the original, and the
+ * S3 metadata needed to decrypt it. Aborting `signal` rejects with an AbortError.
+ */
+export const encryptFile = async (file, {
+  publicKey, keyId = '', chunkSize = ENCRYPTION_CHUNK_SIZE, onProgress, signal,
+}) => {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+  const chunkCount = Math.max(1, Math.ceil(file.size / chunkSize));
+  const chunks = [];
+  for (let index = 0; index < chunkCount; index++) {
+    if (signal?.aborted) throw abortError();
+    const plaintext = await file.slice(index * chunkSize, (index + 1) * chunkSize).arrayBuffer();
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkIv(nonce, index), additionalData: chunkParams(index, index === chunkCount - 1), tagLength: TAG_BYTES * 8 },
+      key,
+      plaintext,
+    );
+    chunks.push(new Blob([ciphertext]));
+    onProgress?.(Math.min((index + 1) * chunkSize, file.size), file.size);
+  }
+  const wrappedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', key, publicKey, { name: 'RSA-OAEP' }));
+
+  return {
+    // A fresh timestamp, so a saved multipart upload of other ciphertext is never resumed with this one
+    file: new File(chunks, file.name, { type: 'application/octet-stream', lastModified: Date.now() }),
+    metadata: {
+      encryption: ENCRYPTION_SCHEME,
+      'encryption-key': toBase64Url(wrappedKey),
+      ...(keyId && { 'encryption-key-id': encodeURIComponent(keyId) }),
+      'encryption-nonce': toBase64Url(nonce),
+      'encryption-chunk-size': String(chunkSize),
+      'plaintext-size': String(file.size),
+      'plaintext-type': encodeURIComponent(file.type || 'application/octet-stream'),
+    },
+  };
+};
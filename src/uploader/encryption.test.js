@@ -0,0 +1,69 @@
+import { generateKeyPairSync } from 'crypto';
+import { ENCRYPTION_SCHEME, encryptFile, importPublicKey } from './encryption';
+
+const { readMetadata, unwrapKey, decryptChunks } = require('../../scripts/decrypt-upload');
+
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+// Decrypts like `npm run decrypt` does, from memory instead of files
+const decrypt = (bytes, metadata) => {
+  const parts = [];
+  decryptChunks(metadata, unwrapKey(metadata, privateKey), bytes.length, (offset, length) => bytes.subarray(offset, offset + length), part => parts.push(part));
+  return Buffer.concat(parts).toString();
+};
+
+const encrypt = async (content, options = {}) => {
+  const { file, metadata } = await encryptFile(new File([content], 'case.txt', { type: 'text/plain' }), {
+    publicKey: await importPublicKey(publicPem),
+    ...options,
+  });
+  return { file, metadata, bytes: Buffer.from(await file.arrayBuffer()) };
+};
+
+test('encrypts in chunks that the decrypt script restores', async () => {
+  const onProgress = jest.fn();
+  const { file, metadata, bytes } = await encrypt('confidential case notes', { keyId: 'case-files-2026', chunkSize: 8, onProgress });
+
+  expect(file).toMatchObject({ name: 'case.txt', type: 'application/octet-stream' });
+  // Three 8-byte chunks, each with its 16-byte tag
+  expect(bytes).toHaveLength(23 + 3 * 16);
+  expect(bytes.toString()).not.toContain('confidential');
+  expect(onProgress).toHaveBeenLastCalledWith(23, 23);
+  expect(metadata).toMatchObject({
+    encryption: ENCRYPTION_SCHEME,
+    'encryption-key-id': 'case-files-2026',
+    'encryption-chunk-size': '8',
+    'plaintext-size': '23',
+    'plaintext-type': 'text%2Fplain',
+  });
+
+  expect(decrypt(bytes, metadata)).toBe('confidential case notes');
+});
+
+test('restores empty files', async () => {
+  const { metadata, bytes } = await encrypt('');
+  expect(decrypt(bytes, metadata)).toBe('');
+});
+
+test('refuses altered and truncated files', async () => {
+  const { metadata, bytes } = await encrypt('confidential case notes', { chunkSize: 8 });
+
+  const altered = Buffer.from(bytes);
+  altered[30] ^= 1;
+  expect(() => decrypt(altered, metadata)).toThrow('Chunk 1 does not authenticate');
+  // Whole chunks dropped from the end still show, the new last chunk wasn't encrypted as the last one
+  expect(() => decrypt(bytes.subarray(0, 48), metadata)).toThrow('Chunk 1 does not authenticate');
+});
+
+test('reads head-object output and prefixed metadata for the decrypt script', () => {
+  const metadata = { encryption: ENCRYPTION_SCHEME, 'encryption-nonce': 'AAAAAAAAAAA' };
+  expect(readMetadata(JSON.stringify({ ContentLength: 10, Metadata: metadata }))).toEqual(metadata);
+  expect(readMetadata(JSON.stringify({ 'X-Amz-Meta-Encryption': ENCRYPTION_SCHEME }))).toEqual({ encryption: ENCRYPTION_SCHEME });
+});
+
+test('stops when aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await expect(encrypt('confidential', { signal: controller.signal })).rejects.toThrow('Encryption aborted');
+});
@@ -0,0 +1,63 @@
+// Turns what the user dropped or picked into [{ file, path }] for UploadQueue.add, walking
+// dropped folders. `path` is relative to what was picked ("project/src/index.js"), so the
+// presigned S3 key can mirror the folder structure; loose files just have their name.
+
+// OS clutter nobody means to upload
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+const isIgnored = (name) => IGNORED_FILES.includes(name);
+
+const readFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries hands out a directory in batches (100 at a time in Chrome); an empty batch means done
+const readAllEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) return entries;
+    entries.push(...batch);
+  }
+};
+
+const walkEntry = async (entry, results) => {
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry);
+    for (const child of children) await walkEntry(child, results);
+    return;
+  }
+  if (!entry.isFile || isIgnored(entry.name)) return;
+  try {
+    results.push({ file: await readFile(entry), path: entry.fullPath.replace(/^\//, '') });
+  } catch (error) {
+    // Unreadable files (permissions, deleted since the drop) are skipped rather than failing the whole folder
+    console.warn('Skipping unreadable file', entry.fullPath, error);
+  }
+};
+
+/**
+ * Files from a drop, including everything inside dropped folders.
+ * Call it from the drop handler itself: the browser empties the DataTransfer once the handler returns.
+ */
+export const filesFromDataTransfer = (dataTransfer) => {
+  const files = Array.from(dataTransfer.files);
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+
+  // No entry API (or a drop it can't describe): plain files only, as before
+  if (!entries.length || entries.some(entry => !entry)) {
+    return Promise.resolve(files.map(file => ({ file, path: file.name })));
+  }
+
+  return (async () => {
+    const results = [];
+    for (const entry of entries) await walkEntry(entry, results);
+    return results;
+  })();
+};
+
+// Files from an <input type="file">; with `webkitdirectory` each one carries its path in webkitRelativePath
+export const filesFromInput = (fileList) => Array.from(fileList)
+  .filter(file => !isIgnored(file.name))
+  .map(file => ({ file, path: file.webkitRelativePath || file.name }));
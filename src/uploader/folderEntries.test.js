@@ -0,0 +1,58 @@
+import { filesFromDataTransfer, filesFromInput } from './folderEntries';
+
+// Minimal FileSystemEntry fakes, shaped like what webkitGetAsEntry() returns
+const fileEntry = (fullPath) => {
+  const name = fullPath.split('/').pop();
+  return { isFile: true, isDirectory: false, name, fullPath, file: (resolve) => resolve(new File(['x'], name)) };
+};
+
+// Hands out children two at a time, like the browser's batched readEntries
+const directoryEntry = (fullPath, children) => ({
+  isFile: false,
+  isDirectory: true,
+  name: fullPath.split('/').pop(),
+  fullPath,
+  createReader: () => {
+    let offset = 0;
+    return {
+      readEntries: (resolve) => {
+        resolve(children.slice(offset, offset + 2));
+        offset += 2;
+      },
+    };
+  },
+});
+
+const dataTransfer = (entries, files = []) => ({
+  files,
+  items: entries.map(entry => ({ kind: 'file', webkitGetAsEntry: () => entry })),
+});
+
+describe('filesFromDataTransfer', () => {
+  test('walks dropped folders and keeps each file\'s relative path', async () => {
+    const project = directoryEntry('/project', [
+      fileEntry('/project/README.md'),
+      fileEntry('/project/.DS_Store'),
+      directoryEntry('/project/src', [fileEntry('/project/src/a.js'), fileEntry('/project/src/b.js'), fileEntry('/project/src/c.js')]),
+    ]);
+
+    const files = await filesFromDataTransfer(dataTransfer([project, fileEntry('/notes.txt')]));
+
+    expect(files.map(({ path }) => path)).toEqual([
+      'project/README.md', 'project/src/a.js', 'project/src/b.js', 'project/src/c.js', 'notes.txt',
+    ]);
+    expect(files[1].file.name).toBe('a.js');
+  });
+
+  test('falls back to the plain file list without the entry API', async () => {
+    const file = new File(['x'], 'photo.jpg');
+    const files = await filesFromDataTransfer({ files: [file], items: [{ kind: 'file' }] });
+    expect(files).toEqual([{ file, path: 'photo.jpg' }]);
+  });
+});
+
+test('filesFromInput takes the path from webkitRelativePath', () => {
+  const file = new File(['x'], 'a.js');
+  Object.defineProperty(file, 'webkitRelativePath', { value: 'project/src/a.js' });
+  expect(filesFromInput([file, new File(['x'], 'Thumbs.db')])).toEqual([{ file, path: 'project/src/a.js' }]);
+});
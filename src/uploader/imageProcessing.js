@@ -0,0 +1,76 @@
+// Optional pre-upload pipeline for photos: downscale, re-encode and drop all metadata.
+// Re-encoding through a canvas is what strips EXIF (GPS, camera serials, ...); the browser
+// applies the EXIF orientation while decoding, so the pixels come out the right way up.
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  enabled: process.env.REACT_APP_IMAGE_PROCESSING === 'true',
+  // Longest side in pixels; Infinity keeps the original size
+  maxDimension: Number(process.env.REACT_APP_IMAGE_MAX_DIMENSION) || 2048,
+  quality: Number(process.env.REACT_APP_IMAGE_QUALITY) || 0.85,
+  // 'original' keeps the file's own type
+  format: process.env.REACT_APP_IMAGE_FORMAT || 'original',
+};
+
+export const IMAGE_FORMATS = {
+  original: null,
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// GIFs would lose their animation, and SVG/HEIC can't be decoded everywhere
+export const isProcessableImage = (file) => Object.keys(EXTENSIONS).includes(file.type);
+
+const renameForType = (name, type) => {
+  const extension = EXTENSIONS[type] || type.split('/')[1];
+  const base = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+  return `${base}.${extension}`;
+};
+
+const toBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image'))), type, quality);
+});
+
+/**
+ * Resizes and re-encodes `file`. Resolves with { file, info }, where `info` has the original
+ * and processed size and dimensions for the UI.
+ */
+export const processImage = async (file, { maxDimension, quality, format } = DEFAULT_IMAGE_OPTIONS) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const type = IMAGE_FORMATS[format] || file.type;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no alpha channel; transparent areas would otherwise turn black
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  const originalWidth = bitmap.width, originalHeight = bitmap.height;
+  bitmap.close();
+
+  // Browsers that can't encode the requested type (e.g. WebP in older Safari) hand back PNG
+  const blob = await toBlob(canvas, type, quality);
+  const processed = new File([blob], renameForType(file.name, blob.type), { type: blob.type, lastModified: file.lastModified });
+
+  return {
+    file: processed,
+    info: {
+      originalSize: file.size,
+      size: processed.size,
+      originalWidth,
+      originalHeight,
+      width,
+      height,
+      type: blob.type,
+    },
+  };
+};
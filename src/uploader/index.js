@@ -0,0 +1,15 @@
+// Upload engine: framework-agnostic core plus a React hook on top.
+export { UploadClient, STATES, isVerdict } from './UploadClient';
+export { UploadQueue, UPLOAD_CONCURRENCY } from './UploadQueue';
+export { useFileUpload } from './useFileUpload';
+export { normalizeScanStatus, normalizeScanResult, verdictState } from './scanResult';
+export { createStatusTracker, DEFAULT_TRACKER_OPTIONS } from './statusTracker';
+export { computeSha256 } from './checksum';
+export { DEFAULT_IMAGE_OPTIONS, IMAGE_FORMATS, isProcessableImage, processImage } from './imageProcessing';
+export { ENCRYPTION_SCHEME, ENCRYPTION_METADATA_BYTES, importPublicKey, encryptFile } from './encryption';
+export { filesFromDataTransfer, filesFromInput } from './folderEntries';
+export { DEFAULT_POLICY, normalizePolicy, validateFile, validateDirectory, acceptAttribute } from './validationPolicy';
+export {
+  MULTIPART_THRESHOLD, MULTIPART_PART_SIZE, MULTIPART_CONCURRENCY,
+  uploadMultipart, fileFingerprint, listUnfinishedUploads, discardUnfinishedUpload,
+} from './multipartUpload';
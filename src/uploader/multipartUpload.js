@@ -0,0 +1,184 @@
+import { STORES, idbGet, idbGetAll, idbPut, idbDelete } from '../idb';
+import { codedError } from './uploadErrors';
+
+const MB = 1024 * 1024;
+
+// Files at or above this size go through S3 multipart upload instead of a single PUT
+export const MULTIPART_THRESHOLD = (Number(process.env.REACT_APP_MULTIPART_THRESHOLD_MB) || 50) * MB;
+export const MULTIPART_PART_SIZE = (Number(process.env.REACT_APP_MULTIPART_PART_SIZE_MB) || 10) * MB;
+export const MULTIPART_CONCURRENCY = Number(process.env.REACT_APP_MULTIPART_CONCURRENCY) || 4;
+const MAX_PART_RETRIES = 3;
+
+// S3 limits: parts must be at least 5 MB (except the last) and there can be at most 10,000 of them
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PARTS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const choosePartSize = (size, preferred) => Math.max(preferred, MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+
+// Identifies "the same file" across page reloads, when the user picks it again.
+// `name` is the presigned name, so a file picked from a folder includes its relative path.
+export const fileFingerprint = (file, name = file.name) => `${name}:${file.size}:${file.lastModified}`;
+
+// Persistence is best-effort: without IndexedDB the upload still works, it just can't resume
+const savedStates = {
+  load: fingerprint => idbGet(STORES.multipartUploads, fingerprint).catch(() => undefined),
+  save: state => idbPut(STORES.multipartUploads, state).catch(err => console.error('Could not save multipart state:', err)),
+  clear: fingerprint => idbDelete(STORES.multipartUploads, fingerprint).catch(() => {}),
+};
+
+// Uploads that can't be picked up again after a reload (encrypted ones: the ciphertext and
+// its key are gone with the page) only resume within the page, and never show up as unfinished
+const pageStates = new Map();
+const unsavedStates = {
+  load: async fingerprint => pageStates.get(fingerprint),
+  save: async (state) => { pageStates.set(state.fingerprint, state); },
+  clear: async (fingerprint) => { pageStates.delete(fingerprint); },
+};
+
+const stateStore = persist => (persist ? savedStates : unsavedStates);
+
+export const listUnfinishedUploads = () => idbGetAll(STORES.multipartUploads).catch(() => []);
+
+const discard = async (store, api, state) => {
+  await store.clear(state.fingerprint);
+  try {
+    await api.abortMultipart(state.key, state.uploadId);
+  } catch (error) {
+    console.error('Abort multipart error:', error);
+  }
+};
+
+export const discardUnfinishedUpload = (api, state) => discard(savedStates, api, state);
+
+// Throws away whatever was saved for `file`, e.g. when the user cancels a paused upload.
+// `persist` as given to uploadMultipart.
+export const discardSavedUpload = async (file, api, name = file.name, { persist = true } = {}) => {
+  const store = stateStore(persist);
+  const state = await store.load(fileFingerprint(file, name));
+  if (state) await discard(store, api, state);
+};
+
+const abortError = () => new DOMException('Upload aborted', 'AbortError');
+
+// Uploads `file` in parts through `api` (initiateMultipart / presignPart / uploadPart /
+// completeMultipart). Completed parts are saved after each one finishes, so calling this
+// again with the same file - after a failure, a pause or a reload - only sends the missing parts.
+// Aborting `signal` stops the parts in flight and rejects with an AbortError; the saved
+// state is kept, so this is also how an upload is paused.
+// `details` ({ checksum, metadata }) go with the initiate call: the whole file's base64 SHA-256
+// and its S3 metadata. S3 only verifies multipart uploads part by part, so each part is hashed
+// with `hashPart(blob)` too. `name` is what the upload is initiated as (default: the file's name).
+// `partSize` is a preference (S3's limits and the backend's choice win); `concurrency` is parts in flight.
+// With `persist: false` the progress is only kept while the page is open.
+export const uploadMultipart = async (file, api, {
+  name = file.name, onProgress, onResume, signal, details = {}, hashPart, partSize: preferredPartSize = MULTIPART_PART_SIZE, concurrency = MULTIPART_CONCURRENCY,
+  persist = true,
+} = {}) => {
+  const store = stateStore(persist);
+  const fingerprint = fileFingerprint(file, name);
+  let state = await store.load(fingerprint);
+  const resumed = Boolean(state);
+
+  if (resumed) {
+    onResume?.(state);
+  } else {
+    const init = await api.initiateMultipart(name, file.type, file.size, details, signal);
+    state = {
+      fingerprint,
+      name,
+      size: file.size,
+      uploadId: init.uploadId,
+      key: init.key,
+      fileId: init.fileId,
+      bucket: init.bucket,
+      partSize: init.partSize || choosePartSize(file.size, preferredPartSize),
+      parts: [],
+      createdAt: Date.now(),
+    };
+    await store.save(state);
+  }
+
+  const { partSize } = state;
+  const partCount = Math.ceil(file.size / partSize);
+  const partBytes = (partNumber) => Math.min(partSize, file.size - (partNumber - 1) * partSize);
+
+  const done = new Map(state.parts.map(part => [part.PartNumber, part]));
+  const inFlight = new Map();
+  let doneBytes = [...done.keys()].reduce((sum, partNumber) => sum + partBytes(partNumber), 0);
+  const report = () => {
+    let sending = 0;
+    inFlight.forEach(loaded => { sending += loaded; });
+    onProgress?.(doneBytes + sending, file.size);
+  };
+
+  const uploadPart = async (partNumber) => {
+    const start = (partNumber - 1) * partSize;
+    const blob = file.slice(start, start + partSize);
+    const partChecksum = hashPart ? await hashPart(blob) : undefined;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { url } = await api.presignPart(state.key, state.uploadId, partNumber, partChecksum, signal);
+        const etag = await api.uploadPart(blob, url, (loaded) => { inFlight.set(partNumber, loaded); report(); }, partChecksum, signal);
+        return { PartNumber: partNumber, ETag: etag, ...(partChecksum && { ChecksumSHA256: partChecksum }) };
+      } catch (error) {
+        inFlight.delete(partNumber);
+        report();
+        if (signal?.aborted || attempt >= MAX_PART_RETRIES) throw error;
+        console.warn(`Part ${partNumber} failed (attempt ${attempt + 1}), retrying:`, error.message);
+        await sleep(error.retryAfter ?? 1000 * 2 ** attempt);
+        if (signal?.aborted) throw abortError();
+      }
+    }
+  };
+
+  const remaining = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!done.has(partNumber)) remaining.push(partNumber);
+  }
+  report();
+
+  // The first failed part (after its retries) stops the other workers picking up new parts
+  let failure = null;
+  const worker = async () => {
+    while (!failure && !signal?.aborted && remaining.length) {
+      const partNumber = remaining.shift();
+      try {
+        const part = await uploadPart(partNumber);
+        inFlight.delete(partNumber);
+        done.set(partNumber, part);
+        doneBytes += partBytes(partNumber);
+        state.parts = [...done.values()];
+        await store.save(state);
+        report();
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, remaining.length) }, worker));
+
+  if (signal?.aborted) throw abortError();
+  if (failure) {
+    // S3 forgets multipart uploads that were aborted or expired by a lifecycle rule
+    if (resumed && failure.status === 404) {
+      await store.clear(fingerprint);
+      throw codedError('saved-upload-expired', 'The saved upload has expired. Retry to start it over.');
+    }
+    throw failure;
+  }
+
+  const parts = [...done.values()].sort((a, b) => a.PartNumber - b.PartNumber);
+  const result = await api.completeMultipart(state.key, state.uploadId, parts);
+  await store.clear(fingerprint);
+
+  return {
+    fileId: result?.fileId || state.fileId,
+    bucket: result?.bucket || state.bucket,
+    key: state.key,
+    uploadId: state.uploadId,
+    partCount,
+    multipart: true,
+  };
+};
@@ -0,0 +1,111 @@
+import 'fake-indexeddb/auto';
+import { httpError } from '../request';
+import { discardSavedUpload, listUnfinishedUploads, uploadMultipart } from './multipartUpload';
+
+const MB = 1024 * 1024;
+
+// Two parts of a 5 MB + 1 KB file. The first run is paused (aborted) once the first part is
+// done, so there is something to resume.
+const makeApi = () => {
+  const api = {
+    controller: new AbortController(),
+    initiateMultipart: jest.fn().mockResolvedValue({ uploadId: 'u1', key: 'k1', fileId: 'file-1', bucket: 'uploads' }),
+    presignPart: jest.fn().mockResolvedValue({ url: 'https://s3.example/part' }),
+    uploadPart: jest.fn(async (blob, url, onProgress, checksum, signal) => {
+      if (api.uploadPart.mock.calls.length === 2) {
+        api.controller.abort();
+        throw new DOMException('Upload aborted', 'AbortError');
+      }
+      return `"etag-${blob.size}"`;
+    }),
+    completeMultipart: jest.fn().mockResolvedValue({}),
+    abortMultipart: jest.fn().mockResolvedValue({}),
+  };
+  return api;
+};
+
+const options = (api, extra = {}) => ({ concurrency: 1, partSize: 5 * MB, signal: api.controller.signal, ...extra });
+const resumeOptions = (extra = {}) => ({ concurrency: 1, partSize: 5 * MB, ...extra });
+
+const makeFile = name => new File([new Uint8Array(5 * MB), new Uint8Array(1024)], name, { lastModified: 1700000000000 });
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('saves finished parts so the upload resumes after a reload', async () => {
+  const api = makeApi();
+  const file = makeFile('saved.bin');
+
+  await expect(uploadMultipart(file, api, options(api))).rejects.toThrow('Upload aborted');
+  expect((await listUnfinishedUploads()).map(state => state.name)).toEqual(['saved.bin']);
+
+  const onResume = jest.fn();
+  await uploadMultipart(makeFile('saved.bin'), api, resumeOptions({ onResume }));
+
+  expect(onResume).toHaveBeenCalledWith(expect.objectContaining({ uploadId: 'u1' }));
+  // Only the second part is sent again
+  expect(api.uploadPart.mock.calls.map(([blob]) => blob.size)).toEqual([5 * MB, 1024, 1024]);
+  expect(api.initiateMultipart).toHaveBeenCalledTimes(1);
+  expect(await listUnfinishedUploads()).toEqual([]);
+});
+
+test('without persist, resumes within the page but is never listed as unfinished', async () => {
+  const api = makeApi();
+  const file = makeFile('encrypted.bin');
+
+  await expect(uploadMultipart(file, api, options(api, { persist: false }))).rejects.toThrow('Upload aborted');
+  expect(await listUnfinishedUploads()).toEqual([]);
+
+  await uploadMultipart(file, api, resumeOptions({ persist: false }));
+  expect(api.initiateMultipart).toHaveBeenCalledTimes(1);
+  expect(api.completeMultipart).toHaveBeenCalledTimes(1);
+});
+
+test('discarding an unsaved upload aborts it on S3', async () => {
+  const api = makeApi();
+  const file = makeFile('discarded.bin');
+  await expect(uploadMultipart(file, api, options(api, { persist: false }))).rejects.toThrow('Upload aborted');
+
+  await discardSavedUpload(file, api, file.name, { persist: false });
+
+  expect(api.abortMultipart).toHaveBeenCalledWith('k1', 'u1');
+  // Nothing left to resume: the next run starts over
+  await uploadMultipart(file, api, resumeOptions({ persist: false }));
+  expect(api.initiateMultipart).toHaveBeenCalledTimes(2);
+});
+
+test('retries a failed part and reports progress up to the whole file', async () => {
+  const api = makeApi();
+  // retryAfter: 0 skips the backoff
+  api.uploadPart.mockRejectedValueOnce(Object.assign(new Error('HTTP error! status: 503'), { retryAfter: 0 }))
+    .mockImplementation(async blob => `"etag-${blob.size}"`);
+  const onProgress = jest.fn();
+  const file = makeFile('retried.bin');
+
+  const result = await uploadMultipart(file, api, resumeOptions({ onProgress }));
+
+  expect(api.uploadPart).toHaveBeenCalledTimes(3);
+  expect(api.completeMultipart).toHaveBeenCalledWith('k1', 'u1', [
+    { PartNumber: 1, ETag: `"etag-${5 * MB}"` },
+    { PartNumber: 2, ETag: '"etag-1024"' },
+  ]);
+  expect(onProgress).toHaveBeenLastCalledWith(file.size, file.size);
+  expect(result).toMatchObject({ fileId: 'file-1', key: 'k1', uploadId: 'u1' });
+  expect(await listUnfinishedUploads()).toEqual([]);
+});
+
+test('starts over when S3 no longer knows the saved upload', async () => {
+  const api = makeApi();
+  const file = makeFile('expired.bin');
+  await expect(uploadMultipart(file, api, options(api))).rejects.toThrow('Upload aborted');
+
+  api.presignPart.mockRejectedValue(Object.assign(httpError(404), { retryAfter: 0 }));
+  await expect(uploadMultipart(file, api, resumeOptions())).rejects.toMatchObject({ code: 'saved-upload-expired' });
+
+  expect(await listUnfinishedUploads()).toEqual([]);
+});
@@ -0,0 +1,22 @@
+// Turns raw (loaded, total) progress events into percent, throughput and ETA.
+// Throughput is averaged over a short sliding window so the ETA doesn't jump around.
+export const createProgressTracker = (windowMs = 3000) => {
+  const samples = [];
+  return (loaded, total) => {
+    const now = performance.now();
+    // A retried request starts counting from zero again
+    if (samples.length && loaded < samples[samples.length - 1].loaded) samples.length = 0;
+    samples.push({ time: now, loaded });
+    while (samples.length > 2 && now - samples[0].time > windowMs) samples.shift();
+    const first = samples[0];
+    const elapsed = (now - first.time) / 1000;
+    const bytesPerSecond = elapsed > 0 ? (loaded - first.loaded) / elapsed : 0;
+    return {
+      loaded,
+      total,
+      percent: total ? (loaded / total) * 100 : 0,
+      bytesPerSecond,
+      eta: bytesPerSecond > 0 ? (total - loaded) / bytesPerSecond : Infinity,
+    };
+  };
+};
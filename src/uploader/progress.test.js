@@ -0,0 +1,60 @@
+import { formatEta } from '../format';
+import { createProgressTracker } from './progress';
+
+let now;
+
+beforeEach(() => {
+  now = 0;
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Calls track(loaded, total) `ms` after the previous call
+const at = (track, ms, loaded, total = 1000) => {
+  now += ms;
+  return track(loaded, total);
+};
+
+test('reports percent, throughput and the time left', () => {
+  const track = createProgressTracker();
+
+  expect(at(track, 0, 0)).toEqual({ loaded: 0, total: 1000, percent: 0, bytesPerSecond: 0, eta: Infinity });
+  expect(at(track, 1000, 250)).toEqual({ loaded: 250, total: 1000, percent: 25, bytesPerSecond: 250, eta: 3 });
+});
+
+test('averages throughput over the last few seconds only', () => {
+  const track = createProgressTracker(3000);
+  at(track, 0, 0);
+  // A slow start...
+  at(track, 2000, 100);
+  at(track, 2000, 200);
+  // ...doesn't drag down the speed once the window has moved past it
+  const progress = at(track, 2000, 1000);
+
+  expect(progress.bytesPerSecond).toBe(400);
+  expect(progress.eta).toBe(0);
+});
+
+test('starts over when a retried request counts from zero again', () => {
+  const track = createProgressTracker();
+  at(track, 0, 0);
+  at(track, 1000, 500);
+
+  expect(at(track, 1000, 0)).toMatchObject({ percent: 0, bytesPerSecond: 0, eta: Infinity });
+  expect(at(track, 1000, 100)).toMatchObject({ bytesPerSecond: 100, eta: 9 });
+});
+
+test('treats an unknown total as no progress', () => {
+  expect(createProgressTracker()(10, 0)).toMatchObject({ percent: 0 });
+});
+
+test('formats the time left without a 60 in the seconds', () => {
+  expect(formatEta(Infinity)).toBe('--');
+  expect(formatEta(12.2)).toBe('13s');
+  expect(formatEta(59.5)).toBe('1m 00s');
+  expect(formatEta(119.3)).toBe('2m 00s');
+  expect(formatEta(125)).toBe('2m 05s');
+});
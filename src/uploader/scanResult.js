@@ -0,0 +1,47 @@
+// Reading /file-upload/{fileId} responses. Only `uploadedStatus` is guaranteed; the scan
+// details are optional and the backend (or the scanner behind it) may name them differently.
+
+// Status codes are compared in one spelling: 'completed', 'In progress' and 'IN_PROGRESS' are the same code
+export const normalizeScanStatus = (status) => String(status ?? '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+
+// Final statuses and the upload state each one leads to. The last three are the other
+// GuardDuty Malware Protection results, for backends that pass them through unchanged.
+export const VERDICT_STATES = {
+  NO_THREATS_FOUND: 'clean',
+  MOVED_TO_MALWARE_BUCKET: 'infected',
+  FAILED: 'failed',
+  THREATS_FOUND: 'infected',
+  UNSUPPORTED: 'failed',
+  ACCESS_DENIED: 'failed',
+};
+
+export const verdictState = (status) => VERDICT_STATES[normalizeScanStatus(status)] || null;
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const threatNames = (data) => [
+  ...asList(data.threats ?? data.threatNames),
+  ...asList(data.findings).map(finding => finding?.name ?? finding?.threatName),
+].map(threat => (typeof threat === 'object' && threat ? threat.name : threat)).filter(Boolean).map(String);
+
+/**
+ * The scan details of a status response, whichever of the known field names carry them:
+ *   { status, threats: [name], engine, engineVersion, scannedAt, quarantine: { bucket, key } | null,
+ *     reason, raw }
+ * Missing details are null; `raw` is the response as received, for the downloadable report.
+ */
+export const normalizeScanResult = (data = {}) => {
+  const quarantine = data.quarantine || {};
+  const quarantineBucket = quarantine.bucket ?? data.quarantineBucket ?? null;
+  const quarantineKey = quarantine.key ?? data.quarantineKey ?? null;
+  return {
+    status: normalizeScanStatus(data.uploadedStatus),
+    threats: [...new Set(threatNames(data))],
+    engine: data.engine ?? data.scanner ?? data.scanEngine ?? null,
+    engineVersion: data.engineVersion ?? data.scannerVersion ?? null,
+    scannedAt: data.scannedAt ?? data.scanTime ?? data.scanCompletedAt ?? null,
+    quarantine: quarantineBucket || quarantineKey ? { bucket: quarantineBucket, key: quarantineKey } : null,
+    reason: data.reason ?? data.failureReason ?? null,
+    raw: data,
+  };
+};
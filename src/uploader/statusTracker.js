@@ -0,0 +1,130 @@
+// Polls a status endpoint until it reports a final state, with exponential backoff and jitter.
+// Transient errors are tolerated up to a limit, checks pause while the tab is hidden, and a
+// tracker that gave up (timeout or too many errors) can be resumed by the caller.
+
+const env = process.env;
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  initialDelay: Number(env.REACT_APP_POLL_INITIAL_DELAY_MS) || 2000,
+  baseInterval: Number(env.REACT_APP_POLL_INTERVAL_MS) || 3000,
+  maxInterval: Number(env.REACT_APP_POLL_MAX_INTERVAL_MS) || 30000,
+  multiplier: 1.5,
+  // Randomise each delay by ±20% so a batch of uploads doesn't poll in lockstep
+  jitter: 0.2,
+  maxConsecutiveErrors: Number(env.REACT_APP_POLL_MAX_ERRORS) || 5,
+  // Measured in time the tab was visible, so a backgrounded tab doesn't time out on its own
+  timeout: Number(env.REACT_APP_POLL_TIMEOUT_MS) || 10 * 60 * 1000,
+};
+
+// Network errors, 5xx and a few retry-friendly 4xx are worth another try; other 4xx are not.
+// A 404 usually just means the scan record hasn't been written yet.
+const isTransient = (error) => !error.status || error.status >= 500 || [404, 408, 429].includes(error.status);
+
+const withJitter = (ms, jitter) => ms * (1 + jitter * (Math.random() * 2 - 1));
+
+/**
+ * fetchStatus(signal) -> Promise<data>   throws on failure (error.status = HTTP status, if any)
+ * isDone(data)      -> boolean            true once data holds a final verdict
+ * onUpdate(data)                          every successful response
+ * onDone(data)                            final verdict, tracking stops
+ * onTimeout(timeout)                      gave up after `timeout` ms; resume() to keep checking
+ * onGiveUp(error)                         too many errors or a non-transient one; resume() to retry
+ */
+export const createStatusTracker = ({ fetchStatus, isDone, onUpdate, onDone, onTimeout, onGiveUp, ...overrides }) => {
+  const options = { ...DEFAULT_TRACKER_OPTIONS, ...overrides };
+  let timerId = null;
+  let controller = null;
+  let running = false;
+  // Bumped on every stop, so a response from a stopped run is ignored even if it wasn't aborted
+  let generation = 0;
+  let waitingForVisible = false;
+  let attempt = 0;
+  let consecutiveErrors = 0;
+  let activeTime = 0;
+
+  const hidden = () => typeof document !== 'undefined' && document.hidden;
+
+  const onVisibilityChange = () => {
+    if (running && waitingForVisible && !hidden()) {
+      waitingForVisible = false;
+      check();
+    }
+  };
+
+  const cleanup = () => {
+    running = false;
+    generation++;
+    waitingForVisible = false;
+    clearTimeout(timerId);
+    timerId = null;
+    controller?.abort();
+    controller = null;
+    if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', onVisibilityChange);
+  };
+
+  const schedule = (delay) => {
+    timerId = setTimeout(() => {
+      activeTime += delay;
+      check();
+    }, delay);
+  };
+
+  const nextDelay = () => withJitter(Math.min(options.maxInterval, options.baseInterval * options.multiplier ** attempt++), options.jitter);
+
+  const check = async () => {
+    if (!running) return;
+    if (hidden()) {
+      waitingForVisible = true;
+      return;
+    }
+
+    const current = generation;
+    controller = new AbortController();
+    try {
+      const data = await fetchStatus(controller.signal);
+      if (current !== generation) return;
+      consecutiveErrors = 0;
+      onUpdate?.(data);
+      if (isDone(data)) {
+        cleanup();
+        onDone?.(data);
+        return;
+      }
+    } catch (error) {
+      if (current !== generation || error.name === 'AbortError') return;
+      consecutiveErrors++;
+      console.warn(`Status check failed (${consecutiveErrors}/${options.maxConsecutiveErrors}):`, error.message);
+      if (!isTransient(error) || consecutiveErrors >= options.maxConsecutiveErrors) {
+        cleanup();
+        onGiveUp?.(error);
+        return;
+      }
+    }
+
+    if (activeTime >= options.timeout) {
+      cleanup();
+      onTimeout?.(options.timeout);
+      return;
+    }
+    schedule(nextDelay());
+  };
+
+  const start = ({ immediate = false } = {}) => {
+    cleanup();
+    running = true;
+    attempt = 0;
+    consecutiveErrors = 0;
+    activeTime = 0;
+    if (typeof document !== 'undefined') document.addEventListener('visibilitychange', onVisibilityChange);
+    if (immediate) check();
+    else schedule(options.initialDelay);
+  };
+
+  return {
+    start,
+    stop: cleanup,
+    // After a timeout or give-up, check again right away with a fresh budget
+    resume: () => start({ immediate: true }),
+    isRunning: () => running,
+  };
+};
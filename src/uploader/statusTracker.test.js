@@ -0,0 +1,183 @@
+import { createStatusTracker } from './statusTracker';
+
+const SCANNING = { uploadedStatus: 'SCANNING' };
+const CLEAN = { uploadedStatus: 'NO_THREATS_FOUND' };
+
+// Lets the awaited fetchStatus() settle between timer steps
+const flush = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+const advance = async (ms) => {
+  jest.advanceTimersByTime(ms);
+  await flush();
+};
+
+let hidden;
+
+const setHidden = (value) => {
+  hidden = value;
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+const makeTracker = (options = {}) => {
+  const handlers = {
+    fetchStatus: jest.fn().mockResolvedValue(SCANNING),
+    isDone: data => data.uploadedStatus !== 'SCANNING',
+    onUpdate: jest.fn(),
+    onDone: jest.fn(),
+    onTimeout: jest.fn(),
+    onGiveUp: jest.fn(),
+  };
+  const tracker = createStatusTracker({
+    ...handlers,
+    initialDelay: 100,
+    baseInterval: 1000,
+    maxInterval: 3000,
+    multiplier: 2,
+    jitter: 0,
+    maxConsecutiveErrors: 3,
+    timeout: 60000,
+    ...options,
+  });
+  return { ...handlers, tracker };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  hidden = false;
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete document.hidden;
+});
+
+test('backs off exponentially up to maxInterval', async () => {
+  const { tracker, fetchStatus } = makeTracker();
+  tracker.start();
+
+  // Checks at 100, 1100, 3100, then every 3000 ms
+  for (const [step, calls] of [[99, 0], [1, 1], [1000, 2], [2000, 3], [3000, 4], [3000, 5]]) {
+    await advance(step);
+    expect(fetchStatus).toHaveBeenCalledTimes(calls);
+  }
+  tracker.stop();
+});
+
+test('spreads each delay by up to ±jitter', async () => {
+  const random = jest.spyOn(Math, 'random').mockReturnValue(1);
+  const { tracker, fetchStatus } = makeTracker({ jitter: 0.2 });
+  tracker.start({ immediate: true });
+  await flush();
+
+  // 1000 ms + 20%
+  await advance(1199);
+  expect(fetchStatus).toHaveBeenCalledTimes(1);
+  random.mockReturnValue(0);
+  await advance(1);
+  expect(fetchStatus).toHaveBeenCalledTimes(2);
+
+  // 2000 ms - 20%
+  await advance(1599);
+  expect(fetchStatus).toHaveBeenCalledTimes(2);
+  await advance(1);
+  expect(fetchStatus).toHaveBeenCalledTimes(3);
+  tracker.stop();
+});
+
+test('stops with the verdict', async () => {
+  const { tracker, fetchStatus, onUpdate, onDone } = makeTracker();
+  fetchStatus.mockResolvedValueOnce(SCANNING).mockResolvedValueOnce(CLEAN);
+  tracker.start({ immediate: true });
+  await flush();
+  await advance(1000);
+
+  expect(onUpdate).toHaveBeenCalledTimes(2);
+  expect(onDone).toHaveBeenCalledWith(CLEAN);
+  expect(tracker.isRunning()).toBe(false);
+  await advance(60000);
+  expect(fetchStatus).toHaveBeenCalledTimes(2);
+});
+
+test('pauses while the tab is hidden and checks as soon as it is visible again', async () => {
+  const { tracker, fetchStatus } = makeTracker();
+  setHidden(true);
+  tracker.start();
+
+  await advance(10000);
+  expect(fetchStatus).not.toHaveBeenCalled();
+
+  setHidden(false);
+  await flush();
+  expect(fetchStatus).toHaveBeenCalledTimes(1);
+  tracker.stop();
+});
+
+test('times out after `timeout` ms of visible time, and resumes with a fresh budget', async () => {
+  const { tracker, fetchStatus, onTimeout } = makeTracker({ initialDelay: 1000, maxInterval: 1000, timeout: 2500 });
+  tracker.start();
+
+  // Hidden time doesn't count towards the timeout
+  await advance(1000);
+  setHidden(true);
+  await advance(1000);
+  await advance(60000);
+  setHidden(false);
+  await flush();
+  expect(onTimeout).not.toHaveBeenCalled();
+
+  await advance(1000);
+  expect(onTimeout).toHaveBeenCalledWith(2500);
+  expect(tracker.isRunning()).toBe(false);
+  const calls = fetchStatus.mock.calls.length;
+
+  tracker.resume();
+  await flush();
+  expect(fetchStatus).toHaveBeenCalledTimes(calls + 1);
+  expect(tracker.isRunning()).toBe(true);
+  tracker.stop();
+});
+
+test('retries transient errors, and gives up after too many in a row', async () => {
+  const { tracker, fetchStatus, onGiveUp } = makeTracker({ baseInterval: 100, maxInterval: 100 });
+  const unavailable = Object.assign(new Error('HTTP error! status: 503'), { status: 503 });
+  fetchStatus.mockRejectedValue(unavailable);
+  tracker.start({ immediate: true });
+
+  await flush();
+  await advance(100);
+  expect(onGiveUp).not.toHaveBeenCalled();
+  await advance(100);
+
+  expect(fetchStatus).toHaveBeenCalledTimes(3);
+  expect(onGiveUp).toHaveBeenCalledWith(unavailable);
+});
+
+test('gives up right away on an error that will not go away', async () => {
+  const { tracker, fetchStatus, onGiveUp } = makeTracker();
+  const forbidden = Object.assign(new Error('HTTP error! status: 403'), { status: 403 });
+  fetchStatus.mockRejectedValue(forbidden);
+  tracker.start({ immediate: true });
+  await flush();
+
+  expect(onGiveUp).toHaveBeenCalledWith(forbidden);
+  expect(tracker.isRunning()).toBe(false);
+});
+
+test('ignores a response that arrives after stop()', async () => {
+  const { tracker, fetchStatus, onUpdate } = makeTracker();
+  let respond;
+  fetchStatus.mockImplementation(() => new Promise((resolve) => { respond = resolve; }));
+  tracker.start({ immediate: true });
+
+  tracker.stop();
+  respond(CLEAN);
+  await flush();
+
+  expect(fetchStatus.mock.calls[0][0].aborted).toBe(true);
+  expect(onUpdate).not.toHaveBeenCalled();
+});
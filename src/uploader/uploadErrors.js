@@ -0,0 +1,25 @@
+import { t } from '../i18n';
+
+// Why an upload failed, in the user's language. The transport and the engine give their errors
+// a `code` (errors.<code> in the catalogs) and `params` for the details; an error that wraps
+// another one passes it as params.cause, which fills in {message}. Errors without a code, from
+// the browser for instance, keep their own message.
+
+/**
+ * An Error with a catalog code. `message` stays English, for logs and the console.
+ */
+export const codedError = (code, message, params = {}) => Object.assign(new Error(message), { code, params });
+
+/**
+ * What rows and announcements show for `error`: { code, params, message }. Like policy
+ * violations, the message is looked up when read, so it follows a later change of language.
+ */
+export const describeError = (error) => ({
+  code: error.code || null,
+  params: error.params || {},
+  get message() {
+    if (!error.code) return error.message;
+    const { cause, ...params } = error.params || {};
+    return t(`errors.${error.code}`, { ...params, ...(cause && { message: describeError(cause).message }) });
+  },
+});
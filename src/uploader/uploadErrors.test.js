@@ -0,0 +1,29 @@
+import { httpError, timeoutError } from '../request';
+
+// The locale is picked when the catalogs load, so each test loads them in the language it needs
+const loadWithLocale = (locale) => {
+  localStorage.setItem('locale', locale);
+  let uploadErrors;
+  jest.isolateModules(() => {
+    uploadErrors = require('./uploadErrors');
+  });
+  return uploadErrors;
+};
+
+afterEach(() => localStorage.clear());
+
+test('translates engine errors and the errors they wrap', () => {
+  const { codedError, describeError } = loadWithLocale('de');
+  const error = codedError('presign-failed', 'Failed to get pre-signed URL: HTTP error! status: 500', { cause: httpError(500) });
+
+  expect(describeError(error)).toMatchObject({ code: 'presign-failed', message: 'Vorsignierte URL konnte nicht abgerufen werden: HTTP-Fehler! Status: 500' });
+  expect(describeError(timeoutError(30000)).message).toBe('Zeitüberschreitung der Anfrage nach 30 s');
+});
+
+test('keeps the message of errors without a code', () => {
+  const { codedError, describeError } = loadWithLocale('de');
+  const error = codedError('upload-failed', 'Upload failed: quota exceeded', { cause: new Error('quota exceeded') });
+
+  expect(describeError(new Error('decode failed'))).toMatchObject({ code: null, message: 'decode failed' });
+  expect(describeError(error).message).toBe('Upload fehlgeschlagen: quota exceeded');
+});
@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { UploadQueue } from './UploadQueue';
+import { DEFAULT_POLICY, normalizePolicy } from './validationPolicy';
+
+/**
+ * React binding for UploadQueue. Creates one queue per component, mirrors its items into state
+ * and stops all background work on unmount.
+ *
+ *   const { items, policy, addFiles, uploadAll, retry, remove, keepChecking, cancel, pause, resume, reset } =
+ *     useFileUpload({ transport, onUploaded, onVerdict });
+ *
+ * `imageOptions` can change at any time; files that are still waiting are re-processed.
+ * `metadata` ({ key: value } S3 user metadata) applies to uploads started after it changes.
+ * `encryption` ({ publicKey, keyId } or null, see encryption.js) to files not sent yet.
+ *
+ * The upload policy starts from `policy` (the env defaults unless given) and fields from
+ * transport.getUploadPolicy() are merged over it when the transport has one and it answers.
+ */
+export const useFileUpload = ({
+  transport, concurrency, policy: basePolicy = DEFAULT_POLICY, imageOptions, metadata, encryption = null, onUploaded, onVerdict, onStateChange,
+  ...clientOptions
+} = {}) => {
+  const queueRef = useRef(null);
+  if (!queueRef.current) {
+    queueRef.current = new UploadQueue({ transport, concurrency, imageOptions, metadata, encryption, policy: basePolicy, ...clientOptions });
+  }
+  const queue = queueRef.current;
+
+  const [items, setItems] = useState(() => queue.getItems());
+  const [policy, setPolicy] = useState(() => queue.policy);
+
+  // Always call the latest callbacks without re-subscribing
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onUploaded, onVerdict, onStateChange };
+
+  useEffect(() => {
+    const subscriptions = [
+      queue.on('change', setItems),
+      queue.on('uploaded', snapshot => callbacksRef.current.onUploaded?.(snapshot)),
+      queue.on('verdict', snapshot => callbacksRef.current.onVerdict?.(snapshot)),
+      queue.on('statechange', change => callbacksRef.current.onStateChange?.(change)),
+    ];
+    return () => {
+      subscriptions.forEach(unsubscribe => unsubscribe());
+      queue.dispose();
+    };
+  }, [queue]);
+
+  useEffect(() => {
+    queue.setImageOptions(imageOptions);
+  }, [queue, imageOptions]);
+
+  useEffect(() => {
+    queue.setMetadata(metadata);
+  }, [queue, metadata]);
+
+  useEffect(() => {
+    queue.setEncryption(encryption);
+  }, [queue, encryption]);
+
+  useEffect(() => {
+    if (!transport?.getUploadPolicy) return;
+    let active = true;
+    transport.getUploadPolicy()
+      .then((raw) => {
+        if (!active) return;
+        const loaded = normalizePolicy(raw, basePolicy);
+        queue.setPolicy(loaded);
+        setPolicy(loaded);
+      })
+      .catch(error => console.warn('Upload policy not available, using defaults:', error.message));
+    return () => { active = false; };
+  }, [queue, transport, basePolicy]);
+
+  return {
+    items,
+    policy,
+    addFiles: useCallback(files => queue.add(files), [queue]),
+    uploadAll: useCallback(() => queue.uploadAll(), [queue]),
+    retry: useCallback(id => queue.retry(id), [queue]),
+    remove: useCallback(id => queue.remove(id), [queue]),
+    keepChecking: useCallback(id => queue.keepChecking(id), [queue]),
+    cancel: useCallback(id => queue.cancel(id), [queue]),
+    pause: useCallback(id => queue.pause(id), [queue]),
+    resume: useCallback(id => queue.resume(id), [queue]),
+    reset: useCallback(() => queue.reset(), [queue]),
+  };
+};
@@ -0,0 +1,251 @@
+import { formatFileSize } from '../format';
+import { t } from '../i18n';
+
+// Declarative rules every file must pass before we ask the API for a pre-signed URL.
+// Defaults come from REACT_APP_* env vars; the API can override any of them (see normalizePolicy).
+
+const env = process.env;
+const listFromEnv = (value, fallback = '') => (value ?? fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+export const DEFAULT_POLICY = {
+  // Empty list = any extension / MIME type. MIME entries may use a wildcard subtype ("image/*").
+  allowedExtensions: listFromEnv(env.REACT_APP_ALLOWED_EXTENSIONS),
+  allowedMimeTypes: listFromEnv(env.REACT_APP_ALLOWED_MIME_TYPES),
+  blockedExtensions: listFromEnv(env.REACT_APP_BLOCKED_EXTENSIONS, 'exe,dll,msi,scr,com,bat,cmd,ps1,vbs'),
+  // Reject files whose first bytes contradict their extension or reveal an executable
+  sniffContent: env.REACT_APP_SNIFF_CONTENT !== 'false',
+  minSize: Number(env.REACT_APP_MIN_FILE_SIZE_BYTES) || 1,
+  // Multipart uploads lift the old 50 MB single-PUT cap; S3 itself stops at 5 TB per object
+  maxSize: (Number(env.REACT_APP_MAX_FILE_SIZE_MB) || 5 * 1024 * 1024) * 1024 * 1024,
+  maxFilenameLength: Number(env.REACT_APP_MAX_FILENAME_LENGTH) || 255,
+  // Anything but path separators, characters Windows/S3 tooling chokes on, and control characters
+  filenamePattern: env.REACT_APP_FILENAME_PATTERN || '^[^\\\\/:*?"<>|\\u0000-\\u001f]+$',
+  // Per queue; high enough for a dropped project folder
+  maxFiles: Number(env.REACT_APP_MAX_FILES) || 1000,
+};
+
+const LIST_FIELDS = ['allowedExtensions', 'allowedMimeTypes', 'blockedExtensions'];
+const NUMBER_FIELDS = ['minSize', 'maxSize', 'maxFilenameLength', 'maxFiles'];
+
+// Merges a policy from the API (or config) over the defaults, dropping malformed fields
+export const normalizePolicy = (raw = {}, base = DEFAULT_POLICY) => {
+  const policy = { ...base };
+  Object.entries(raw || {}).forEach(([field, value]) => {
+    if (LIST_FIELDS.includes(field) && Array.isArray(value)) {
+      policy[field] = value.map(String);
+    } else if (NUMBER_FIELDS.includes(field) && value !== null && value !== '' && Number.isFinite(Number(value))) {
+      policy[field] = Number(value);
+    } else if (field === 'sniffContent' && typeof value === 'boolean') {
+      policy[field] = value;
+    } else if (field === 'filenamePattern' && typeof value === 'string') {
+      try {
+        new RegExp(value, 'u');
+        policy[field] = value;
+      } catch {
+        console.warn('Ignoring invalid filenamePattern in upload policy:', value);
+      }
+    } else {
+      console.warn(`Ignoring unknown or malformed upload policy field "${field}"`);
+    }
+  });
+  policy.allowedExtensions = policy.allowedExtensions.map(normalizeExtension);
+  policy.blockedExtensions = policy.blockedExtensions.map(normalizeExtension);
+  policy.allowedMimeTypes = policy.allowedMimeTypes.map(type => type.toLowerCase());
+  return policy;
+};
+
+const normalizeExtension = (ext) => ext.toLowerCase().replace(/^\./, '');
+
+export const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Value for the file input's `accept` attribute, so the picker pre-filters what we'd reject anyway
+export const acceptAttribute = (policy) => [
+  ...policy.allowedExtensions.map(ext => `.${ext}`),
+  ...policy.allowedMimeTypes,
+].join(',') || undefined;
+
+// Known file signatures ("magic bytes"). `offset` is where `bytes` starts in the file;
+// `kind` names the content in messages (contentTypes.<kind> in the catalogs).
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+// "MZ" is just two letters (a CSV of countries can start with them); a Windows executable also
+// has "PE\0\0" where the offset at 0x3C (e_lfanew) points
+const hasPeHeader = async (file) => {
+  const dosHeader = await file.slice(0, 0x40).arrayBuffer();
+  if (dosHeader.byteLength < 0x40) return false;
+  const offset = new DataView(dosHeader).getUint32(0x3c, true);
+  const pe = new Uint8Array(await file.slice(offset, offset + 4).arrayBuffer());
+  return matches(pe, { bytes: [...ascii('PE'), 0, 0] });
+};
+
+// `confirm(file)`, where present, has the last word on a match
+const SIGNATURES = [
+  { type: 'application/x-msdownload', kind: 'windows-executable', bytes: ascii('MZ'), executable: true, confirm: hasPeHeader },
+  { type: 'application/x-elf', kind: 'linux-executable', bytes: [0x7f, ...ascii('ELF')], executable: true },
+  { type: 'application/x-mach-binary', kind: 'macos-executable', bytes: [0xcf, 0xfa, 0xed, 0xfe], executable: true },
+  { type: 'application/x-mach-binary', kind: 'macos-executable', bytes: [0xce, 0xfa, 0xed, 0xfe], executable: true },
+  { type: 'application/pdf', kind: 'pdf', bytes: ascii('%PDF-') },
+  { type: 'image/png', kind: 'png', bytes: [0x89, ...ascii('PNG')] },
+  { type: 'image/jpeg', kind: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', kind: 'gif', bytes: ascii('GIF8') },
+  { type: 'image/webp', kind: 'webp', bytes: ascii('WEBP'), offset: 8 },
+  { type: 'image/tiff', kind: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', kind: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'video/mp4', kind: 'mp4', bytes: ascii('ftyp'), offset: 4 },
+  { type: 'application/zip', kind: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', kind: 'zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'application/gzip', kind: 'gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-7z-compressed', kind: '7z', bytes: [...ascii('7z'), 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/vnd.rar', kind: 'rar', bytes: ascii('Rar!') },
+];
+const SNIFF_LENGTH = 16;
+
+// Signatures too weak to identify content on their own (ordinary words), which only confirm a
+// file that already claims to be of this kind. Older QuickTime movies have no ftyp box and start
+// with one of these atoms instead.
+const CONFIRMING_SIGNATURES = {
+  mov: ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'].map(atom => ({ bytes: ascii(atom), offset: 4 })),
+};
+
+const matches = (header, { bytes, offset = 0 }) => bytes.every((byte, i) => header[offset + i] === byte);
+
+// What the content of a file with a given extension must look like.
+// Extensions not listed here (txt, csv, json, ...) have no reliable signature and aren't checked.
+const ZIP_BASED = ['application/zip'];
+const EXPECTED_SIGNATURES = {
+  pdf: ['application/pdf'],
+  png: ['image/png'],
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  gif: ['image/gif'],
+  webp: ['image/webp'],
+  tif: ['image/tiff'],
+  tiff: ['image/tiff'],
+  mp4: ['video/mp4'],
+  m4v: ['video/mp4'],
+  mov: ['video/mp4'],
+  zip: ZIP_BASED,
+  docx: ZIP_BASED,
+  xlsx: ZIP_BASED,
+  pptx: ZIP_BASED,
+  odt: ZIP_BASED,
+  ods: ZIP_BASED,
+  gz: ['application/gzip'],
+  tgz: ['application/gzip'],
+  '7z': ['application/x-7z-compressed'],
+  rar: ['application/vnd.rar'],
+};
+
+const readHeader = async file => new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+
+const detectFileType = async (file, header) => {
+  for (const signature of SIGNATURES) {
+    if (matches(header, signature) && (!signature.confirm || await signature.confirm(file))) return signature;
+  }
+  return null;
+};
+
+export const sniffFileType = async file => detectFileType(file, await readHeader(file));
+
+// Whether the header looks like what a file with extension `ext` should be, by its weak signatures
+const confirmsExtension = (header, ext) => (CONFIRMING_SIGNATURES[ext] || []).some(signature => matches(header, signature));
+
+const mimeAllowed = (type, allowed) => allowed.some(pattern =>
+  pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern);
+
+// Values that are shown formatted or translated in messages
+const messageParams = ({ size, allowed, type, content, ...params }) => ({
+  ...params,
+  size: size !== undefined ? formatFileSize(size) : undefined,
+  allowed: allowed?.map(ext => `.${ext}`).join(', '),
+  type: type ?? t('validation.unknownType'),
+  content: content && t(`contentTypes.${content}`),
+});
+
+// A policy violation: `code` for code, `params` for the details. The message is looked up when
+// read (validation.<key> in the catalogs), so it follows the language the user picks later.
+const violation = (code, params = {}, key = code) => ({
+  code,
+  params,
+  get message() {
+    return t(`validation.${key}`, messageParams(params));
+  },
+});
+
+// Checks one file against the policy. Resolves with a list of { code, params, message } violations
+// (empty when the file is acceptable), so every problem can be shown, not just the first.
+export const validateFile = async (file, policy = DEFAULT_POLICY) => {
+  if (!file) return [violation('invalid-file')];
+
+  const errors = [];
+  const name = file.name;
+  const ext = getExtension(name);
+  const type = (file.type || '').toLowerCase();
+
+  if (file.size < policy.minSize) {
+    errors.push(violation('too-small', { size: policy.minSize }, file.size === 0 ? 'empty' : 'too-small'));
+  }
+  if (file.size > policy.maxSize) {
+    errors.push(violation('too-large', { size: policy.maxSize }));
+  }
+  if (name.length > policy.maxFilenameLength) {
+    errors.push(violation('name-too-long', { max: policy.maxFilenameLength }));
+  }
+  if (!new RegExp(policy.filenamePattern, 'u').test(name)) {
+    errors.push(violation('name-invalid'));
+  }
+  if (policy.blockedExtensions.includes(ext)) {
+    errors.push(violation('extension-blocked', { ext }));
+  } else if (policy.allowedExtensions.length && !policy.allowedExtensions.includes(ext)) {
+    errors.push(violation('extension-not-allowed', { ext, allowed: policy.allowedExtensions }, ext ? 'extension-not-allowed' : 'no-extension'));
+  }
+  if (policy.allowedMimeTypes.length && !mimeAllowed(type, policy.allowedMimeTypes)) {
+    errors.push(violation('type-not-allowed', { type: type || undefined }));
+  }
+
+  if (policy.sniffContent && file.size > 0) {
+    let header = new Uint8Array(0);
+    let detected = null;
+    try {
+      header = await readHeader(file);
+      detected = await detectFileType(file, header);
+    } catch (error) {
+      errors.push(violation('unreadable', { message: error.message }));
+    }
+    const expected = EXPECTED_SIGNATURES[ext];
+    if (detected?.executable) {
+      errors.push(violation('content-executable', { content: detected.kind }));
+    } else if (expected && detected && !expected.includes(detected.type)) {
+      errors.push(violation('content-mismatch', { content: detected.kind, ext }));
+    } else if (expected && !detected && file.size >= SNIFF_LENGTH && !confirmsExtension(header, ext)) {
+      errors.push(violation('content-mismatch', { ext }, 'content-unrecognised'));
+    }
+    if (detected && policy.allowedMimeTypes.length && !mimeAllowed(detected.type, policy.allowedMimeTypes)) {
+      errors.push(violation('content-type-not-allowed', { content: detected.kind }));
+    }
+  }
+
+  return errors;
+};
+
+// S3 object keys are limited to 1024 bytes; leave room for the prefix the backend adds
+const MAX_PATH_LENGTH = 900;
+
+// Checks the folders a file was picked from ("project/src"), which end up in its S3 key.
+// Same { code, params, message } list as validateFile; empty for loose files.
+export const validateDirectory = (directory, policy = DEFAULT_POLICY) => {
+  if (!directory) return [];
+  const errors = [];
+  const pattern = new RegExp(policy.filenamePattern, 'u');
+  const invalid = directory.split('/').filter(segment => !segment || segment === '.' || segment === '..' || !pattern.test(segment));
+  if (invalid.length) {
+    errors.push(violation('path-invalid', { folder: invalid[0] }));
+  }
+  if (new TextEncoder().encode(directory).length > MAX_PATH_LENGTH) {
+    errors.push(violation('path-too-long', { max: MAX_PATH_LENGTH }));
+  }
+  return errors;
+};
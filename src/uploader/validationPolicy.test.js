@@ -0,0 +1,112 @@
+import { acceptAttribute, normalizePolicy, sniffFileType, validateDirectory, validateFile } from './validationPolicy';
+
+// `header` is text, or a list of byte values and text
+const bytes = header => new Uint8Array([header].flat().flatMap(part => (typeof part === 'string' ? Array.from(part, c => c.charCodeAt(0)) : part)));
+
+// A file whose content starts with `header`, padded past the sniffed length
+const fileWith = (name, header, type = '') => new File([bytes(header), new Uint8Array(32)], name, { type });
+
+// A minimal PE file: the DOS header's e_lfanew (0x3C) points at "PE\0\0" right after it
+const executable = ['MZ', ...new Array(0x3a).fill(0), 0x40, 0, 0, 0, 'PE', 0, 0];
+
+// What a QuickTime movie starts with: a 4-byte atom size, then the atom type
+const movie = atom => [0, 0, 0, 8, atom];
+
+const codes = async (file, policy) => (await validateFile(file, normalizePolicy(policy))).map(({ code }) => code);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('accepts a file that passes every rule', async () => {
+  expect(await codes(fileWith('report.pdf', '%PDF-1.7', 'application/pdf'), { allowedExtensions: ['pdf'] })).toEqual([]);
+});
+
+test('reports every rule a file breaks, with translated messages', async () => {
+  const file = new File(['x'.repeat(20)], 'setup.exe', { type: 'application/x-msdownload' });
+  const errors = await validateFile(file, normalizePolicy({ maxSize: 10, allowedMimeTypes: ['image/*'], sniffContent: false }));
+
+  expect(errors.map(({ code }) => code)).toEqual(['too-large', 'extension-blocked', 'type-not-allowed']);
+  expect(errors[1].message).toBe('.exe files are not allowed');
+});
+
+test('checks extensions, names and MIME types against the policy', async () => {
+  const policy = { allowedExtensions: ['.PNG'], allowedMimeTypes: ['image/*'], sniffContent: false };
+  expect(await codes(new File(['x'], 'photo.png', { type: 'image/png' }), policy)).toEqual([]);
+  expect(await codes(new File(['x'], 'notes.txt', { type: 'text/plain' }), policy)).toEqual(['extension-not-allowed', 'type-not-allowed']);
+  expect(await codes(new File(['x'], 'a:b.png', { type: 'image/png' }), policy)).toEqual(['name-invalid']);
+  expect(await codes(new File([], 'empty.png', { type: 'image/png' }), policy)).toEqual(['too-small']);
+});
+
+describe('content sniffing', () => {
+  test('refuses executables whatever their name', async () => {
+    expect(await codes(fileWith('invoice.pdf', executable))).toEqual(['content-executable']);
+    expect(await codes(fileWith('data.csv', executable))).toEqual(['content-executable']);
+  });
+
+  test('does not take text that starts with MZ for an executable', async () => {
+    const countries = new File(['MZ,Mozambique,Maputo\nNA,Namibia,Windhoek\n'.repeat(4)], 'countries.csv', { type: 'text/csv' });
+    expect(await sniffFileType(countries)).toBeNull();
+    expect(await codes(countries)).toEqual([]);
+    expect(await codes(fileWith('notes.txt', 'MZ'))).toEqual([]);
+  });
+
+  test('refuses content that contradicts the extension', async () => {
+    const errors = await validateFile(fileWith('photo.jpg', [0x89, 'PNG']));
+    expect(errors.map(({ code }) => code)).toEqual(['content-mismatch']);
+    expect(errors[0].message).toBe('File content is a PNG image, which does not match its .jpg extension');
+    expect(await codes(fileWith('photo.jpg', 'plain text here'))).toEqual(['content-mismatch']);
+  });
+
+  test('leaves extensions without a known signature alone', async () => {
+    expect(await codes(fileWith('data.csv', 'a,b,c'))).toEqual([]);
+  });
+
+  test('accepts QuickTime movies with or without an ftyp box', async () => {
+    expect(await sniffFileType(fileWith('clip.mov', movie('ftypqt  ')))).toMatchObject({ type: 'video/mp4' });
+    for (const atom of ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot']) {
+      expect(await codes(fileWith('clip.mov', movie(atom)))).toEqual([]);
+    }
+    // An MP4 is still expected to start with ftyp
+    expect(await codes(fileWith('clip.mp4', movie('moov')))).toEqual(['content-mismatch']);
+  });
+
+  test('does not take text that happens to spell a QuickTime atom for a movie', async () => {
+    const notes = fileWith('notes.txt', 'The free software movement', 'text/plain');
+    expect(await sniffFileType(notes)).toBeNull();
+    expect(await codes(notes, { allowedMimeTypes: ['text/plain'] })).toEqual([]);
+  });
+
+  test('checks the sniffed type against the allowed MIME types', async () => {
+    expect(await codes(fileWith('clip.mov', movie('moov'), 'video/quicktime'), { allowedMimeTypes: ['video/quicktime'] }))
+      .toEqual([]);
+    expect(await codes(fileWith('photo.png', [0x89, 'PNG'], 'image/png'), { allowedMimeTypes: ['application/pdf', 'image/png'] }))
+      .toEqual([]);
+    expect(await codes(fileWith('data.bin', [0x89, 'PNG'], 'application/pdf'), { allowedMimeTypes: ['application/pdf'] }))
+      .toEqual(['content-type-not-allowed']);
+  });
+});
+
+test('normalizePolicy keeps valid fields and drops malformed ones', () => {
+  const policy = normalizePolicy({ maxSize: '2048', allowedExtensions: ['.PDF'], filenamePattern: '(', colour: 'blue' });
+
+  expect(policy).toMatchObject({ maxSize: 2048, allowedExtensions: ['pdf'] });
+  expect(policy.filenamePattern).toBe(normalizePolicy().filenamePattern);
+  expect(console.warn).toHaveBeenCalledWith('Ignoring unknown or malformed upload policy field "colour"');
+});
+
+test('acceptAttribute lists what the picker should offer', () => {
+  expect(acceptAttribute(normalizePolicy({ allowedExtensions: ['pdf'], allowedMimeTypes: ['image/*'] }))).toBe('.pdf,image/*');
+  expect(acceptAttribute(normalizePolicy({ allowedExtensions: [], allowedMimeTypes: [] }))).toBeUndefined();
+});
+
+test('validateDirectory checks the folders that end up in the key', () => {
+  expect(validateDirectory('')).toEqual([]);
+  expect(validateDirectory('project/src')).toEqual([]);
+  expect(validateDirectory('project/../etc').map(({ code }) => code)).toEqual(['path-invalid']);
+  expect(validateDirectory('a/'.repeat(500)).map(({ code }) => code)).toEqual(['path-invalid', 'path-too-long']);
+});